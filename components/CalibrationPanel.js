@@ -0,0 +1,128 @@
+// components/CalibrationPanel.js
+// Fits the model to observed prices and quantities (CSV pasted or loaded
+// from a file, see parseObservations) by least squares and shows the
+// estimates with confidence intervals, goodness of fit and the residuals;
+// the fitted values load into the simulator sliders.
+import { useState } from 'react';
+import { PARAMS } from '../utils/model';
+import { OBSERVABLES, FIT_PARAMS, parseObservations, calibrate } from '../utils/calibrate';
+import { sanitizeState } from '../utils/state';
+
+const cell = { border: '1px solid #eee', padding: 6, textAlign: 'right' };
+
+const EXAMPLE = `strategy,variable,value,sd
+SI,p,0.82,0.01
+SI,q,0.26,0.01
+LI,rn,0.62,0.01
+LI,ru,0.22,0.01
+SM,p2,0.535,0.01`;
+
+export default function CalibrationPanel({ base, optimizer, demand, onApply }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState(EXAMPLE);
+  const [fit, setFit] = useState(FIT_PARAMS);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = () => {
+    try {
+      setResult(calibrate(parseObservations(text), { start: base, fit, optimizer, demand }));
+      setError(null);
+    } catch (e) {
+      setResult(null);
+      setError(e.message);
+    }
+  };
+  const loadFile = async (file) => {
+    if (file) setText(await file.text());
+  };
+  const toggle = (key) => setFit(fit.includes(key) ? fit.filter(k => k !== key) : [...fit, key]);
+  // what the sliders will show: fitted values rounded to the slider steps
+  const sliders = result && sanitizeState({ ...base, ...result.params });
+
+  return (
+    <div style={{ background: '#fff', padding: 12, borderRadius: 8, marginTop: 14 }}>
+      <h3 style={{ marginTop: 0 }}>
+        Calibration to market data{' '}
+        <button onClick={() => setOpen(!open)}>{open ? 'hide' : 'show'}</button>
+      </h3>
+      {open && (
+        <>
+          <p style={{ fontSize: 13, color: '#666' }}>
+            One observation per line: the strategy (SI, LI, SM, LM), one of its equilibrium prices or quantities and the observed value,
+            optionally with its standard deviation as a weight. k = {base.k} and unfitted parameters stay at their slider values; the fit uses the selected demand model.
+          </p>
+          <details style={{ fontSize: 12, marginBottom: 6 }}>
+            <summary>variables</summary>
+            <ul>
+              {Object.entries(OBSERVABLES).map(([s, vars]) => (
+                <li key={s}>{s}: {Object.entries(vars).map(([v, label]) => `${v} (${label})`).join(', ')}</li>
+              ))}
+            </ul>
+          </details>
+          <textarea value={text} onChange={e => setText(e.target.value)} rows={8} style={{ width: '100%', fontFamily: 'monospace', fontSize: 12 }} />
+          <div style={{ display: 'flex', gap: 10, alignItems: 'center', flexWrap: 'wrap', fontSize: 13, marginTop: 6 }}>
+            <input type="file" accept=".csv,text/csv" onChange={e => loadFile(e.target.files[0])} />
+            <span>fit</span>
+            {FIT_PARAMS.map(key => (
+              <label key={key}>
+                <input type="checkbox" checked={fit.includes(key)} onChange={() => toggle(key)} /> {PARAMS[key].label}
+              </label>
+            ))}
+            <button disabled={!fit.length} onClick={run}>calibrate</button>
+          </div>
+          {error && <div style={{ color: '#b00020', fontSize: 13, marginTop: 6 }}>{error}</div>}
+          {result && (
+            <div style={{ marginTop: 10 }}>
+              <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+                <thead>
+                  <tr>
+                    {['Parameter', 'Estimate', 'Std. error', `${Math.round(result.level * 100)}% interval`, 'Slider'].map(h => <th key={h} style={cell}>{h}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(result.estimates).map(([key, e]) => (
+                    <tr key={key}>
+                      <td style={{ ...cell, textAlign: 'left' }}>{PARAMS[key].label} ({PARAMS[key].name}){e.atBound ? ' — at a bound' : ''}</td>
+                      <td style={cell}>{e.value.toFixed(5)}</td>
+                      <td style={cell}>{e.se === null ? 'not identified' : e.se.toFixed(5)}</td>
+                      <td style={cell}>{e.se === null ? '—' : `[${e.lower.toFixed(4)}, ${e.upper.toFixed(4)}]`}</td>
+                      <td style={cell}>{sliders[key]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p style={{ fontSize: 13 }}>
+                n = {result.fit.n}, residual dof = {result.fit.dof}, weighted RSS = {result.fit.rss.toExponential(3)},
+                RMSE = {result.fit.rmse.toExponential(3)}, R² = {result.fit.r2 === null ? '—' : result.fit.r2.toFixed(4)}
+                {result.converged ? '' : ' (not converged)'}{' '}
+                <button onClick={() => onApply(result.params)}>load into sliders</button>
+              </p>
+              <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+                <thead>
+                  <tr>
+                    {['Strategy', 'Variable', 'Observed', 'Fitted', 'Residual'].map(h => <th key={h} style={cell}>{h}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.residuals.map((r, i) => (
+                    <tr key={i}>
+                      <td style={{ ...cell, textAlign: 'left' }}>{r.strategy}</td>
+                      <td style={{ ...cell, textAlign: 'left' }}>{r.variable} ({OBSERVABLES[r.strategy][r.variable]})</td>
+                      <td style={cell}>{r.value.toFixed(5)}</td>
+                      <td style={cell}>{r.predicted.toFixed(5)}</td>
+                      <td style={cell}>{r.residual.toFixed(5)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p style={{ fontSize: 12, color: '#666' }}>
+                Intervals use Student&apos;s t with the residual variance; the sliders round the estimates to their steps and ranges.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,50 @@
+// components/CategoryMap.js
+// Heatmap of category codes drawn with the builder's legend: one colour band
+// per code, a discrete colorbar labelling each band, and hover text naming
+// the category and the profit of its strategy, e.g. "Best: LM (π=0.0213)".
+// `overlay` traces (e.g. traced regime boundaries) are drawn on top, and a
+// dashed `crosshair` at a selected point; `onSelect(x, y)` gets clicked cells.
+import Plot, { crosshairShapes } from './Plot';
+
+// Step colorscale over zmin = -0.5 .. zmax = n - 0.5, so code i fills band i
+function bands(codes, legend) {
+  const n = codes.length;
+  return codes.flatMap((code, i) => [[i / n, legend[code].color], [(i + 1) / n, legend[code].color]]);
+}
+
+function categoryText(category) {
+  return category.strategy && category.strategy !== category.label
+    ? `${category.label} (${category.strategy})`
+    : category.label;
+}
+
+export default function CategoryMap({ Z, x, y, legend, profits, overlay=[], name, xLabel, yLabel, title, exportTitle, height=520, crosshair, onSelect }) {
+  if (!Z) return <div style={{ padding: 16, color: '#666' }}>No data (adjust resolution / params)</div>;
+  const codes = Object.keys(legend).map(Number).sort((a, b) => a - b);
+  const hover = Z.map((row, i) => row.map((v, j) => {
+    if (v === null) return '';
+    const category = legend[v];
+    if (!category) return `${name}: ${v}`;
+    const profit = category.strategy && profits ? profits[category.strategy][i][j] : null;
+    return profit === null ? `${name}: ${category.label}` : `${name}: ${category.label} (π=${profit.toFixed(4)})`;
+  }));
+  return (
+    <Plot
+      data={[{
+        z: Z, x, y, type: 'heatmap', zsmooth: false,
+        colorscale: bands(codes, legend), zmin: -0.5, zmax: codes.length - 0.5,
+        colorbar: { tickvals: codes, ticktext: codes.map(code => categoryText(legend[code])), ticks: '', len: Math.min(1, 0.15 * codes.length + 0.1) },
+        customdata: hover,
+        hovertemplate: `${xLabel}: %{x}<br>${yLabel}: %{y}<br>%{customdata}<extra></extra>`
+      }, ...overlay]}
+      layout={{
+        title, height, autosize: true, margin: { t: 40, l: 60 }, shapes: crosshairShapes(crosshair), xaxis: { title: xLabel }, yaxis: { title: yLabel },
+        legend: { orientation: 'h', y: -0.15 }
+      }}
+      onClick={onSelect && (e => e.points.length && onSelect(e.points[0].x, e.points[0].y))}
+      exportTitle={exportTitle}
+      useResizeHandler
+      style={{ width: '100%' }}
+    />
+  );
+}
@@ -0,0 +1,124 @@
+// components/CompareView.js
+// Pinned scenarios side by side (planCompare data): the optimal strategy map
+// of every scenario per case, the diff maps against the first (baseline)
+// scenario coloured by from → to transition, and a table of how many cells
+// changed and how the profits moved.
+import CategoryMap from './CategoryMap';
+import { PARAMS, STRATEGIES } from '../utils/model';
+import { DEMAND_MODELS } from '../utils/demand';
+
+const cell = { border: '1px solid #eee', padding: 6, textAlign: 'right' };
+
+function axisLabel(param) {
+  return PARAMS[param] ? PARAMS[param].label : param;
+}
+
+function pinText({ state }) {
+  const demand = state.demand && state.demand.type !== 'uniform' ? `, ${DEMAND_MODELS[state.demand.type].label}` : '';
+  return `${state.figure}: δ1=${state.d1}, δ2=${state.d2}, γ=${state.gamma}, c=${state.c}, k=${state.k}, ${state.optimizer}${demand}`;
+}
+
+// The most frequent transitions, e.g. "SI → LM 34, LI → LM 5"
+function transitionText(transitions, top=3) {
+  const entries = Object.entries(transitions).sort((a, b) => b[1] - a[1]);
+  const text = entries.slice(0, top).map(([label, n]) => `${label} ${n}`).join(', ');
+  return entries.length > top ? `${text}, …` : text || '—';
+}
+
+const signed = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(5)}`;
+
+export default function CompareView({ pinned, data, onLoad, onRemove, onClear }) {
+  const columns = { display: 'grid', gridTemplateColumns: `repeat(${Math.min(pinned.length, 3)}, 1fr)`, gap: 12 };
+  const mapProps = (d, r, layer) => ({
+    Z: r.layers[layer], profits: r.profits, legend: d.legends[layer],
+    x: d.xAxis, y: d.yAxis, xLabel: axisLabel(d.xParam), yLabel: axisLabel(d.yParam), height: 420
+  });
+  const cases = data ? Math.max(0, ...data.scenarios.map(s => s.results ? s.results.length : 0)) : 0;
+  return (
+    <div style={{ background: '#fff', padding: 12, borderRadius: 8, marginTop: 14 }}>
+      <h3 style={{ marginTop: 0 }}>Scenario comparison</h3>
+      <ol style={{ fontSize: 13, paddingLeft: 20 }}>
+        {pinned.map((pin, n) => (
+          <li key={pin.label}>
+            <b>{pin.label}</b>{n === 0 ? ' (baseline)' : ''} — {pinText(pin)}{' '}
+            <button onClick={() => onLoad(pin.state)}>load</button>{' '}
+            <button onClick={() => onRemove(pin.label)}>unpin</button>
+          </li>
+        ))}
+      </ol>
+      {pinned.length < 2 ? (
+        <p style={{ fontSize: 13, color: '#666' }}>Pin at least two map scenarios to compare them.</p>
+      ) : (
+        <button onClick={onClear}>unpin all</button>
+      )}
+
+      {data && Array.from({ length: cases }, (_, idx) => (
+        <div key={idx} style={{ marginTop: 12 }}>
+          <h4>Optimal strategy{data.scenarios[0].results && data.scenarios[0].results[idx] && data.scenarios[0].results[idx].label
+            ? ` — ${data.scenarios[0].results[idx].label}` : ''}</h4>
+          <div style={columns}>
+            {data.scenarios.map(s => (
+              <div key={s.label}>
+                {s.results && s.results[idx]
+                  ? <CategoryMap {...mapProps(s, s.results[idx], 'best')} name="Best" title={`${s.label} ${s.results[idx].label}`.trim()} />
+                  : <div style={{ padding: 16, color: '#666' }}>{s.label}: no map for this case</div>}
+              </div>
+            ))}
+          </div>
+          <h4>Changes against {pinned[0].label}</h4>
+          <div style={columns}>
+            {data.diffs.map(d => (
+              <div key={d.label}>
+                {d.error
+                  ? idx === 0 && <div style={{ padding: 16, color: '#b00020' }}>{d.label}: {d.error}</div>
+                  : d.results[idx] && (
+                    <CategoryMap {...mapProps(d, d.results[idx], 'transition')} name="Change"
+                      title={`${d.label} vs ${d.baseline} ${d.results[idx].label}`.trim()} />
+                  )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {data && data.diffs.some(d => !d.error) && (
+        <>
+          <h4>Profit changes against {pinned[0].label}</h4>
+          <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+            <thead>
+              <tr>
+                {['Scenario', 'Case', 'Cells', 'Changed', 'Main transitions', 'Δπ best mean', 'Δπ best min', 'Δπ best max',
+                  ...STRATEGIES.map(s => `Δπ ${s} mean`)].map(h => <th key={h} style={cell}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {data.diffs.filter(d => !d.error).flatMap(d => d.results.map((r, idx) => {
+                const { cells, changed, transitions, profit } = r.stats;
+                return (
+                  <tr key={`${d.label}-${idx}`}>
+                    <td style={{ ...cell, textAlign: 'left' }}>{d.label}</td>
+                    <td style={{ ...cell, textAlign: 'left' }}>{r.label || '—'}</td>
+                    <td style={cell}>{cells}</td>
+                    <td style={cell}>{changed} ({cells ? (100 * changed / cells).toFixed(1) : '0.0'}%)</td>
+                    <td style={{ ...cell, textAlign: 'left' }}>{transitionText(transitions)}</td>
+                    {profit.best ? (
+                      <>
+                        <td style={cell}>{signed(profit.best.mean)}</td>
+                        <td style={cell}>{signed(profit.best.min)}</td>
+                        <td style={cell}>{signed(profit.best.max)}</td>
+                        {STRATEGIES.map(s => <td key={s} style={cell}>{signed(profit[s].mean)}</td>)}
+                      </>
+                    ) : <td style={cell} colSpan={3 + STRATEGIES.length}>no common feasible cells</td>}
+                  </tr>
+                );
+              }))}
+            </tbody>
+          </table>
+          <p style={{ fontSize: 12, color: '#666' }}>
+            Δπ best is the optimal profit of the scenario minus that of the baseline over cells feasible in both; cases are paired in order.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// components/DemandSelector.js
+// Consumer demand model of every figure (see DEMAND_MODELS in utils/demand.js):
+// the model type and its parameters. Models other than uniform and
+// discounting valuations are solved numerically.
+import { DEMAND_MODELS, isLinearDemand } from '../utils/demand';
+
+const num = { width: 64 };
+
+// Editable parameters per model type: [key, label, step]
+const FIELDS = {
+  uniform: [],
+  segments: [['share', 'high segment share', 0.05], ['scale', 'low segment top valuation', 0.05]],
+  beta: [['a', 'α', 0.1], ['b', 'β', 0.1]],
+  discounted: [['factor', 'discount factor', 0.05]]
+};
+
+export default function DemandSelector({ demand, onChange }) {
+  const field = ([key, label, step]) => (
+    <label key={key} style={{ marginRight: 8 }}>
+      {label}{' '}
+      <input type="number" step={step} value={demand[key]} style={num}
+        onChange={e => { const v = parseFloat(e.target.value); if (!Number.isNaN(v)) onChange({ ...demand, [key]: v }); }} />
+    </label>
+  );
+  return (
+    <div style={{ marginTop: 8 }}>
+      <label>demand model{' '}
+        <select value={demand.type} onChange={e => onChange(DEMAND_MODELS[e.target.value].defaults)}>
+          {Object.entries(DEMAND_MODELS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+      {FIELDS[demand.type].length > 0 && <div style={{ marginTop: 4, fontSize: 13 }}>{FIELDS[demand.type].map(field)}</div>}
+      {!isLinearDemand(demand) && (
+        <div style={{ fontSize: 12, color: '#666' }}>Non-linear demand: optimal quantities found numerically (slower maps).</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// components/DurabilityChart.js
+// Endogenous durability of one Fig 6 case (a series of planFig6): optimal δ1
+// and δ2 against the base cost c0 over background bands shaded by the
+// optimal strategy, with the optimal profit on a second axis. Bands change
+// halfway between the base costs where the optimal strategy differs.
+import Plot from './Plot';
+import { STRATEGIES, STRATEGY_NAMES, STRATEGY_COLORS } from '../utils/model';
+
+function strategyBands(x, strategies) {
+  const bands = [];
+  for (let i=0;i<x.length;i++){
+    const s = strategies[i];
+    if (!s) continue;
+    const left = i === 0 ? x[0] : (x[i-1] + x[i]) / 2;
+    const right = i === x.length - 1 ? x[i] : (x[i] + x[i+1]) / 2;
+    const last = bands[bands.length - 1];
+    if (last && last.strategy === s && last.x1 === left) last.x1 = right;
+    else bands.push({ strategy: s, x0: left, x1: right });
+  }
+  return bands;
+}
+
+export default function DurabilityChart({ series, title }) {
+  const x = series.c0_vals;
+  const bands = strategyBands(x, series.strategies);
+  const shown = STRATEGIES.filter(s => bands.some(b => b.strategy === s));
+  const hover = series.strategies.map(s => s ? `${s} (${STRATEGY_NAMES[s]})` : '');
+  return (
+    <Plot
+      data={[
+        { x, y: series.opt_d1, mode: 'lines+markers', name: 'δ1', line: { color: '#222' }, customdata: hover,
+          hovertemplate: 'c0: %{x:.4f}<br>δ1: %{y:.5f}<br>%{customdata}<extra></extra>' },
+        { x, y: series.opt_d2, mode: 'lines+markers', name: 'δ2', line: { color: '#222', dash: 'dash' }, customdata: hover,
+          hovertemplate: 'c0: %{x:.4f}<br>δ2: %{y:.5f}<br>%{customdata}<extra></extra>' },
+        { x, y: series.opt_profit, mode: 'lines', name: 'optimal profit π', yaxis: 'y2', line: { color: '#9467bd', width: 2 },
+          hovertemplate: 'c0: %{x:.4f}<br>π: %{y:.6f}<extra></extra>' },
+        // legend entries of the bands
+        ...shown.map(s => ({
+          x: [null], y: [null], mode: 'markers', name: `${s} optimal`,
+          marker: { symbol: 'square', size: 12, color: STRATEGY_COLORS[s], opacity: 0.35 }, hoverinfo: 'skip'
+        }))
+      ]}
+      layout={{
+        title, height: 480, autosize: true, margin: { t: 40, l: 60, r: 70, b: 50 },
+        xaxis: { title: 'base cost c0' },
+        yaxis: { title: 'optimal durability', range: [0, 1] },
+        yaxis2: { title: 'optimal profit π', overlaying: 'y', side: 'right', rangemode: 'tozero', showgrid: false },
+        legend: { orientation: 'h', y: -0.2 },
+        shapes: bands.map(b => ({
+          type: 'rect', xref: 'x', yref: 'paper', x0: b.x0, x1: b.x1, y0: 0, y1: 1,
+          fillcolor: STRATEGY_COLORS[b.strategy], opacity: 0.15, line: { width: 0 }, layer: 'below'
+        }))
+      }}
+      exportTitle={title}
+      useResizeHandler
+      style={{ width: '100%' }}
+    />
+  );
+}
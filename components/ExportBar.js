@@ -0,0 +1,32 @@
+// components/ExportBar.js
+// Data export of the current figure: tidy CSV and a JSON bundle with inputs,
+// plus the traced regime boundaries when they are shown.
+import { toCSV, toJSONBundle, exportName } from '../utils/export';
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function ExportBar({ figure, params, data, boundaries, disabled }) {
+  const name = exportName(figure, data.title);
+  const boundaryFile = boundaries && exportName(figure, boundaries.title);
+  return (
+    <div style={{ fontSize: 13, margin: '6px 0' }}>
+      Export data{' '}
+      <button disabled={disabled} onClick={() => download(`${name}.csv`, toCSV(data), 'text/csv')}>CSV</button>{' '}
+      <button disabled={disabled} onClick={() => download(`${name}.json`, toJSONBundle(figure, params, data), 'application/json')}>JSON</button>
+      {boundaries && (
+        <>
+          {' '}· boundaries{' '}
+          <button disabled={disabled} onClick={() => download(`${boundaryFile}.csv`, toCSV(boundaries), 'text/csv')}>CSV</button>{' '}
+          <button disabled={disabled} onClick={() => download(`${boundaryFile}.json`, toJSONBundle(`${figure}/boundaries`, params, boundaries), 'application/json')}>JSON</button>
+        </>
+      )}
+    </div>
+  );
+}
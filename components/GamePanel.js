@@ -0,0 +1,67 @@
+// components/GamePanel.js
+// The duopoly game at the slider point: the payoff matrix of two firms each
+// committing to one strategy (row firm's profit first), pure Nash equilibria
+// highlighted, the mixed ones listed, and the monopolist's profits of the
+// same two-cycle model for comparison.
+import { useMemo } from 'react';
+import { MultiCycleModel, STRATEGIES, STRATEGY_COLORS, duopolyGame } from '../utils/model';
+
+const cell = { border: '1px solid #eee', padding: 6, textAlign: 'right' };
+
+function mixText(mix) {
+  return mix.map((p, i) => p > 0 ? `${STRATEGIES[i]} ${p.toFixed(3)}` : null).filter(Boolean).join(', ');
+}
+
+export default function GamePanel({ d1, d2, gamma, c, k, demand }) {
+  const result = useMemo(() => {
+    if (d2 >= d1) return null;
+    const model = new MultiCycleModel(d1, d2, gamma, c, k, { demand });
+    const game = duopolyGame(model);
+    const monopoly = { SI: model.profit_SI(), LI: model.profit_LI(), SM: model.profit_SM(), LM: model.profit_LM() };
+    return { game, monopoly };
+  }, [d1, d2, gamma, c, k, demand]);
+  if (!result) return <div style={{ padding: 16, color: '#666' }}>Infeasible point (δ2 ≥ δ1)</div>;
+  const { game, monopoly } = result;
+  const pure = new Set(game.equilibria.filter(e => e.pure).map(e => `${e.row.indexOf(1)}-${e.col.indexOf(1)}`));
+  const mixed = game.equilibria.filter(e => !e.pure);
+  return (
+    <div style={{ marginTop: 16 }}>
+      <h3>Payoff matrix at δ1={d1}, δ2={d2}, γ={gamma}, c={c}, k={k}</h3>
+      <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+        <thead>
+          <tr>
+            <th style={cell}>firm A \ firm B</th>
+            {STRATEGIES.map(s => <th key={s} style={{ ...cell, color: STRATEGY_COLORS[s] }}>{s}</th>)}
+            <th style={cell}>monopoly</th>
+          </tr>
+        </thead>
+        <tbody>
+          {STRATEGIES.map((s, i) => (
+            <tr key={s}>
+              <th style={{ ...cell, color: STRATEGY_COLORS[s] }}>{s}</th>
+              {STRATEGIES.map((t, j) => (
+                <td key={t} style={{ ...cell, ...(pure.has(`${i}-${j}`) ? { background: '#fff3c4', fontWeight: 'bold' } : {}) }}>
+                  {game.payoffs[i][j].toFixed(5)}, {game.payoffs[j][i].toFixed(5)}
+                </td>
+              ))}
+              <td style={cell}>{monopoly[s].toFixed(5)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: 12, color: '#666' }}>
+        Cells give (π A, π B) at the Cournot equilibrium of the two strategies; highlighted cells are pure Nash equilibria.
+        Both firms share one market at nested prices, and each plays its strategy&apos;s program (no fallback to the integral design).
+      </p>
+      {mixed.length > 0 && (
+        <ul style={{ fontSize: 13 }}>
+          {mixed.map((e, n) => (
+            <li key={n}>
+              mixed equilibrium: A plays {mixText(e.row)}; B plays {mixText(e.col)} — expected profits {e.payoffs[0].toFixed(5)}, {e.payoffs[1].toFixed(5)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
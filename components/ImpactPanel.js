@@ -0,0 +1,72 @@
+// components/ImpactPanel.js
+// Profit against environmental impact of the four strategies at one point:
+// a Pareto chart of profit vs the chosen impact metric (frontier = strategies
+// no other one beats on both) and the table of every impact metric.
+import Plot from './Plot';
+import { STRATEGIES, STRATEGY_NAMES, STRATEGY_COLORS, IMPACT_METRICS } from '../utils/model';
+
+const cell = { border: '1px solid #eee', padding: 6, textAlign: 'right' };
+
+// Producing strategies that no other one beats on profit and impact at once
+function paretoFront(points) {
+  return points.filter(p => !points.some(o => o !== p
+    && o.profit >= p.profit && o.value <= p.value && (o.profit > p.profit || o.value < p.value)));
+}
+
+export default function ImpactPanel({ solutions, metric, title }) {
+  const points = STRATEGIES
+    .filter(s => solutions[s].branch !== 'shutdown')
+    .map(s => ({ strategy: s, profit: solutions[s].profit, value: solutions[s].impact[metric] }));
+  const front = paretoFront(points).sort((a, b) => a.value - b.value);
+  return (
+    <div style={{ marginTop: 16 }}>
+      <h3>Environmental impact</h3>
+      <Plot
+        data={[
+          {
+            x: front.map(p => p.value), y: front.map(p => p.profit), mode: 'lines', name: 'Pareto frontier',
+            line: { color: '#444', dash: 'dash' }, hoverinfo: 'skip'
+          },
+          ...points.map(p => ({
+            x: [p.value], y: [p.profit], mode: 'markers+text', type: 'scatter', name: p.strategy,
+            text: [p.strategy], textposition: 'top center',
+            marker: { size: 12, color: STRATEGY_COLORS[p.strategy], opacity: front.includes(p) ? 1 : 0.4 },
+            hovertemplate: `${STRATEGY_NAMES[p.strategy]}<br>${IMPACT_METRICS[metric]}: %{x:.5f}<br>profit: %{y:.5f}<extra></extra>`
+          }))
+        ]}
+        layout={{
+          title: `${title} — profit vs ${IMPACT_METRICS[metric]}`, height: 420, autosize: true, margin: { t: 40, l: 60 },
+          xaxis: { title: `${IMPACT_METRICS[metric]} (lower is better)` }, yaxis: { title: 'profit π' }
+        }}
+        exportTitle={`${title} Pareto`}
+        useResizeHandler
+        style={{ width: '100%' }}
+      />
+      <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+        <thead>
+          <tr>
+            <th style={cell}>Strategy</th>
+            <th style={cell}>Profit</th>
+            {Object.entries(IMPACT_METRICS).map(([key, label]) => <th key={key} style={cell}>{label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {STRATEGIES.map(s => (
+            <tr key={s}>
+              <td style={{ ...cell, textAlign: 'left' }}>{s}{front.some(p => p.strategy === s) ? ' ★' : ''}</td>
+              <td style={cell}>{solutions[s].profit.toFixed(5)}</td>
+              {Object.keys(IMPACT_METRICS).map(key => {
+                const v = solutions[s].impact[key];
+                return <td key={key} style={cell}>{v === null ? '—' : v.toFixed(4)}</td>;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: 12, color: '#666' }}>
+        Steady-state flows per period. ★ Pareto-efficient: no other strategy earns more with less impact.
+        Sold units get a second owner and end in landfill; leased units return to the firm, which recycles the recovered share.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+// components/Plot.js
+// Client-only Plotly (cartesian bundle, which carries the heatmap and contour
+// traces, + factory) with publication export: every plot gets SVG/PNG buttons
+// that re-render the figure off-screen at a fixed size with its title,
+// colorbars and legends.
+import { useRef } from 'react';
+import dynamic from 'next/dynamic';
+
+const PlotlyPlot = dynamic(
+  async () => {
+    const Plotly = await import('plotly.js-cartesian-dist');
+    const createPlotlyComponent = (await import('react-plotly.js/factory')).default;
+    return createPlotlyComponent(Plotly);
+  },
+  { ssr: false }
+);
+
+// Export canvas in px; PNG is rasterized at 3x for print
+const EXPORT_SIZE = { width: 1200, height: 800 };
+const PNG_SCALE = 3;
+
+function slug(text) {
+  return String(text || 'figure').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'figure';
+}
+
+async function exportImage(graphDiv, format, title) {
+  const Plotly = await import('plotly.js-cartesian-dist');
+  const layout = {
+    ...graphDiv.layout,
+    ...EXPORT_SIZE,
+    title: { text: title },
+    font: { family: 'Arial, sans-serif', size: 16 },
+    paper_bgcolor: '#fff'
+  };
+  const url = await Plotly.toImage({ data: graphDiv.data, layout }, {
+    format, ...EXPORT_SIZE, scale: format === 'png' ? PNG_SCALE : 1
+  });
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${slug(title)}.${format}`;
+  a.click();
+}
+
+// Dashed crosshair lines through a selected point { x, y } of a map; either
+// coordinate may be missing when the map does not show that parameter
+export function crosshairShapes(point) {
+  if (!point) return [];
+  const line = { color: '#000', width: 1.5, dash: 'dash' };
+  const shapes = [];
+  if (Number.isFinite(point.x)) shapes.push({ type: 'line', xref: 'x', yref: 'paper', x0: point.x, x1: point.x, y0: 0, y1: 1, line });
+  if (Number.isFinite(point.y)) shapes.push({ type: 'line', xref: 'paper', yref: 'y', x0: 0, x1: 1, y0: point.y, y1: point.y, line });
+  return shapes;
+}
+
+// Same props as react-plotly's Plot, plus exportTitle for plots whose layout has no title
+export default function Plot({ exportTitle, ...props }) {
+  const graphDiv = useRef(null);
+  const layoutTitle = props.layout && props.layout.title;
+  const title = exportTitle || (layoutTitle && (layoutTitle.text || layoutTitle)) || 'figure';
+  const track = (figure, div) => { graphDiv.current = div; };
+  const save = (format) => { if (graphDiv.current) exportImage(graphDiv.current, format, title); };
+  return (
+    <div>
+      <PlotlyPlot {...props} onInitialized={track} onUpdate={track} />
+      <div style={{ textAlign: 'right', fontSize: 12, color: '#666' }}>
+        export <button onClick={() => save('svg')}>SVG</button> <button onClick={() => save('png')}>PNG</button>
+      </div>
+    </div>
+  );
+}
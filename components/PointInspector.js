@@ -0,0 +1,70 @@
+// components/PointInspector.js
+// Detail of one clicked map cell: the exact parameter point (δ1, δ2, γ, c, k)
+// behind it, the four strategies' profits, optimal quantities and prices, a
+// bar chart of the profits, and an action loading the point into the sliders.
+import { useMemo } from 'react';
+import Plot from './Plot';
+import { CircularEconomyModel, PARAMS, STRATEGIES, STRATEGY_NAMES, STRATEGY_COLORS, rankStrategies } from '../utils/model';
+import { sanitizeState } from '../utils/state';
+
+const cell = { border: '1px solid #eee', padding: 6, textAlign: 'right' };
+
+const fmt = (obj) => Object.entries(obj).map(([name, v]) => `${name}=${v.toFixed(4)}`).join(', ');
+
+export default function PointInspector({ point, optimizer, demand, onApply, onClose }) {
+  const solutions = useMemo(
+    () => new CircularEconomyModel(point.d1, point.d2, point.gamma, point.c, point.k, { optimizer, demand }).solve(),
+    [point, optimizer, demand]
+  );
+  const top = rankStrategies(Object.fromEntries(STRATEGIES.map(s => [s, solutions[s].profit])))[0];
+  // what the sliders will show: the point rounded to the slider steps
+  const sliders = sanitizeState(point);
+  const text = Object.keys(PARAMS).map(key => `${PARAMS[key].label}=${+point[key].toFixed(4)}`).join(', ');
+  return (
+    <div style={{ background: '#fff', padding: 12, borderRadius: 8, marginBottom: 14, border: '1px solid #ddd' }}>
+      <h3 style={{ marginTop: 0 }}>
+        Selected point: {text}{' '}
+        <button onClick={() => onApply(point)}>apply to sliders</button>{' '}
+        <button onClick={onClose}>close</button>
+      </h3>
+      <div style={{ display: 'flex', gap: 12, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+        <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+          <thead>
+            <tr>
+              {['Strategy', 'Profit', 'Branch', 'Quantities', 'Prices'].map(h => <th key={h} style={cell}>{h}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {STRATEGIES.map(s => (
+              <tr key={s} style={s === top.strategy ? { fontWeight: 'bold' } : undefined}>
+                <td style={{ ...cell, textAlign: 'left', color: STRATEGY_COLORS[s] }}>{s} ({STRATEGY_NAMES[s]})</td>
+                <td style={cell}>{solutions[s].profit.toFixed(6)}</td>
+                <td style={cell}>{solutions[s].branch}</td>
+                <td style={cell}>{fmt(solutions[s].quantities)}</td>
+                <td style={cell}>{fmt(solutions[s].prices)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div style={{ flex: 1, minWidth: 260 }}>
+          <Plot
+            data={[{
+              x: STRATEGIES, y: STRATEGIES.map(s => solutions[s].profit), type: 'bar',
+              marker: { color: STRATEGIES.map(s => STRATEGY_COLORS[s]) },
+              hovertemplate: '%{x}: π=%{y:.6f}<extra></extra>'
+            }]}
+            layout={{ height: 220, autosize: true, margin: { t: 10, l: 50, r: 10, b: 30 }, yaxis: { title: 'profit π' } }}
+            exportTitle={`Profits at ${text}`}
+            useResizeHandler
+            style={{ width: '100%' }}
+          />
+        </div>
+      </div>
+      <p style={{ fontSize: 12, color: '#666' }}>
+        Best: {top.strategy}, ahead by {top.lead.toFixed(6)}. Click any map of Fig 1–5 or a custom parameter map to select a point;
+        the crosshair marks it on every map over the same parameters. The sliders round it to their steps
+        ({Object.keys(PARAMS).map(key => `${PARAMS[key].label}=${sliders[key]}`).join(', ')}).
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+// components/ProfitMap.js
+// Continuous view of a sweep result (one strategy's profit surface or the
+// best-vs-second-best gap) as a heatmap or filled contours, with the layers'
+// regime boundaries drawn where their profit difference crosses zero, or the
+// traced boundary curves when given as `overlay` traces. Clicks and the
+// selection `crosshair` work as in CategoryMap.
+import Plot, { crosshairShapes } from './Plot';
+import { boundaryField, boundaryName, BOUNDARY_TOL } from '../utils/model';
+
+const LINE_COLORS = ['#000000', '#d62728', '#1f77b4', '#2ca02c', '#9467bd', '#8c564b'];
+
+export default function ProfitMap({ Z, x, y, result, boundaries, overlay, surface, name, xLabel, yLabel, title, exportTitle, height=520, crosshair, onSelect }) {
+  if (!Z) return <div style={{ padding: 16, color: '#666' }}>No data (adjust resolution / params)</div>;
+  const lines = overlay || boundaries.map((bd, i) => ({
+    z: boundaryField(result, bd), x, y, type: 'contour',
+    contours: { start: BOUNDARY_TOL, end: BOUNDARY_TOL, size: 1, coloring: 'lines' },
+    line: { color: LINE_COLORS[i % LINE_COLORS.length], width: 2 },
+    showscale: false, showlegend: true, hoverinfo: 'skip',
+    name: boundaryName(bd)
+  }));
+  return (
+    <Plot
+      data={[{
+        z: Z, x, y, type: surface === 'contour' ? 'contour' : 'heatmap', zsmooth: false,
+        colorscale: 'Viridis', colorbar: { title: name },
+        hovertemplate: `${xLabel}: %{x}<br>${yLabel}: %{y}<br>${name}: %{z:.5f}<extra></extra>`
+      }, ...lines]}
+      layout={{
+        title, height, autosize: true, margin: { t: 40, l: 60 }, shapes: crosshairShapes(crosshair),
+        xaxis: { title: xLabel }, yaxis: { title: yLabel },
+        legend: { orientation: 'h', y: -0.15 }
+      }}
+      onClick={onSelect && (e => e.points.length && onSelect(e.points[0].x, e.points[0].y))}
+      exportTitle={exportTitle}
+      useResizeHandler
+      style={{ width: '100%' }}
+    />
+  );
+}
@@ -0,0 +1,44 @@
+// components/ReportBar.js
+// "Generate report": the chosen figures at the current parameters as a
+// standalone HTML document (utils/report.js, built by the report API route)
+// opened in a new tab, ready to print to PDF.
+import { useState } from 'react';
+import { REPORT_FIGURES, DEFAULT_REPORT_FIGURES, DEFAULT_REPORT_TITLE } from '../utils/report';
+import { reportQuery } from '../utils/state';
+
+export default function ReportBar({ state }) {
+  const [open, setOpen] = useState(false);
+  const [figures, setFigures] = useState(DEFAULT_REPORT_FIGURES);
+  const [title, setTitle] = useState('');
+  const toggle = (figure) => setFigures(figures.includes(figure)
+    ? figures.filter(f => f !== figure)
+    : REPORT_FIGURES.filter(f => f === figure || figures.includes(f)));
+  const generate = () => {
+    const query = new URLSearchParams(reportQuery(state, figures, title.trim()));
+    window.open(`/api/report?${query}`, '_blank');
+  };
+  return (
+    <div style={{ fontSize: 13, marginTop: 8 }}>
+      <button onClick={() => setOpen(!open)}>{open ? 'hide report' : 'report…'}</button>
+      {open && (
+        <div style={{ marginTop: 6 }}>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+            {REPORT_FIGURES.map(figure => (
+              <label key={figure}>
+                <input type="checkbox" checked={figures.includes(figure)} onChange={() => toggle(figure)} /> {figure}
+              </label>
+            ))}
+          </div>
+          <div style={{ marginTop: 6 }}>
+            <input placeholder={DEFAULT_REPORT_TITLE} value={title} onChange={e => setTitle(e.target.value)} style={{ width: 220 }} />{' '}
+            <button disabled={!figures.length} onClick={generate}>generate report</button>
+          </div>
+          <div style={{ fontSize: 12, color: '#666', marginTop: 4 }}>
+            Sliders, demand model and resolution apply to every figure; the current figure keeps its edited spec.
+            Heavy figures (cycles, duopoly, policy) and non-linear demand count most against the report's computation budget; lower the resolution if it is refused.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
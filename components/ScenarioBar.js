@@ -0,0 +1,55 @@
+// components/ScenarioBar.js
+// Named scenarios saved to localStorage, pinning the current view for
+// side-by-side comparison, plus copying the shareable link.
+import { useEffect, useState } from 'react';
+import { loadScenarios, saveScenario, deleteScenario } from '../utils/state';
+
+export default function ScenarioBar({ state, onLoad, onPin, canPin }) {
+  const [scenarios, setScenarios] = useState({});
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => { setScenarios(loadScenarios(window.localStorage)); }, []);
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setScenarios(saveScenario(window.localStorage, trimmed, state));
+    setSelected(trimmed);
+    setName('');
+  };
+  const load = (key) => {
+    setSelected(key);
+    if (scenarios[key]) onLoad(scenarios[key]);
+  };
+  const remove = () => {
+    if (!selected) return;
+    setScenarios(deleteScenario(window.localStorage, selected));
+    setSelected('');
+  };
+  // labelled by the typed name, else the selected saved scenario
+  const pin = () => {
+    onPin(name.trim() || selected);
+    setName('');
+  };
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(window.location.href);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap', fontSize: 13, marginTop: 8 }}>
+      <select value={selected} onChange={e => load(e.target.value)}>
+        <option value="">saved scenarios…</option>
+        {Object.keys(scenarios).sort().map(key => <option key={key} value={key}>{key}</option>)}
+      </select>
+      <button disabled={!selected} onClick={remove}>delete</button>
+      <input placeholder="scenario name" value={name} onChange={e => setName(e.target.value)} style={{ width: 130 }} />
+      <button disabled={!name.trim()} onClick={save}>save</button>
+      <button disabled={!canPin} onClick={pin} title={canPin ? 'pin this view for comparison' : 'only (x, y) maps can be compared'}>pin</button>
+      <button onClick={copyLink}>{copied ? 'link copied' : 'copy link'}</button>
+    </div>
+  );
+}
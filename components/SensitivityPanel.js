@@ -0,0 +1,89 @@
+// components/SensitivityPanel.js
+// Local sensitivity of the single-point view (planTable's `sensitivity`):
+// derivatives and elasticities of every strategy's profit per parameter, and
+// a tornado chart of how far each parameter can move down or up before the
+// optimal strategy changes, most sensitive parameter on top.
+import Plot from './Plot';
+import { PARAMS, STRATEGIES, STRATEGY_COLORS, BOUNDARY_TOL } from '../utils/model';
+
+const cell = { border: '1px solid #eee', padding: 6, textAlign: 'right' };
+const NO_SWITCH = '#cccccc';
+
+// Distance to the nearest switch, for ordering; Infinity when there is none
+function nearest({ lower, upper }) {
+  return Math.min(...[lower, upper].map(side => side.strategy ? Math.abs(side.delta) : Infinity));
+}
+
+function sideText(s, side) {
+  const label = PARAMS[s.param].label;
+  return side.strategy
+    ? `${label} = ${side.value.toFixed(4)} (${side.delta >= 0 ? '+' : ''}${side.delta.toFixed(4)}): ${side.strategy} becomes optimal`
+    : `${label} = ${side.value.toFixed(4)}: ${s.best} stays optimal to the edge of the valid range`;
+}
+
+export default function SensitivityPanel({ sensitivity, ranking }) {
+  if (!sensitivity || !sensitivity.length) return null;
+  const rows = [...sensitivity].sort((a, b) => nearest(a) - nearest(b));
+  const best = ranking[0];
+  // bars in % of each parameter's valid range so different units compare
+  const pct = (s, side) => 100 * side.delta / (PARAMS[s.param].max - PARAMS[s.param].min);
+  const bar = (name, side) => ({
+    type: 'bar', orientation: 'h', name,
+    y: rows.map(s => PARAMS[s.param].label), x: rows.map(s => pct(s, s[side])),
+    marker: { color: rows.map(s => s[side].strategy ? STRATEGY_COLORS[s[side].strategy] : NO_SWITCH), line: { color: '#444', width: 1 } },
+    customdata: rows.map(s => sideText(s, s[side])),
+    hovertemplate: '%{customdata}<extra></extra>', showlegend: false
+  });
+  return (
+    <div style={{ marginTop: 16 }}>
+      <h3>Sensitivity</h3>
+      {best.lead <= BOUNDARY_TOL && (
+        <p style={{ fontSize: 13, color: '#b00020' }}>
+          {best.strategy} is tied with {ranking[1].strategy} here: the smallest move favouring {ranking[1].strategy} changes the recommendation.
+        </p>
+      )}
+      <Plot
+        data={[bar('decrease', 'lower'), bar('increase', 'upper')]}
+        layout={{
+          title: `How far each parameter can move before ${best.strategy} stops being optimal`,
+          height: 120 + 48 * rows.length, autosize: true, margin: { t: 40, l: 60 }, barmode: 'overlay',
+          xaxis: { title: 'change to switch (% of the valid parameter range)', zeroline: true },
+          yaxis: { autorange: 'reversed' }
+        }}
+        exportTitle="Sensitivity tornado"
+        useResizeHandler
+        style={{ width: '100%' }}
+      />
+      <p style={{ fontSize: 12, color: '#666' }}>
+        Bars are coloured by the strategy that takes over; grey bars reach the edge of the valid range without a switch.
+      </p>
+      <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+        <thead>
+          <tr>
+            <th style={cell} rowSpan={2}>Parameter</th>
+            <th style={cell} rowSpan={2}>Value</th>
+            {STRATEGIES.map(s => <th key={s} style={{ ...cell, textAlign: 'center' }} colSpan={2}>{s}</th>)}
+          </tr>
+          <tr>
+            {STRATEGIES.flatMap(s => [<th key={`${s}d`} style={cell}>∂π/∂x</th>, <th key={`${s}e`} style={cell}>ε</th>])}
+          </tr>
+        </thead>
+        <tbody>
+          {sensitivity.map(s => (
+            <tr key={s.param}>
+              <td style={{ ...cell, textAlign: 'left' }}>{PARAMS[s.param].label}</td>
+              <td style={cell}>{s.value}</td>
+              {STRATEGIES.flatMap(name => [
+                <td key={`${name}d`} style={cell}>{s.derivatives[name].toFixed(5)}{s.methods[name] === 'finite-difference' ? '*' : ''}</td>,
+                <td key={`${name}e`} style={cell}>{s.elasticities[name] === null ? '—' : s.elasticities[name].toFixed(3)}</td>
+              ])}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: 12, color: '#666' }}>
+        ε = (∂π/∂x)·x/π. SI and SM derivatives are analytical; * central finite differences of the leasing programs.
+      </p>
+    </div>
+  );
+}
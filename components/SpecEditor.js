@@ -0,0 +1,342 @@
+// components/SpecEditor.js
+// Editor for a figure's sweep spec (see DEFAULT_SPECS in utils/model.js):
+// axis ranges, pinned parameters, comparison cases and, for Fig 6, the
+// start grid of the durability search and the durability cost curve. Custom maps (specs with an
+// `output`) also choose the axis parameters and the cell output; Monte Carlo
+// specs edit the parameter distributions, the number of draws and the seed;
+// the multi-cycle figure its refurbishment costs; the environmental map its
+// emission factors and impact metric; the policy map its lever levels and the
+// searched lever.
+import { useState } from 'react';
+import { PARAMS, STRATEGIES, IMPACT_METRICS, POLICY_LEVERS, DURABILITY_COSTS } from '../utils/model';
+import { MAX_RESOLUTION, MAX_CASES } from '../utils/state';
+
+const row = { display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginBottom: 6 };
+const num = { width: 72 };
+
+function NumberField({ value, onChange, step=0.01, style=num }) {
+  return (
+    <input type="number" step={step} value={value} style={style}
+      onChange={e => { const v = parseFloat(e.target.value); if (!Number.isNaN(v)) onChange(v); }} />
+  );
+}
+
+function paramLabel(key) {
+  return PARAMS[key] ? PARAMS[key].label : key;
+}
+
+function StrategySelect({ value, onChange }) {
+  return (
+    <select value={value} onChange={e => onChange(e.target.value)}>
+      {STRATEGIES.map(s => <option key={s} value={s}>{s}</option>)}
+    </select>
+  );
+}
+
+// Defaults when switching the output type of a custom map
+const OUTPUT_DEFAULTS = {
+  argmax: { type: 'argmax' },
+  compare: { type: 'compare', a: 'SM', b: 'SI' },
+  profit: { type: 'profit', strategy: 'LM' },
+  difference: { type: 'difference', a: 'LM', b: 'SM' }
+};
+
+// Points of a durability cost table as "δ:cost, δ:cost, .."; edits apply
+// on blur when they parse to two or more points with rising δ
+function formatTable(points) {
+  return points.map(([d, cost]) => `${d}:${cost}`).join(', ');
+}
+
+function parseTable(text) {
+  const points = text.split(',').map(pair => pair.split(':').map(v => parseFloat(v)));
+  const ok = points.length >= 2 && points.every(p => p.length === 2 && p.every(Number.isFinite))
+    && points.every((p, i) => i === 0 || p[0] > points[i-1][0]);
+  return ok ? points : null;
+}
+
+function CostTableField({ points, onChange }) {
+  const [text, setText] = useState(null);
+  const shown = text === null ? formatTable(points) : text;
+  const invalid = text !== null && !parseTable(text);
+  return (
+    <input type="text" value={shown} style={{ width: 200, borderColor: invalid ? '#b00020' : undefined }}
+      onChange={e => setText(e.target.value)}
+      onBlur={() => { const parsed = parseTable(shown); if (parsed) onChange(parsed); setText(null); }} />
+  );
+}
+
+function DurabilityCostEditor({ fn, onChange }) {
+  const field = (key, step=0.01) => <NumberField value={fn[key]} step={step} onChange={v => onChange({ ...fn, [key]: v })} />;
+  return (
+    <div style={row}>
+      <span style={{ width: 110 }}>durability cost</span>
+      <select value={fn.type} onChange={e => onChange(DURABILITY_COSTS[e.target.value].defaults)}>
+        {Object.entries(DURABILITY_COSTS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      {fn.type === 'quadratic' && <>c = c0 + {field('a1')} δ1² + {field('a2')} δ2²</>}
+      {fn.type === 'exponential' && (
+        <>c = c0 + {field('a1')} (e^({field('b1', 0.1)} δ1) − 1) + {field('a2')} (e^({field('b2', 0.1)} δ2) − 1)</>
+      )}
+      {fn.type === 'table' && (
+        <>
+          δ1:cost <CostTableField points={fn.d1} onChange={d1 => onChange({ ...fn, d1 })} />
+          δ2:cost <CostTableField points={fn.d2} onChange={d2 => onChange({ ...fn, d2 })} />
+          <span style={{ fontSize: 12, color: '#666' }}>linear between points, flat beyond</span>
+        </>
+      )}
+    </div>
+  );
+}
+
+function OutputEditor({ output, onChange }) {
+  return (
+    <div style={row}>
+      <span style={{ width: 110 }}>output</span>
+      <select value={output.type} onChange={e => onChange(OUTPUT_DEFAULTS[e.target.value])}>
+        <option value="argmax">best strategy</option>
+        <option value="compare">pairwise comparison</option>
+        <option value="profit">profit of a strategy</option>
+        <option value="difference">profit difference</option>
+      </select>
+      {(output.type === 'compare' || output.type === 'difference') && (
+        <>
+          <StrategySelect value={output.a} onChange={a => onChange({ ...output, a })} />
+          {output.type === 'compare' ? 'vs' : '−'}
+          <StrategySelect value={output.b} onChange={b => onChange({ ...output, b })} />
+        </>
+      )}
+      {output.type === 'profit' && (
+        <StrategySelect value={output.strategy} onChange={strategy => onChange({ ...output, strategy })} />
+      )}
+    </div>
+  );
+}
+
+// Defaults when switching a parameter's distribution type, centred on `v`
+function distributionDefaults(type, v) {
+  const w = Math.max(0.01, Math.abs(v) * 0.1);
+  const r = (x) => parseFloat(x.toFixed(4));
+  switch (type) {
+    case 'uniform': return { type, min: r(v - w), max: r(v + w) };
+    case 'normal': return { type, mean: r(v), sd: r(w / 2) };
+    default: return { type: 'triangular', min: r(v - w), mode: r(v), max: r(v + w) };
+  }
+}
+
+const DISTRIBUTION_FIELDS = {
+  uniform: ['min', 'max'],
+  normal: ['mean', 'sd'],
+  triangular: ['min', 'mode', 'max']
+};
+
+function DistributionEditor({ spec, base, set }) {
+  const setDistribution = (key, dist) => {
+    const distributions = { ...spec.distributions };
+    if (dist === undefined) delete distributions[key]; else distributions[key] = dist;
+    set({ distributions });
+  };
+  return (
+    <>
+      {Object.keys(PARAMS).map(key => {
+        const dist = spec.distributions[key];
+        return (
+          <div key={key} style={row}>
+            <label style={{ width: 110, display: 'inline-flex', gap: 4, alignItems: 'center' }}>
+              <input type="checkbox" checked={!!dist}
+                disabled={!!dist && Object.keys(spec.distributions).length === 1}
+                onChange={e => setDistribution(key, e.target.checked ? distributionDefaults('triangular', base[key]) : undefined)} />
+              {paramLabel(key)}
+            </label>
+            {dist ? (
+              <>
+                <select value={dist.type} onChange={e => setDistribution(key, distributionDefaults(e.target.value, base[key]))}>
+                  <option value="uniform">uniform</option>
+                  <option value="normal">normal</option>
+                  <option value="triangular">triangular</option>
+                </select>
+                {DISTRIBUTION_FIELDS[dist.type].map(field => (
+                  <span key={field}>{field} <NumberField step={0.005} value={dist[field]} onChange={v => setDistribution(key, { ...dist, [field]: v })} /></span>
+                ))}
+              </>
+            ) : <span style={{ color: '#666' }}>fixed at {key in spec.fixed ? spec.fixed[key] : base[key]}</span>}
+          </div>
+        );
+      })}
+      <div style={row}>
+        <span style={{ width: 110 }}>draws</span>
+        <NumberField step={100} value={spec.draws} onChange={v => set({ draws: Math.max(1, Math.round(v)) })} />
+        seed <NumberField step={1} value={spec.seed} onChange={v => set({ seed: Math.max(0, Math.round(v)) })} />
+        <span style={{ color: '#666' }}>draws outside the parameter ranges or with δ2 ≥ δ1 are rejected</span>
+      </div>
+    </>
+  );
+}
+
+export default function SpecEditor({ spec, base, onChange, onReset }) {
+  const set = (patch) => onChange({ ...spec, ...patch });
+  const axes = [['x', spec.x], ['y', spec.y]].filter(([, ax]) => ax);
+  const swept = axes.map(([, ax]) => ax.param);
+  const caseKeys = [...new Set(spec.cases.flatMap(cs => Object.keys(cs.set)))];
+  const sampled = Object.keys(spec.distributions || {});
+  const freeKeys = Object.keys(PARAMS).filter(key => !swept.includes(key) && !sampled.includes(key));
+
+  const setCase = (idx, cs) => set({ cases: spec.cases.map((old, i) => i === idx ? cs : old) });
+  const setFixed = (key, value) => {
+    const fixed = { ...spec.fixed };
+    if (value === undefined) delete fixed[key]; else fixed[key] = value;
+    set({ fixed });
+  };
+
+  return (
+    <div style={{ fontSize: 13 }}>
+      <h4 style={{ margin: '4px 0' }}>Sweep spec</h4>
+
+      {spec.output && <OutputEditor output={spec.output} onChange={output => set({ output })} />}
+      {spec.distributions && <DistributionEditor spec={spec} base={base} set={set} />}
+
+      {axes.map(([name, ax]) => (
+        <div key={name} style={row}>
+          {spec.output ? (
+            <span style={{ width: 110 }}>{name}-axis{' '}
+              <select value={ax.param} onChange={e => {
+                const param = e.target.value;
+                set({ [name]: { param, min: PARAMS[param].range[0], max: PARAMS[param].range[1] } });
+              }}>
+                {Object.keys(PARAMS).filter(key => key === ax.param || !swept.includes(key)).map(key => (
+                  <option key={key} value={key}>{paramLabel(key)}</option>
+                ))}
+              </select>
+            </span>
+          ) : (
+            <span style={{ width: 110 }}>{name}-axis: {paramLabel(ax.param)}</span>
+          )}
+          {ax.param === 'cycles' ? (
+            <>
+              from <NumberField step={1} value={ax.min} onChange={v => set({ [name]: { ...ax, min: Math.round(v) } })} />
+              to <NumberField step={1} value={ax.max} onChange={v => set({ [name]: { ...ax, max: Math.round(v) } })} />
+            </>
+          ) : (
+            <>
+              from <NumberField value={ax.min} onChange={v => set({ [name]: { ...ax, min: v } })} />
+              to <NumberField value={ax.max} onChange={v => set({ [name]: { ...ax, max: v } })} />
+            </>
+          )}
+          {ax.steps !== undefined && <>steps <NumberField step={1} value={ax.steps} onChange={v => set({ [name]: { ...ax, steps: Math.min(MAX_RESOLUTION, Math.max(2, Math.round(v))) } })} /></>}
+        </div>
+      ))}
+
+      <div style={row}>
+        <span style={{ width: 110 }}>pinned</span>
+        {freeKeys.map(key => (
+          <label key={key} style={{ display: 'inline-flex', gap: 4, alignItems: 'center' }}>
+            <input type="checkbox" checked={key in spec.fixed}
+              onChange={e => setFixed(key, e.target.checked ? base[key] : undefined)} />
+            {paramLabel(key)}
+            {key in spec.fixed && <NumberField value={spec.fixed[key]} onChange={v => setFixed(key, v)} />}
+          </label>
+        ))}
+      </div>
+
+      <table style={{ borderCollapse: 'collapse', marginBottom: 6 }}>
+        <thead>
+          <tr>
+            <th style={{ textAlign: 'left' }}>case label</th>
+            {caseKeys.map(key => <th key={key}>{paramLabel(key)}</th>)}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {spec.cases.map((cs, idx) => (
+            <tr key={idx}>
+              <td><input value={cs.label} style={{ width: 140 }} onChange={e => setCase(idx, { ...cs, label: e.target.value })} /></td>
+              {caseKeys.map(key => (
+                <td key={key}>
+                  <NumberField value={key in cs.set ? cs.set[key] : base[key]}
+                    onChange={v => setCase(idx, { ...cs, set: { ...cs.set, [key]: v } })} />
+                </td>
+              ))}
+              <td>
+                <button disabled={spec.cases.length === 1}
+                  onClick={() => set({ cases: spec.cases.filter((_, i) => i !== idx) })}>remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={row}>
+        <button disabled={spec.cases.length >= MAX_CASES} onClick={() => set({ cases: [...spec.cases, { ...spec.cases[spec.cases.length - 1], label: `case ${spec.cases.length + 1}` }] })}>add case</button>
+        <select value="" onChange={e => {
+          const key = e.target.value;
+          if (key) set({ cases: spec.cases.map(cs => ({ ...cs, set: { ...cs.set, [key]: base[key] } })) });
+        }}>
+          <option value="">vary parameter per case…</option>
+          {freeKeys.filter(key => !caseKeys.includes(key)).map(key => <option key={key} value={key}>{paramLabel(key)}</option>)}
+        </select>
+        <button onClick={onReset}>reset to paper defaults</button>
+      </div>
+
+      {spec.search && (
+        <div style={row}>
+          <span style={{ width: 110 }}>δ start grid</span>
+          from <NumberField value={spec.search.min} onChange={v => set({ search: { ...spec.search, min: Math.min(1, Math.max(0, v)) } })} />
+          to <NumberField value={spec.search.max} onChange={v => set({ search: { ...spec.search, max: Math.min(1, Math.max(0, v)) } })} />
+          steps <NumberField step={1} value={spec.search.steps} onChange={v => set({ search: { ...spec.search, steps: Math.min(MAX_RESOLUTION, Math.max(2, Math.round(v))) } })} />
+        </div>
+      )}
+      {spec.refurbish && (
+        <div style={row}>
+          <span style={{ width: 110 }}>refurbishment</span>
+          per reused strong module <NumberField value={spec.refurbish.r1} step={0.005}
+            onChange={v => set({ refurbish: { ...spec.refurbish, r1: v } })} />
+          weak module <NumberField value={spec.refurbish.r2} step={0.005}
+            onChange={v => set({ refurbish: { ...spec.refurbish, r2: v } })} />
+          <span style={{ color: '#666' }}>(leasing only)</span>
+        </div>
+      )}
+      {spec.impact && (
+        <div style={row}>
+          <span style={{ width: 110 }}>impact</span>
+          emissions per unit <NumberField value={spec.impact.unit} step={0.1}
+            onChange={v => set({ impact: { ...spec.impact, unit: v } })} />
+          per new module <NumberField value={spec.impact.module} step={0.1}
+            onChange={v => set({ impact: { ...spec.impact, module: v } })} />
+          recovery <NumberField value={spec.impact.recovery} step={0.05}
+            onChange={v => set({ impact: { ...spec.impact, recovery: v } })} />
+          minimize{' '}
+          <select value={spec.impact.metric} onChange={e => set({ impact: { ...spec.impact, metric: e.target.value } })}>
+            {Object.entries(IMPACT_METRICS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+      )}
+      {spec.policy && (
+        <>
+          <div style={row}>
+            <span style={{ width: 110 }}>policy</span>
+            {Object.entries(POLICY_LEVERS).map(([key, label]) => (
+              <span key={key}>
+                {label} <NumberField value={spec.policy[key]} step={0.01}
+                  onChange={v => set({ policy: { ...spec.policy, [key]: v } })} />
+              </span>
+            ))}
+          </div>
+          <div style={row}>
+            <span style={{ width: 110 }}>search</span>
+            <select value={spec.lever} onChange={e => set({ lever: e.target.value })}>
+              {Object.entries(POLICY_LEVERS).filter(([key]) => key !== 'takeBack').map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            up to + <NumberField value={spec.max} step={0.05} onChange={v => set({ max: v })} />
+            from{' '}
+            <select value={spec.from} onChange={e => set({ from: e.target.value })}>
+              <option value="any">any</option>
+              {STRATEGIES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+            to <StrategySelect value={spec.to} onChange={v => set({ to: v })} />
+          </div>
+        </>
+      )}
+      {spec.durabilityCost && (
+        <DurabilityCostEditor fn={spec.durabilityCost} onChange={durabilityCost => set({ durabilityCost })} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+// components/UncertaintyView.js
+// Monte Carlo results of one case (a run of planMonteCarlo): the probability
+// that each strategy is optimal with its binomial standard error, the profit
+// distributions as overlaid histograms or box plots, and a summary table.
+import { useState } from 'react';
+import Plot from './Plot';
+import { STRATEGIES, STRATEGY_NAMES, STRATEGY_COLORS } from '../utils/model';
+
+const cell = { border: '1px solid #eee', padding: 6, textAlign: 'right' };
+
+export default function UncertaintyView({ run, title }) {
+  const [chart, setChart] = useState('histogram');
+  if (!run.draws) return <div style={{ padding: 16, color: '#666' }}>No draws yet</div>;
+  const se = (p) => Math.sqrt(p * (1 - p) / run.draws);
+  const profitTraces = STRATEGIES.map(s => chart === 'histogram'
+    ? { x: run.profits[s], type: 'histogram', name: s, opacity: 0.55, marker: { color: STRATEGY_COLORS[s] }, nbinsx: 40 }
+    : { y: run.profits[s], type: 'box', name: s, marker: { color: STRATEGY_COLORS[s] }, boxpoints: false }
+  );
+  return (
+    <div>
+      <Plot
+        data={[{
+          x: STRATEGIES, y: STRATEGIES.map(s => run.probabilities[s]), type: 'bar',
+          marker: { color: STRATEGIES.map(s => STRATEGY_COLORS[s]) },
+          error_y: { type: 'data', array: STRATEGIES.map(s => se(run.probabilities[s])), visible: true },
+          customdata: STRATEGIES.map(s => [STRATEGY_NAMES[s], se(run.probabilities[s])]),
+          hovertemplate: '%{customdata[0]}: P(optimal) = %{y:.3f} ± %{customdata[1]:.3f}<extra></extra>'
+        }]}
+        layout={{
+          title: `${title} — P(optimal), ${run.draws} draws`, height: 340, autosize: true, margin: { t: 40, l: 60 },
+          yaxis: { title: 'P(optimal)', range: [0, 1] }
+        }}
+        useResizeHandler
+        style={{ width: '100%' }}
+      />
+      <div style={{ fontSize: 13, margin: '6px 0' }}>
+        profit distributions{' '}
+        <select value={chart} onChange={e => setChart(e.target.value)}>
+          <option value="histogram">histograms</option>
+          <option value="box">box plots</option>
+        </select>
+      </div>
+      <Plot
+        data={profitTraces}
+        layout={{
+          title: `${title} — profit distributions`, height: 400, autosize: true, margin: { t: 40, l: 60 },
+          barmode: 'overlay', ...(chart === 'histogram'
+            ? { xaxis: { title: 'profit π' }, yaxis: { title: 'draws' } }
+            : { yaxis: { title: 'profit π' } })
+        }}
+        exportTitle={`${title} profit ${chart}`}
+        useResizeHandler
+        style={{ width: '100%' }}
+      />
+      <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+        <thead>
+          <tr>
+            {['Strategy', 'P(optimal)', '± s.e.', 'mean π', 'sd', 'p5', 'median', 'p95'].map(h => <th key={h} style={cell}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {STRATEGIES.map(s => {
+            const sm = run.summary[s];
+            return (
+              <tr key={s}>
+                <td style={{ ...cell, textAlign: 'left' }}>{s} ({STRATEGY_NAMES[s]})</td>
+                <td style={cell}>{run.probabilities[s].toFixed(3)}</td>
+                <td style={cell}>{se(run.probabilities[s]).toFixed(3)}</td>
+                {[sm.mean, sm.sd, sm.p5, sm.median, sm.p95].map((v, i) => <td key={i} style={cell}>{v.toFixed(5)}</td>)}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+// pages/api/grid/[fig].js
+// GET|POST /api/grid/<figure>?d1=&d2=&gamma=&c=&k=&resolution=&optimizer=&demand=&spec=
+// Data of any simulator figure (fig1..fig6, custom, cycles, ..) as its plan
+// assembles it; spec (JSON) replaces the figure's default sweep spec, demand
+// (JSON) the uniform valuations. Requests over the computation budget (see
+// COST_BUDGET in utils/api.js) are a 413.
+import { respond, parseFigureRequest } from '../../../utils/api';
+
+export default function handler(req, res) {
+  return respond(req, res, ({ fig, ...input }) => parseFigureRequest(fig, input));
+}
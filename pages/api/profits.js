@@ -0,0 +1,9 @@
+// pages/api/profits.js
+// GET|POST /api/profits?d1=&d2=&gamma=&c=&k=&optimizer=&demand=
+// All four strategies' solutions at one point, ranked, with their local
+// sensitivity: the single-point table's data (planTable).
+import { respond, parsePoint } from '../../utils/api';
+
+export default function handler(req, res) {
+  return respond(req, res, input => ({ figure: 'table', params: parsePoint(input) }));
+}
@@ -0,0 +1,11 @@
+// pages/api/report.js
+// GET|POST /api/report?figures=fig1,fig4&d1=&d2=&gamma=&c=&k=&resolution=&optimizer=&demand=&specs=&title=
+// Standalone HTML report of the figures at one point (see utils/report.js):
+// parameters, the recommended strategy and its margins, charts and findings.
+// specs (JSON) maps figure ids to specs replacing their defaults. Reports over
+// the computation budget (see COST_BUDGET in utils/api.js) are a 413.
+import { respondReport } from '../../utils/api';
+
+export default function handler(req, res) {
+  return respondReport(req, res);
+}
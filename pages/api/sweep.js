@@ -0,0 +1,12 @@
+// pages/api/sweep.js
+// GET|POST /api/sweep with spec = { x, y, fixed, cases, output } (JSON, as the
+// custom map's spec) plus the parameters of /api/grid: any two-parameter
+// sweep of a declarative output.
+import { respond, parseFigureRequest, requestError } from '../../utils/api';
+
+export default function handler(req, res) {
+  return respond(req, res, input => {
+    if (input.spec === undefined) throw requestError(400, 'spec is required (x, y, fixed, cases and output as for the custom map)');
+    return parseFigureRequest('custom', input);
+  });
+}
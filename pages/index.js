@@ -1,51 +1,145 @@
 // pages/index.js
-import { useState, useMemo } from 'react';
-import dynamic from 'next/dynamic';
+import { useEffect, useMemo, useState } from 'react';
 import Head from 'next/head';
+import { useRouter } from 'next/router';
+import { useGridJob } from '../utils/useGridJob';
+import { CircularEconomyModel, PARAMS, DEFAULT_SPECS, IMPACT_METRICS, POLICY_LEVERS, STRATEGIES, STRATEGY_NAMES, isCategorical, describeOutput, boundaryName } from '../utils/model';
+import SpecEditor from '../components/SpecEditor';
+import CategoryMap from '../components/CategoryMap';
+import ProfitMap from '../components/ProfitMap';
+import UncertaintyView from '../components/UncertaintyView';
+import SensitivityPanel from '../components/SensitivityPanel';
+import GamePanel from '../components/GamePanel';
+import ImpactPanel from '../components/ImpactPanel';
+import Plot from '../components/Plot';
+import ExportBar from '../components/ExportBar';
+import ScenarioBar from '../components/ScenarioBar';
+import CompareView from '../components/CompareView';
+import CalibrationPanel from '../components/CalibrationPanel';
+import DurabilityChart from '../components/DurabilityChart';
+import DemandSelector from '../components/DemandSelector';
+import PointInspector from '../components/PointInspector';
+import ReportBar from '../components/ReportBar';
 import {
-  buildGridResults,
-  buildFig1Grid,
-  buildFig2Grid,
-  buildFig3Grid,
-  buildFig4Grid,
-  buildFig5Grid,
-  buildFig6Data
-} from '../utils/model';
-// Client-only Plotly using the lightweight bundle + factory
-const Plot = dynamic(
-  async () => {
-    const Plotly = await import('plotly.js-basic-dist');
-    const createPlotlyComponent = (await import('react-plotly.js/factory')).default;
-    return createPlotlyComponent(Plotly);
-  },
-  { ssr: false }
-);
+  CONTROLS, DEFAULT_STATE, encodeState, decodeState, sanitizeState, planParams,
+  isComparable, loadPinned, savePinned, compareParams, validDemand
+} from '../utils/state';
+
+// Figures whose map cells are points of the base model, inspectable by clicking
+const INSPECTABLE = ['fig1', 'fig2', 'fig3', 'fig4', 'fig5', 'custom'];
 
 const MathJaxSmall = ({ tex }) => <div dangerouslySetInnerHTML={{ __html: `<div style="font-size:14px">\$begin:math:text$\$\{tex\}\\$end:math:text$</div>` }} />;
 
 export default function Home() {
-  const [d1, setD1] = useState(0.5);
-  const [d2, setD2] = useState(0.2);
-  const [gamma, setGamma] = useState(1.0);
-  const [c, setC] = useState(0.15);
-  const [k, setK] = useState(0.0);
-  const [resolution, setResolution] = useState(48);
-  const [figure, setFigure] = useState('fig1');
-
-  // memoized grid data
-  const gridData = useMemo(() => {
-    const params = { d1, d2, gamma, c, k, resolution };
-    switch (figure) {
-      case 'fig1': return buildFig1Grid(params);
-      case 'fig2': return buildFig2Grid({ resolution });
-      case 'fig3': return buildFig3Grid({ resolution, d1, d2 });
-      case 'fig4': return buildFig4Grid({ resolution });
-      case 'fig5': return buildFig5Grid({ resolution });
-      case 'fig6': return buildFig6Data({ steps: 20 });
-      case 'table': return buildGridResults(params);
-      default: return buildFig1Grid(params);
-    }
-  }, [figure, d1, d2, gamma, c, k, resolution]);
+  const [d1, setD1] = useState(DEFAULT_STATE.d1);
+  const [d2, setD2] = useState(DEFAULT_STATE.d2);
+  const [gamma, setGamma] = useState(DEFAULT_STATE.gamma);
+  const [c, setC] = useState(DEFAULT_STATE.c);
+  const [k, setK] = useState(DEFAULT_STATE.k);
+  const [resolution, setResolution] = useState(DEFAULT_STATE.resolution);
+  const [figure, setFigure] = useState(DEFAULT_STATE.figure);
+  const [optimizer, setOptimizer] = useState(DEFAULT_STATE.optimizer);
+  const [demand, setDemand] = useState(DEFAULT_STATE.demand);
+  const [view, setView] = useState(DEFAULT_STATE.view);
+  const [surface, setSurface] = useState(DEFAULT_STATE.surface);
+  const [trace, setTrace] = useState(DEFAULT_STATE.trace);
+  const [specs, setSpecs] = useState(DEFAULT_SPECS);
+  const spec = specs[figure];
+  // (x, y) maps, which offer the map views and boundary tracing
+  const isMap = !!(spec && spec.y && !spec.search);
+  // boundary tracing needs continuous model parameters on both axes
+  const traceable = isMap && Object.hasOwn(PARAMS, spec.x.param) && Object.hasOwn(PARAMS, spec.y.param);
+  const inspectable = traceable && INSPECTABLE.includes(figure);
+
+  // full view state, synced to the query string so links reproduce the view
+  const viewState = { d1, d2, gamma, c, k, resolution, figure, optimizer, demand, view, surface, trace, spec: spec || null };
+  function applyState(next) {
+    const s = sanitizeState(next);
+    setD1(s.d1); setD2(s.d2); setGamma(s.gamma); setC(s.c); setK(s.k);
+    setResolution(s.resolution); setFigure(s.figure); setOptimizer(s.optimizer); setDemand(s.demand);
+    setView(s.view); setSurface(s.surface); setTrace(s.trace);
+    setSpecs(prev => ({ ...prev, [s.figure]: s.spec || DEFAULT_SPECS[s.figure] }));
+  }
+  const router = useRouter();
+  const [restored, setRestored] = useState(false);
+  useEffect(() => {
+    if (!router.isReady || restored) return;
+    applyState(decodeState(router.query));
+    setRestored(true);
+  }, [router.isReady]);
+  const query = encodeState(viewState);
+  const queryKey = JSON.stringify(query);
+  useEffect(() => {
+    if (!restored) return undefined;
+    // debounced so dragging a slider does not flood the history API
+    const timer = setTimeout(() => {
+      router.replace({ pathname: router.pathname, query }, undefined, { shallow: true, scroll: false });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [restored, queryKey]);
+
+  // grid data, computed row by row on the worker pool
+  const base = { d1, d2, gamma, c, k };
+  const jobParams = planParams(viewState);
+  const job = useGridJob(figure, jobParams);
+  const gridData = job.data;
+  // regime boundaries traced by root finding, on request, for sweep figures
+  const traceJob = useGridJob(trace && traceable ? `${figure}/boundaries` : null, jobParams);
+  const traced = traceJob.data;
+  // scenarios pinned for comparison, computed together once two are pinned
+  const [pinned, setPinned] = useState([]);
+  useEffect(() => { setPinned(loadPinned(window.localStorage)); }, []);
+  function updatePinned(next) {
+    setPinned(savePinned(window.localStorage, next));
+  }
+  function pin(label) {
+    const labels = new Set(pinned.map(p => p.label));
+    let unique = label || `Scenario ${pinned.length + 1}`, n = 2;
+    while (labels.has(unique)) unique = `${label || 'Scenario'} ${n++}`;
+    updatePinned([...pinned, { label: unique, state: sanitizeState(viewState) }]);
+  }
+  const compareJob = useGridJob(pinned.length >= 2 ? 'compare' : null, compareParams(pinned));
+  // traced curves of one case as overlay traces, limited to `boundaries` when given
+  function boundaryOverlay(label, boundaries) {
+    if (!traced) return undefined;
+    const wanted = boundaries && new Set(boundaries.map(boundaryName));
+    const xLabel = axisLabel(traced.xParam), yLabel = axisLabel(traced.yParam);
+    return traced.traces
+      .filter(t => t.label === label && (!wanted || wanted.has(boundaryName(t))))
+      .flatMap((t, n) => t.curves.map((curve, i) => ({
+        x: curve.map(p => p.x), y: curve.map(p => p.y), type: 'scatter',
+        mode: curve.length > 1 ? 'lines' : 'markers',
+        line: { color: '#000', width: 2, dash: ['solid', 'dash', 'dot', 'dashdot'][n % 4] }, marker: { color: '#000', size: 4 },
+        name: boundaryName(t), legendgroup: boundaryName(t), showlegend: i === 0,
+        hovertemplate: `${boundaryName(t)}<br>${xLabel}: %{x:.6f}<br>${yLabel}: %{y:.6f}<extra></extra>`
+      })));
+  }
+  // map cell selected for inspection: the full parameter point behind it, kept
+  // across figures, whose maps mark it with a crosshair
+  const [selected, setSelected] = useState(null);
+  function select(r, x, y) {
+    const point = { ...base, ...spec.fixed, ...r.set, [gridData.xParam]: x, [gridData.yParam]: y };
+    if (point.d2 < point.d1) setSelected(point);
+  }
+  const selectionProps = (r) => ({
+    crosshair: selected && { x: selected[gridData.xParam], y: selected[gridData.yParam] },
+    onSelect: inspectable ? (x, y) => select(r, x, y) : undefined
+  });
+  // props shared by every category map of a sweep result
+  const mapProps = (r, layer) => ({
+    Z: r.layers[layer], profits: r.profits, legend: gridData.legends[layer],
+    overlay: boundaryOverlay(r.label, gridData.boundaries[layer]),
+    x: gridData.xAxis, y: gridData.yAxis, xLabel: axisLabel(gridData.xParam), yLabel: axisLabel(gridData.yParam),
+    ...selectionProps(r)
+  });
+  // sweeps can show profit surfaces / gaps instead of the choice regions
+  const showChoice = view === 'choice' || !gridData.results;
+  // solutions at the slider point with the environmental map's emission factors
+  const impactSolutions = useMemo(() => {
+    if (figure !== 'environment' || d2 >= d1) return null;
+    const { metric, ...factors } = spec.impact;
+    return new CircularEconomyModel(d1, d2, gamma, c, k, { optimizer, demand, impact: factors }).solve();
+  }, [figure, spec, d1, d2, gamma, c, k, optimizer, demand]);
 
   // helper: heatmap for a Z matrix
   function Heatmap({ Z, x, y, title, colorscale, tickvals, ticktext, zmin=0, zmax=1 }) {
@@ -128,27 +222,32 @@ export default function Home() {
       <div style={{ display: 'flex', gap: 18 }}>
         <div style={{ flex: 1, background:'#fff', padding:12, borderRadius:8 }}>
           <label>δ1 (strong) <b>{d1.toFixed(2)}</b>
-            <input style={{ width:'100%' }} type="range" min="0.05" max="0.99" step="0.01" value={d1} onChange={e => setD1(parseFloat(e.target.value))} />
+            <input style={{ width:'100%' }} type="range" {...CONTROLS.d1} value={d1} onChange={e => {
+              const v = parseFloat(e.target.value);
+              setD1(v);
+              // keep δ2 < δ1
+              if (d2 >= v) setD2(Math.max(CONTROLS.d2.min, parseFloat((v - CONTROLS.d2.step).toFixed(2))));
+            }} />
           </label>
 
           <label>δ2 (weak) <b>{d2.toFixed(2)}</b>
-            <input style={{ width:'100%' }} type="range" min="0.01" max={Math.min(0.98, d1 - 0.01)} step="0.01" value={d2} onChange={e => setD2(parseFloat(e.target.value))} />
+            <input style={{ width:'100%' }} type="range" min={CONTROLS.d2.min} max={Math.min(CONTROLS.d2.max, d1 - CONTROLS.d2.step)} step={CONTROLS.d2.step} value={d2} onChange={e => setD2(parseFloat(e.target.value))} />
           </label>
 
           <label>γ <b>{gamma.toFixed(2)}</b>
-            <input style={{ width:'100%' }} type="range" min="0.5" max="1.5" step="0.01" value={gamma} onChange={e => setGamma(parseFloat(e.target.value))} />
+            <input style={{ width:'100%' }} type="range" {...CONTROLS.gamma} value={gamma} onChange={e => setGamma(parseFloat(e.target.value))} />
           </label>
 
           <label>c <b>{c.toFixed(3)}</b>
-            <input style={{ width:'100%' }} type="range" min="0.01" max="0.35" step="0.005" value={c} onChange={e => setC(parseFloat(e.target.value))} />
+            <input style={{ width:'100%' }} type="range" {...CONTROLS.c} value={c} onChange={e => setC(parseFloat(e.target.value))} />
           </label>
 
           <label>k <b>{k.toFixed(3)}</b>
-            <input style={{ width:'100%' }} type="range" min="0.0" max="0.05" step="0.001" value={k} onChange={e => setK(parseFloat(e.target.value))} />
+            <input style={{ width:'100%' }} type="range" {...CONTROLS.k} value={k} onChange={e => setK(parseFloat(e.target.value))} />
           </label>
 
           <label>resolution <b>{resolution}</b>
-            <input style={{ width:'100%' }} type="range" min="20" max="100" step="4" value={resolution} onChange={e => setResolution(parseInt(e.target.value))} />
+            <input style={{ width:'100%' }} type="range" {...CONTROLS.resolution} value={resolution} onChange={e => setResolution(parseInt(e.target.value))} />
           </label>
 
           <div style={{ marginTop:8 }}>
@@ -159,11 +258,66 @@ export default function Home() {
               <option value="fig4">Fig 4 — Joint Choice Strategy Map</option>
               <option value="fig5">Fig 5 — Integration Cost Effect</option>
               <option value="fig6">Fig 6 — Endogenous Durability</option>
+              <option value="custom">Custom map — any two parameters</option>
+              <option value="cycles">Use cycles — strategy vs number of cycles</option>
+              <option value="duopoly">Duopoly — equilibrium vs monopoly</option>
+              <option value="environment">Environmental impact — greenest vs most profitable</option>
+              <option value="policy">Policy levers — minimal subsidy or tax to reach a strategy</option>
+              <option value="montecarlo">Monte Carlo — parameter uncertainty</option>
               <option value="table">Single-point profits</option>
             </select>
           </div>
+
+          <div style={{ marginTop:8 }}>
+            <label>leasing optimizer{' '}
+              <select value={optimizer} onChange={e => setOptimizer(e.target.value)}>
+                <option value="exact">exact (KKT active sets)</option>
+                <option value="grid">grid search (verification)</option>
+              </select>
+            </label>
+          </div>
+
+          <DemandSelector demand={demand} onChange={next => validDemand(next) && setDemand(next)} />
+
+          {isMap && (
+            <div style={{ marginTop:8 }}>
+              <label>map view{' '}
+                <select value={view} onChange={e => setView(e.target.value)}>
+                  <option value="choice">choice regions</option>
+                  <option value="gap">profit gap (best − second best)</option>
+                  {STRATEGIES.map(s => <option key={s} value={s}>profit surface π {s}</option>)}
+                </select>
+              </label>{' '}
+              <select value={surface} disabled={view === 'choice'} onChange={e => setSurface(e.target.value)}>
+                <option value="heatmap">heatmap</option>
+                <option value="contour">contours</option>
+              </select>
+              {traceable && (
+                <div>
+                  <label>
+                    <input type="checkbox" checked={trace} onChange={e => setTrace(e.target.checked)} />
+                    {' '}trace boundaries (root finding)
+                  </label>
+                </div>
+              )}
+            </div>
+          )}
+
+          <ScenarioBar state={viewState} onLoad={applyState} onPin={pin} canPin={isComparable(viewState)} />
+          <ReportBar state={viewState} />
         </div>
 
+        {spec && (
+          <div style={{ flex: 1, background:'#fff', padding:12, borderRadius:8 }}>
+            <SpecEditor
+              spec={spec}
+              base={base}
+              onChange={next => setSpecs({ ...specs, [figure]: next })}
+              onReset={() => setSpecs({ ...specs, [figure]: DEFAULT_SPECS[figure] })}
+            />
+          </div>
+        )}
+
         <div style={{ flex: 1, background:'#fff', padding:12, borderRadius:8 }}>
           <h3 style={{ marginTop:0 }}>Key equations (simplified)</h3>
           <MathJaxSmall tex={'\\Pi_{SI} = \\frac{(2 - 4c + (\\delta_1 + \\delta_2))^2}{8(2 + 3(\\delta_1 + \\delta_2))}'} />
@@ -172,46 +326,179 @@ export default function Home() {
       </div>
 
       <main style={{ marginTop: 14 }}>
-        {figure === 'fig1' && (() => {
-          // show selling or leasing choice switcher: use gridData with Z_sell and Z_leas
-          return (
-            <>
-              <h3>Fig 1: Architecture Choice — Selling</h3>
-              <HeatmapInner Z={gridData.Z_sell} x={gridData.xAxis} y={gridData.yAxis} title="Selling: SM vs SI" />
-              <h3 style={{ marginTop: 18 }}>Fig 1: Architecture Choice — Leasing</h3>
-              <HeatmapInner Z={gridData.Z_leas} x={gridData.xAxis} y={gridData.yAxis} title="Leasing: LM vs LI" />
-            </>
-          );
-        })()}
+        <JobProgress job={job} />
+        {traced && <JobProgress job={traceJob} label="Tracing boundaries" />}
+        <ExportBar figure={figure} params={jobParams} data={gridData} boundaries={traced} disabled={job.running || traceJob.running} />
+        <PrecisionNote precision={gridData.precision} />
+        {selected ? (
+          <PointInspector
+            point={selected} optimizer={optimizer} demand={demand}
+            onApply={point => applyState({ ...viewState, ...point })} onClose={() => setSelected(null)}
+          />
+        ) : inspectable && (
+          <p style={{ fontSize: 13, color: '#666' }}>Click a map cell to inspect its profits, quantities and prices.</p>
+        )}
+
+        {showChoice && figure === 'fig1' && gridData.results.map((r, idx) => (
+          // selling and leasing architecture choice per case: layers sell and lease
+          <div key={idx}>
+            <h3>Fig 1: Architecture Choice — Selling {r.label}</h3>
+            <CategoryMap {...mapProps(r, 'sell')} name="Selling" title="Selling: SM vs SI" />
+            <h3 style={{ marginTop: 18 }}>Fig 1: Architecture Choice — Leasing {r.label}</h3>
+            <CategoryMap {...mapProps(r, 'lease')} name="Leasing" title="Leasing: LM vs LI" />
+          </div>
+        ))}
+
+        {showChoice && figure === 'fig2' && (
+          <>
+            <h3>Fig 2: Architecture Switching</h3>
+            {gridData.results.map((r, idx) => (
+              <div key={idx} style={{ marginBottom: 12 }}>
+                <h4>{r.label}</h4>
+                <CategoryMap {...mapProps(r, 'switch')} name="Architecture" title={`Switch map ${r.label}`} />
+              </div>
+            ))}
+          </>
+        )}
+
+        {showChoice && figure === 'fig3' && gridData.results.map((r, idx) => (
+          <div key={idx}>
+            <h3>Fig 3: Business Model Choice {r.label}</h3>
+            <div style={{ marginBottom: 12 }}>
+              <h4>Integral preference (Lease &gt; Sell)</h4>
+              <CategoryMap {...mapProps(r, 'integral')} name="Integral" title="Integral: Lease vs Sell" height={380} />
+            </div>
+            <div style={{ marginBottom: 12 }}>
+              <h4>Modular preference (Lease &gt; Sell)</h4>
+              <CategoryMap {...mapProps(r, 'modular')} name="Modular" title="Modular: Lease vs Sell" height={380} />
+            </div>
+            <div>
+              <h4>Switch regions</h4>
+              <CategoryMap {...mapProps(r, 'switch')} name="Business model" title="Switch Map" height={380} />
+            </div>
+          </div>
+        ))}
+
+        {showChoice && (figure === 'fig4' || figure === 'fig5') && (
+          <>
+            <h3>{figure === 'fig4'
+              ? 'Fig 4: Joint Choice Strategy Map'
+              : `Fig 5: Integration cost effect (${gridData.results.map(r => r.label).join(' vs ')})`}</h3>
+            {gridData.results.map((r, idx) => (
+              <div key={idx} style={{ marginBottom: 12 }}>
+                <h4>{r.label}</h4>
+                <CategoryMap {...mapProps(r, 'best')} name="Best" title={`${gridData.title} — ${r.label}`} />
+              </div>
+            ))}
+          </>
+        )}
+
+        {showChoice && figure === 'cycles' && (
+          <>
+            <h3>{gridData.title}</h3>
+            <p style={{ fontSize: 13, color: '#666' }}>
+              N-cycle steady state: leased units are refurbished and re-leased, modular ones may get a new weak module each cycle;
+              sold units circulate on the secondary market for all N cycles.
+            </p>
+            {gridData.results.map((r, idx) => (
+              <div key={idx} style={{ marginBottom: 12 }}>
+                {r.label && <h4>{r.label}</h4>}
+                <CategoryMap {...mapProps(r, 'best')} name="Best" title={`${gridData.title} ${r.label}`.trim()} />
+              </div>
+            ))}
+          </>
+        )}
+
+        {showChoice && figure === 'duopoly' && (
+          <>
+            <h3>{gridData.title}</h3>
+            <p style={{ fontSize: 13, color: '#666' }}>
+              Two firms with the same two-cycle technology each commit to a strategy, then compete in quantities on one market.
+              Left: the Nash equilibrium of that game; right: the monopolist&apos;s best strategy, whose traced boundaries overlay both maps.
+            </p>
+            {gridData.results.map((r, idx) => (
+              <div key={idx} style={{ marginBottom: 12 }}>
+                {r.label && <h4>{r.label}</h4>}
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+                  <CategoryMap {...mapProps(r, 'equilibrium')} name="Equilibrium" title={`Duopoly equilibrium ${r.label}`.trim()} />
+                  <CategoryMap {...mapProps(r, 'monopoly')} name="Monopoly" title={`Monopoly ${r.label}`.trim()} />
+                </div>
+              </div>
+            ))}
+            <GamePanel d1={d1} d2={d2} gamma={gamma} c={c} k={k} demand={demand} />
+          </>
+        )}
 
-        {figure === 'fig2' && (() => {
-          // gridData.results contains two grids for gamma=0.8 and 1.2
-          const cmap = [
-            [0, 'rgb(255,255,255)'], // 0 -> white
-            [0.25, 'rgb(144,238,144)'],
-            [0.5, 'rgb(255,127,127)'],
-            [0.9, 'rgb(221,221,221)']
-          ];
+        {showChoice && figure === 'environment' && (
+          <>
+            <h3>{gridData.title}</h3>
+            <p style={{ fontSize: 13, color: '#666' }}>
+              Left: the producing strategy with the lowest {IMPACT_METRICS[spec.impact.metric]}; right: the most profitable one.
+            </p>
+            {gridData.results.map((r, idx) => (
+              <div key={idx} style={{ marginBottom: 12 }}>
+                {r.label && <h4>{r.label}</h4>}
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+                  <CategoryMap {...mapProps(r, 'greenest')} name="Greenest" title={`Greenest ${r.label}`.trim()} />
+                  <CategoryMap {...mapProps(r, 'best')} name="Best" title={`Most profitable ${r.label}`.trim()} />
+                </div>
+              </div>
+            ))}
+            {impactSolutions && <ImpactPanel solutions={impactSolutions} metric={spec.impact.metric} title="Slider point" />}
+          </>
+        )}
+
+        {showChoice && figure === 'policy' && (
+          <>
+            <h3>{gridData.title}</h3>
+            <p style={{ fontSize: 13, color: '#666' }}>
+              Left: the best strategy under the status quo policy; right: the smallest increase of the {POLICY_LEVERS[spec.lever]} (up to +{spec.max})
+              that makes {spec.to} optimal. Blank cells are not searched or never reach {spec.to} in that range.
+            </p>
+            {gridData.results.map((r, idx) => (
+              <div key={idx} style={{ marginBottom: 12 }}>
+                {r.label && <h4>{r.label}</h4>}
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+                  <CategoryMap {...mapProps(r, 'status')} name="Status quo" title={`Status quo ${r.label}`.trim()} />
+                  <Plot data={[
+                    {
+                      z: r.layers.required, x: gridData.xAxis, y: gridData.yAxis, type: 'heatmap', zsmooth: false, colorscale: 'YlOrRd',
+                      colorbar: { title: POLICY_LEVERS[spec.lever] },
+                      hovertemplate: `${axisLabel(gridData.xParam)}: %{x}<br>${axisLabel(gridData.yParam)}: %{y}<br>required: %{z:.5f}<extra></extra>`
+                    },
+                    ...(boundaryOverlay(r.label, gridData.boundaries.status) || [])
+                  ]} layout={{
+                    height: 520, margin: { t: 40, l: 60 }, title: `Required ${POLICY_LEVERS[spec.lever]}`, showlegend: false,
+                    xaxis: { title: axisLabel(gridData.xParam) }, yaxis: { title: axisLabel(gridData.yParam) }
+                  }} exportTitle={`${gridData.title} ${r.label}`.trim()} useResizeHandler style={{ width: '100%' }} />
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+
+        {!showChoice && (() => {
+          // continuous view of every case with all layers' regime boundaries
+          const seen = new Set();
+          const boundaries = Object.values(gridData.boundaries).flat().filter(bd => {
+            const key = `${bd.a}-${bd.b}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+          const name = view === 'gap' ? 'gap' : `π ${view}`;
           return (
             <>
-              <h3>Fig 2: Architecture Switching</h3>
+              <h3>{gridData.title} — {view === 'gap' ? 'profit gap between the best and second-best strategy' : `profit of ${STRATEGY_NAMES[view]} (${view})`}</h3>
               {gridData.results.map((r, idx) => (
                 <div key={idx} style={{ marginBottom: 12 }}>
-                  <h4>γ = {r.gamma}</h4>
-                  <Plot
-                    data={[{
-                      z: r.Z,
-                      x: gridData.xAxis,
-                      y: gridData.yAxis,
-                      type: 'heatmap',
-                      colorscale: cmap,
-                      zmin: 0, zmax: 3,
-                      zsmooth: false,
-                      hovertemplate: 'δ1: %{x}<br>δ2: %{y}<br>code: %{z}<extra></extra>'
-                    }]}
-                    layout={{ title: `Switch map γ=${r.gamma}`, height: 520, margin: {t:40, l:60} }}
-                    useResizeHandler
-                    style={{ width: '100%' }}
+                  {r.label && <h4>{r.label}</h4>}
+                  <ProfitMap
+                    Z={view === 'gap' ? r.gap : r.profits[view]} x={gridData.xAxis} y={gridData.yAxis}
+                    result={r} boundaries={boundaries} overlay={boundaryOverlay(r.label)} surface={surface} name={name}
+                    xLabel={axisLabel(gridData.xParam)} yLabel={axisLabel(gridData.yParam)}
+                    exportTitle={`${gridData.title} ${r.label} ${name}`.replace(/\s+/g, ' ').trim()}
+                    {...selectionProps(r)}
                   />
                 </div>
               ))}
@@ -219,136 +506,147 @@ export default function Home() {
           );
         })()}
 
-        {figure === 'fig3' && (() => {
-          return (
-            <>
-              <h3>Fig 3: Business Model Choice</h3>
-              <div style={{ marginBottom: 12 }}>
-                <h4>Integral preference (Lease>Sell)</h4>
-                <Plot data={[{
-                  z: gridData.Z_int, x: gridData.cAxis, y: gridData.gAxis, type:'heatmap',
-                  zmin:0, zmax:1, zsmooth:false, colorscale:[['0','rgb(221,221,221)'],['1','rgb(136,136,136)']],
-                  hovertemplate: 'c: %{x}<br>γ: %{y}<br>val: %{z}<extra></extra>'
-                }]} layout={{height:380, title:'Integral: Lease vs Sell'}} useResizeHandler style={{width:'100%'}} />
-              </div>
-
-              <div style={{ marginBottom: 12 }}>
-                <h4>Modular preference (Lease>Sell)</h4>
-                <Plot data={[{
-                  z: gridData.Z_mod, x: gridData.cAxis, y: gridData.gAxis, type:'heatmap',
-                  zmin:0, zmax:1, zsmooth:false, colorscale:[['0','rgb(221,221,221)'],['1','rgb(136,136,136)']],
-                  hovertemplate: 'c: %{x}<br>γ: %{y}<br>val: %{z}<extra></extra>'
-                }]} layout={{height:380, title:'Modular: Lease vs Sell'}} useResizeHandler style={{width:'100%'}} />
-              </div>
-
-              <div>
-                <h4>Switch regions</h4>
-                <Plot data={[{
-                  z: gridData.Z_switch, x: gridData.cAxis, y: gridData.gAxis, type:'heatmap',
-                  zsmooth:false, colorscale:[['0','white'],['0.5','salmon'],['1','lightgrey']],
-                  hovertemplate: 'c: %{x}<br>γ: %{y}<br>code: %{z}<extra></extra>'
-                }]} layout={{height:380, title:'Switch Map'}} useResizeHandler style={{width:'100%'}} />
-              </div>
-            </>
-          );
-        })()}
-
-        {figure === 'fig4' && (() => {
+        {figure === 'fig6' && (() => {
           return (
             <>
-              <h3>Fig 4: Joint Choice Strategy Map</h3>
-              {gridData.results.map((r, idx) => (
-                <div key={idx} style={{ marginBottom: 12 }}>
-                  <h4>{r.name}</h4>
-                  <Plot data={[{
-                    z: r.Z, x: gridData.cAxis, y: gridData.gAxis, type:'heatmap',
-                    zsmooth:false, colorscale:[
-                      [0,'rgb(31,119,180)'], [0.33,'rgb(31,119,180)'],
-                      [0.34,'rgb(255,127,14)'], [0.66,'rgb(255,127,14)'],
-                      [0.67,'rgb(44,160,44)'], [0.99,'rgb(44,160,44)'],
-                      [1,'rgb(214,39,40)']
-                    ],
-                    zmin:0, zmax:3,
-                    hovertemplate: 'c: %{x}<br>γ: %{y}<br>code: %{z}<extra></extra>'
-                  }]} layout={{height:520}} useResizeHandler style={{width:'100%'}} />
-                </div>
+              <h3>Fig 6: Endogenous Durability</h3>
+              {gridData.out.map(series => (
+                <DurabilityChart key={series.label} series={series} title={`Optimal δ1 & δ2 vs c0 — ${series.label}`} />
               ))}
+              <p style={{ fontSize: 12, color: '#666' }}>
+                For each base cost the seller picks δ1 ≥ δ2 and the strategy maximizing profit net of the durability cost
+                (search grid refined by a bounded compass search); the background shows the optimal strategy.
+              </p>
             </>
           );
         })()}
 
-        {figure === 'fig5' && (() => {
+        {showChoice && figure === 'custom' && (() => {
+          const output = spec.output;
+          const hover = `${axisLabel(gridData.xParam)}: %{x}<br>${axisLabel(gridData.yParam)}: %{y}`;
+          const style = output.type === 'difference' ? { colorscale: 'RdBu', zmid: 0 } : { colorscale: 'Viridis' };
           return (
             <>
-              <h3>Fig 5: Integration cost effect (k=0 vs k=0.02)</h3>
+              <h3>{gridData.title}</h3>
               {gridData.results.map((r, idx) => (
                 <div key={idx} style={{ marginBottom: 12 }}>
-                  <h4>k = {r.k}</h4>
-                  <Plot data={[{
-                    z: r.Z, x: gridData.cAxis, y: gridData.gAxis, type:'heatmap',
-                    zsmooth:false, colorscale:[
-                      [0,'rgb(31,119,180)'], [0.33,'rgb(31,119,180)'],
-                      [0.34,'rgb(255,127,14)'], [0.66,'rgb(255,127,14)'],
-                      [0.67,'rgb(44,160,44)'], [0.99,'rgb(44,160,44)'],
-                      [1,'rgb(214,39,40)']
-                    ],
-                    zmin:0, zmax:3,
-                    hovertemplate: 'c: %{x}<br>γ: %{y}<br>code: %{z}<extra></extra>'
-                  }]} layout={{height:520}} useResizeHandler style={{width:'100%'}} />
+                  {r.label && <h4>{r.label}</h4>}
+                  {isCategorical(output) ? (
+                    <CategoryMap {...mapProps(r, 'value')} name={describeOutput(output)} exportTitle={`${gridData.title} ${r.label}`.trim()} />
+                  ) : (
+                    <Plot data={[{
+                      z: r.layers.value, x: gridData.xAxis, y: gridData.yAxis, type:'heatmap', zsmooth:false, ...style,
+                      hovertemplate: `${hover}<br>${describeOutput(output)}: %{z:.5f}<extra></extra>`
+                    }]} layout={{
+                      height:520, margin:{t:40, l:60},
+                      xaxis:{ title: axisLabel(gridData.xParam) }, yaxis:{ title: axisLabel(gridData.yParam) }
+                    }} exportTitle={`${gridData.title} ${r.label}`.trim()} useResizeHandler style={{width:'100%'}} />
+                  )}
                 </div>
               ))}
             </>
           );
         })()}
 
-        {figure === 'fig6' && (() => {
+        {figure === 'montecarlo' && gridData.runs && (
+          <>
+            <h3>{gridData.title}</h3>
+            {gridData.runs.map((run, idx) => (
+              <div key={idx} style={{ marginBottom: 12 }}>
+                {run.label && <h4>{run.label}</h4>}
+                <UncertaintyView run={run} title={`${gridData.title} ${run.label}`.trim()} />
+              </div>
+            ))}
+          </>
+        )}
+
+        {figure === 'table' && gridData.solutions && (() => {
+          const cell = {border:'1px solid #eee',padding:8};
+          const fmt = (obj) => Object.entries(obj).map(([name,v]) => `${name}=${v.toFixed(4)}`).join(', ');
+          const top = gridData.ranking[0];
           return (
-            <>
-              <h3>Fig 6: Endogenous Durability</h3>
-              <Plot
-                data={
-                  gridData.out.flatMap(series => ([
-                    { x: series.c0_vals, y: series.opt_d1, mode: 'lines+markers', name: `δ1 (γ=${series.gamma})` },
-                    { x: series.c0_vals, y: series.opt_d2, mode: 'lines+markers', name: `δ2 (γ=${series.gamma})` }
-                  ]))
-                }
-                layout={{ title: 'Optimal δ1 & δ2 vs c0', xaxis:{title:'c0'}, yaxis:{title:'durability',range:[0,1]}, height:520 }}
-                useResizeHandler
-                style={{ width: '100%' }}
-              />
-            </>
+            <div style={{ background:'#fff', padding:12, borderRadius:8 }}>
+              <h3>Single-point profits</h3>
+              <p style={{ fontSize: 13, color: '#666' }}>
+                Best: {top.strategy} ({STRATEGY_NAMES[top.strategy]}), ahead of {gridData.ranking[1].strategy} by {top.lead.toFixed(6)}
+              </p>
+              <table style={{ width:'100%', borderCollapse:'collapse' }}>
+                <thead>
+                  <tr>
+                    {['Rank','Strategy','Profit','Lead over next','Behind best','Branch','Quantities','Prices','Revenue','Cost'].map(h => <th key={h} style={cell}>{h}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {gridData.ranking.map(({ strategy: key, lead, behind }, rank) => {
+                    const sol = gridData.solutions[key];
+                    return (
+                      <tr key={key}>
+                        <td style={cell}>{rank + 1}</td>
+                        <td style={cell}>{key}</td>
+                        <td style={cell}>{sol.profit.toFixed(6)}</td>
+                        <td style={cell}>{rank + 1 < gridData.ranking.length ? lead.toFixed(6) : '—'}</td>
+                        <td style={cell}>{behind.toFixed(6)}</td>
+                        <td style={cell}>{sol.branch}</td>
+                        <td style={cell}>{fmt(sol.quantities)}</td>
+                        <td style={cell}>{fmt(sol.prices)}</td>
+                        <td style={cell}>{sol.revenue.toFixed(6)}</td>
+                        <td style={cell}>{sol.cost.toFixed(6)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <ImpactPanel solutions={gridData.solutions} metric={DEFAULT_SPECS.environment.impact.metric} title="Single point" />
+              <SensitivityPanel sensitivity={gridData.sensitivity} ranking={gridData.ranking} />
+            </div>
           );
         })()}
 
-        {figure === 'table' && (() => (
-          <div style={{ background:'#fff', padding:12, borderRadius:8 }}>
-            <h3>Single-point profits</h3>
-            <table style={{ width:'100%', borderCollapse:'collapse' }}>
-              <thead><tr><th style={{border:'1px solid #eee',padding:8}}>Strategy</th><th style={{border:'1px solid #eee',padding:8}}>Profit</th></tr></thead>
-              <tbody>
-                {Object.entries(gridData.singleProfits).map(([k,v]) => (
-                  <tr key={k}><td style={{border:'1px solid #eee',padding:8}}>{k}</td><td style={{border:'1px solid #eee',padding:8}}>{v.toFixed(6)}</td></tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        ))}
-
+        {pinned.length > 0 && (
+          <>
+            <JobProgress job={compareJob} label="Comparing scenarios" />
+            <CompareView
+              pinned={pinned} data={compareJob.data} onLoad={applyState}
+              onRemove={label => updatePinned(pinned.filter(p => p.label !== label))} onClear={() => updatePinned([])}
+            />
+            {compareJob.data && (
+              <ExportBar figure="compare" params={compareParams(pinned)} data={compareJob.data} disabled={compareJob.running} />
+            )}
+          </>
+        )}
+        <CalibrationPanel base={base} optimizer={optimizer} demand={demand} onApply={params => applyState({ ...viewState, ...params })} />
       </main>
     </div>
   );
 }
 
-// Small inner heatmap wrapper to keep JSX tidy
-function HeatmapInner({ Z, x, y, title }) {
-  // if Z is undefined, show placeholder text
-  if (!Z) return <div style={{ padding: 16, color: '#666' }}>No data (adjust resolution / params)</div>;
+// Symbol of a model parameter for axis titles and hover text
+function axisLabel(param) {
+  return PARAMS[param] ? PARAMS[param].label : param;
+}
+
+// Progress of a worker job behind the current figure
+function JobProgress({ job, label='Computing' }) {
+  if (job.error) return <div style={{ color: '#b00020', fontSize: 13 }}>{label} failed: {job.error}</div>;
+  if (!job.running) return null;
+  const pct = Math.round(100 * job.done / job.total);
   return (
-    <Plot
-      data={[{ z: Z, x, y, type: 'heatmap', zsmooth: false, colorscale:[['0','rgb(240,240,240)'],['1','rgb(200,30,30)']], hovertemplate:'δ1: %{x}<br>δ2: %{y}<br>val: %{z}<extra></extra>' }]}
-      layout={{ title, height:520, autosize:true, margin:{t:40, l:60} }}
-      useResizeHandler
-      style={{ width: '100%' }}
-    />
+    <div style={{ marginBottom: 8 }}>
+      <div style={{ fontSize: 13, color: '#666' }}>{label}… {pct}%</div>
+      <div style={{ height: 6, background: '#eee', borderRadius: 3 }}>
+        <div style={{ width: `${pct}%`, height: '100%', background: '#1f77b4', borderRadius: 3 }} />
+      </div>
+    </div>
   );
 }
+
+// Reports how accurately the leasing programs behind the current figure were solved
+function PrecisionNote({ precision }) {
+  if (!precision) return null;
+  let text;
+  if (precision.method === 'exact') text = `exact KKT solution, max residual ${precision.error.toExponential(1)}`;
+  else if (precision.method === 'grid') text = `grid search, quantity step ${precision.error.toFixed(4)}`;
+  else if (precision.method === 'search') text = `pattern search, final step ${precision.error.toExponential(1)}`;
+  else text = 'closed-form solutions only';
+  return <div style={{ fontSize: 13, color: '#666' }}>Optimizer precision: {text}</div>;
+}
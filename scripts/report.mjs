@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// scripts/report.mjs
+// Headless report generator: runs a set of figures at one parameter point and
+// writes the standalone HTML report of utils/report.js (open it in a browser
+// and print to PDF). Needs Node >= 20.19, as scripts/simulate.mjs.
+//
+//   node scripts/report.mjs
+//   node scripts/report.mjs --figures fig1,fig4,fig6 --c 0.12 --out weekly.html
+//   node scripts/report.mjs my-scenario.json --title "Product line A"
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { generateReport, REPORT_FIGURES, DEFAULT_REPORT_FIGURES, DEFAULT_REPORT_TITLE } from '../utils/report.js';
+import { DEFAULT_STATE, OPTIMIZERS, validDemand, sanitizeState, planParams } from '../utils/state.js';
+
+const USAGE = `Usage: report [scenario.json] [options]
+
+  scenario.json       saved simulator state (sliders, figure, optional spec);
+                      its spec is used when its figure is in the report
+
+Options:
+  --figures <list>                     comma-separated figures or all
+                                       (default: ${DEFAULT_REPORT_FIGURES.join(',')}; any of ${REPORT_FIGURES.join(', ')})
+  --d1 --d2 --gamma --c --k <number>   parameter overrides
+  --resolution <n>                     map resolution
+  --optimizer <${OPTIMIZERS.join('|')}>            leasing optimizer
+  --demand <json>                      demand model, as for simulate
+  --title <text>                       report title (default: ${DEFAULT_REPORT_TITLE})
+  --date <text>                        date printed under the title (default: today)
+  --out <file>                         output file (default: report.html)
+  --help                               show this message
+`;
+
+const OVERRIDES = ['d1', 'd2', 'gamma', 'c', 'k', 'resolution', 'optimizer'];
+
+function fail(message) {
+  process.stderr.write(`report: ${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = {
+    positional: [], overrides: {}, figures: DEFAULT_REPORT_FIGURES, title: DEFAULT_REPORT_TITLE,
+    date: new Date().toISOString().slice(0, 10), out: 'report.html'
+  };
+  for (let i=0;i<argv.length;i++){
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') { process.stdout.write(USAGE); process.exit(0); }
+    if (!arg.startsWith('--')) { args.positional.push(arg); continue; }
+    const key = arg.slice(2);
+    const value = argv[++i];
+    if (value === undefined) fail(`missing value for ${arg}`);
+    if (key === 'out') args.out = value;
+    else if (key === 'title') args.title = value;
+    else if (key === 'date') args.date = value;
+    else if (key === 'figures') args.figures = value === 'all' ? REPORT_FIGURES : value.split(',').map(s => s.trim()).filter(Boolean);
+    else if (key === 'demand'){
+      try { args.overrides.demand = JSON.parse(value); } catch (e) { fail(`--demand is not valid JSON: ${e.message}`); }
+      if (!validDemand(args.overrides.demand)) fail('--demand is not a valid demand model');
+    }
+    else if (OVERRIDES.includes(key)) args.overrides[key] = key === 'optimizer' ? value : Number(value);
+    else fail(`unknown option ${arg}`);
+  }
+  if (!args.figures.length) fail('--figures is empty');
+  for (const figure of args.figures) if (!REPORT_FIGURES.includes(figure)) fail(`figure ${figure} cannot be reported`);
+  for (const [key, v] of Object.entries(args.overrides)){
+    if (key !== 'optimizer' && key !== 'demand' && !Number.isFinite(v)) fail(`--${key} must be a number`);
+    if (key === 'optimizer' && !OPTIMIZERS.includes(v)) fail(`--optimizer must be one of ${OPTIMIZERS.join(', ')}`);
+  }
+  if (args.positional.length > 1) fail('expected at most one scenario file');
+  return args;
+}
+
+function resolveState(args) {
+  if (!args.positional.length) return sanitizeState({ ...DEFAULT_STATE, ...args.overrides });
+  const target = args.positional[0];
+  let scenario;
+  try { scenario = JSON.parse(fs.readFileSync(target, 'utf8')); }
+  catch (e) { fail(`cannot read scenario ${target}: ${e.message}`); }
+  return sanitizeState({ ...scenario, ...args.overrides });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const state = resolveState(args);
+  const figures = args.figures.map(figure => ({
+    figure, params: planParams({ ...state, figure, spec: figure === state.figure ? state.spec : null })
+  }));
+  const point = planParams({ ...state, figure: 'table', spec: null });
+  const html = generateReport({ point, figures, title: args.title, date: args.date });
+  const dir = path.dirname(args.out);
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(args.out, html);
+  process.stdout.write(`${args.out}\n`);
+}
+
+main();
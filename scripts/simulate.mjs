@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// scripts/simulate.mjs
+// Headless batch runner for the simulator figures: computes any figure (or all
+// of them) with utils/model.js and writes tidy CSV, JSON bundles and optional
+// static SVG charts. Output is deterministic so regenerated files diff cleanly.
+// Needs Node >= 20.19 (utils/*.js are ES modules without "type": "module").
+//
+//   node scripts/simulate.mjs fig4 --resolution 80 --svg
+//   node scripts/simulate.mjs all --out results
+//   node scripts/simulate.mjs my-scenario.json --gamma 1.1
+//   node scripts/simulate.mjs fig1 --boundaries --svg
+//   node scripts/simulate.mjs fig4 --demand '{"type":"beta","a":2,"b":2}'
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { planFigure, runPlan } from '../utils/model.js';
+import { toCSV, toJSONBundle, exportName } from '../utils/export.js';
+import { figureCharts } from '../utils/report.js';
+import { DEFAULT_STATE, FIGURES, OPTIMIZERS, validDemand, sanitizeState, planParams } from '../utils/state.js';
+
+const USAGE = `Usage: simulate <figure|all|scenario.json> [options]
+
+  figure              ${FIGURES.join(', ')} or all
+  scenario.json       saved simulator state (sliders, figure, optional spec)
+
+Options:
+  --d1 --d2 --gamma --c --k <number>   parameter overrides
+  --resolution <n>                     grid resolution
+  --optimizer <${OPTIMIZERS.join('|')}>            leasing optimizer
+  --demand <json>                      demand model, e.g. {"type":"segments","share":0.4,"scale":0.5}
+                                       (types: uniform, segments, beta, discounted)
+  --out <dir>                          output directory (default: output)
+  --format <csv,json>                  data formats to write (default: csv,json)
+  --svg                                also write static SVG charts
+  --boundaries                         trace regime boundaries of (x, y) maps
+                                       by root finding and write them too
+  --help                               show this message
+`;
+
+const OVERRIDES = ['d1', 'd2', 'gamma', 'c', 'k', 'resolution', 'optimizer'];
+
+function fail(message) {
+  process.stderr.write(`simulate: ${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { positional: [], overrides: {}, out: 'output', formats: ['csv', 'json'], svg: false, boundaries: false };
+  for (let i=0;i<argv.length;i++){
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') { process.stdout.write(USAGE); process.exit(0); }
+    if (!arg.startsWith('--')) { args.positional.push(arg); continue; }
+    const key = arg.slice(2);
+    if (key === 'svg') { args.svg = true; continue; }
+    if (key === 'boundaries') { args.boundaries = true; continue; }
+    const value = argv[++i];
+    if (value === undefined) fail(`missing value for ${arg}`);
+    if (key === 'out') args.out = value;
+    else if (key === 'format') args.formats = value.split(',').map(s => s.trim()).filter(Boolean);
+    else if (key === 'demand'){
+      try { args.overrides.demand = JSON.parse(value); } catch (e) { fail(`--demand is not valid JSON: ${e.message}`); }
+      if (!validDemand(args.overrides.demand)) fail('--demand is not a valid demand model');
+    }
+    else if (OVERRIDES.includes(key)) args.overrides[key] = key === 'optimizer' ? value : Number(value);
+    else fail(`unknown option ${arg}`);
+  }
+  for (const format of args.formats) if (!['csv', 'json'].includes(format)) fail(`unknown format ${format}`);
+  return args;
+}
+
+// States to run: one per requested figure, with scenario and flag overrides applied
+function resolveStates(args) {
+  if (args.positional.length !== 1) fail('expected exactly one figure id or scenario file');
+  const target = args.positional[0];
+  for (const [key, v] of Object.entries(args.overrides)){
+    if (key !== 'optimizer' && key !== 'demand' && !Number.isFinite(v)) fail(`--${key} must be a number`);
+    if (key === 'optimizer' && !OPTIMIZERS.includes(v)) fail(`--optimizer must be one of ${OPTIMIZERS.join(', ')}`);
+  }
+  if (target.endsWith('.json')){
+    let scenario;
+    try { scenario = JSON.parse(fs.readFileSync(target, 'utf8')); }
+    catch (e) { fail(`cannot read scenario ${target}: ${e.message}`); }
+    return [sanitizeState({ ...scenario, ...args.overrides })];
+  }
+  const figures = target === 'all' ? FIGURES : [target];
+  for (const figure of figures) if (!FIGURES.includes(figure)) fail(`unknown figure ${figure}`);
+  return figures.map(figure => sanitizeState({ ...DEFAULT_STATE, ...args.overrides, figure }));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const states = resolveStates(args);
+  fs.mkdirSync(args.out, { recursive: true });
+  const write = (file, text) => {
+    const target = path.join(args.out, file);
+    fs.writeFileSync(target, text);
+    process.stdout.write(`${target}\n`);
+  };
+  for (const state of states){
+    const params = planParams(state);
+    const plan = planFigure(state.figure, params);
+    const data = runPlan(plan);
+    const name = exportName(state.figure, data.title);
+    if (args.formats.includes('csv')) write(`${name}.csv`, toCSV(data));
+    if (args.formats.includes('json')) write(`${name}.json`, toJSONBundle(state.figure, params, data));
+    let traced = null;
+    // only sweeps over continuous parameters can be traced
+    if (args.boundaries && plan.sweep){
+      const figure = `${state.figure}/boundaries`;
+      traced = runPlan(planFigure(figure, params));
+      const tracedName = exportName(state.figure, traced.title);
+      if (args.formats.includes('csv')) write(`${tracedName}.csv`, toCSV(traced));
+      if (args.formats.includes('json')) write(`${tracedName}.json`, toJSONBundle(figure, params, traced));
+    }
+    if (args.svg) for (const [suffix, , svg] of figureCharts(data, traced)) write(`${name}-${suffix}.svg`, svg);
+  }
+}
+
+main();
@@ -0,0 +1,179 @@
+// test/api.test.mjs
+// Request validation and the content-addressed result cache of the API routes.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePoint, parseFigureRequest, parseReportRequest, cacheKey, requestCost, COST_BUDGET, respond, respondReport, clearCache } from '../utils/api.js';
+import { planFigure, runPlan, DEFAULT_SPECS } from '../utils/model.js';
+import { DEFAULT_STATE, FIGURES, MAX_CASES, reportQuery } from '../utils/state.js';
+
+// Minimal stand-in for the Next.js response object
+function response() {
+  const res = { statusCode: null, headers: {}, body: null };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (value) => { res.body = JSON.stringify(value); return res; };
+  res.end = (text=null) => { res.body = text; return res; };
+  return res;
+}
+
+function call(resolve, { method='GET', query={}, body, headers={} }={}) {
+  const res = response();
+  respond({ method, query, body, headers }, res, resolve);
+  return res;
+}
+
+function callReport({ method='GET', query={}, body }={}) {
+  const res = response();
+  respondReport({ method, query, body, headers: {} }, res);
+  return res;
+}
+
+test('parameters are range-checked and need d2 < d1', () => {
+  assert.deepEqual(parsePoint({ d1: '0.6', c: 0.1 }).base, { d1: 0.6, d2: 0.2, gamma: 1.0, c: 0.1, k: 0.0 });
+  assert.throws(() => parsePoint({ d1: '0.2', d2: '0.3' }), /d2 must be below d1/);
+  assert.throws(() => parsePoint({ c: '0.9' }), /c must be a number in/);
+  assert.throws(() => parsePoint({ gamma: 'abc' }), /gamma must be a number/);
+  assert.throws(() => parsePoint({ optimizer: 'newton' }), /optimizer must be one of/);
+  assert.deepEqual(parsePoint({ demand: '{"type":"beta","a":2,"b":3}' }).demand, { type: 'beta', a: 2, b: 3 });
+  assert.equal(parsePoint({ demand: { type: 'uniform' } }).demand, undefined);
+  assert.throws(() => parsePoint({ demand: { type: 'segments', share: 1.5, scale: 0.5 } }), /demand must be a demand model/);
+  assert.throws(() => parsePoint({ demand: '{type' }), /demand is not valid JSON/);
+  assert.throws(() => parseFigureRequest('fig9', {}), (e) => e.status === 404);
+  assert.throws(() => parseFigureRequest('fig4', { resolution: '1000' }), /resolution must be an integer/);
+  assert.throws(() => parseFigureRequest('fig4', { spec: '{' }), /spec is not valid JSON/);
+  const spec = { ...DEFAULT_SPECS.custom, x: { param: 'c', min: 0.01, max: 0.9 } };
+  assert.throws(() => parseFigureRequest('custom', { spec: JSON.stringify(spec) }), /spec.x range must lie in/);
+});
+
+test('spec sizes and fig6 ranges are bounded', () => {
+  const fig6 = (patch) => ({ spec: JSON.stringify({ ...DEFAULT_SPECS.fig6, ...patch }) });
+  const status = (figure, input) => {
+    try { parseFigureRequest(figure, input); return 200; } catch (e) { return e.status; }
+  };
+  assert.equal(status('fig6', fig6({})), 200);
+  assert.equal(status('fig6', fig6({ x: { param: 'c0', min: 0.01, max: 0.15, steps: 50000000 } })), 400);
+  assert.equal(status('fig6', fig6({ x: { param: 'c0', min: -5, max: 50, steps: 20 } })), 400);
+  assert.equal(status('fig6', fig6({ search: { min: -3, max: 4, steps: 3 } })), 400);
+  assert.equal(status('fig6', fig6({ search: { min: 0.1, max: 0.9, steps: 5000 } })), 400);
+  assert.equal(status('fig6', fig6({ search: { min: 0.9, max: 0.1, steps: 15 } })), 400);
+  const cases = Array.from({ length: 5000 }, (_, i) => ({ label: `case ${i}`, set: {} }));
+  assert.equal(status('custom', { resolution: '200', spec: JSON.stringify({ ...DEFAULT_SPECS.custom, cases }) }), 400);
+  assert.equal(status('custom', { spec: JSON.stringify({ ...DEFAULT_SPECS.custom, cases: cases.slice(0, MAX_CASES) }) }), 200);
+});
+
+test('requests over the cost budget are rejected before computing', () => {
+  const status = (figure, input) => {
+    try { parseFigureRequest(figure, input); return 200; } catch (e) { return e.status; }
+  };
+  const beta = { type: 'beta', a: 2, b: 5 };
+  for (const figure of FIGURES) assert.equal(status(figure, {}), 200);
+  assert.equal(status('fig4', { resolution: '200' }), 200);
+  assert.equal(status('duopoly', { resolution: '200' }), 413);
+  assert.equal(status('policy', { optimizer: 'grid' }), 413);
+  // non-linear demand lowers the budget of the slow figures further
+  assert.equal(status('cycles', { demand: beta }), 413);
+  assert.equal(status('cycles', { demand: beta, resolution: '12' }), 200);
+  assert.equal(status('fig6', { spec: JSON.stringify({ ...DEFAULT_SPECS.fig6, search: { min: 0.1, max: 0.9, steps: 200 } }) }), 413);
+  const cost = requestCost('duopoly', parseFigureRequest('duopoly', { resolution: '24' }).params);
+  assert.ok(cost > COST_BUDGET / 16 && cost <= COST_BUDGET);
+  // the route answers before running the plan
+  const res = call((input) => parseFigureRequest('duopoly', input), { query: { resolution: '200', demand: JSON.stringify(beta) } });
+  assert.equal(res.statusCode, 413);
+  assert.match(JSON.parse(res.body).error, /over the budget/);
+});
+
+test('specs naming inherited object keys are rejected', () => {
+  const status = (figure, spec) => {
+    try { parseFigureRequest(figure, { spec: JSON.stringify(spec) }); return 200; } catch (e) { return e.status; }
+  };
+  const custom = DEFAULT_SPECS.custom;
+  assert.equal(status('custom', { ...custom, x: { param: 'constructor', min: 0.1, max: 0.2 } }), 400);
+  assert.equal(status('custom', { ...custom, fixed: { toString: 0.1 } }), 400);
+  assert.equal(status('custom', { ...custom, cases: [{ label: '', set: { constructor: 0.1 } }] }), 400);
+  const montecarlo = DEFAULT_SPECS.montecarlo;
+  assert.equal(status('montecarlo', { ...montecarlo, distributions: { constructor: { type: 'uniform', min: 0, max: 1 } } }), 400);
+  const environment = DEFAULT_SPECS.environment;
+  assert.equal(status('environment', { ...environment, impact: { ...environment.impact, metric: 'toString' } }), 400);
+  assert.equal(status('policy', { ...DEFAULT_SPECS.policy, lever: 'constructor' }), 400);
+  assert.equal(status('fig6', { ...DEFAULT_SPECS.fig6, durabilityCost: { type: 'constructor' } }), 400);
+});
+
+test('figure requests plan what the simulator plans', () => {
+  const { figure, params } = parseFigureRequest('fig4', { resolution: '12', d1: '0.7' });
+  assert.equal(figure, 'fig4');
+  // fig4 sweeps c and γ over cases setting δ1 and δ2, so only k is read from the base
+  assert.deepEqual(params.base, { k: 0 });
+  assert.equal(params.resolution, 12);
+  // keys of equal params in any order address the same entry
+  assert.equal(cacheKey('fig4', params), cacheKey('fig4', { resolution: 12, optimizer: 'exact', base: { k: 0 }, spec: params.spec }));
+  assert.notEqual(cacheKey('fig4', params), cacheKey('fig5', params));
+  const beta = parseFigureRequest('fig4', { resolution: '12', demand: { type: 'beta', a: 2, b: 2 } }).params;
+  assert.notEqual(cacheKey('fig4', beta), cacheKey('fig4', params));
+});
+
+test('responses are cached by content and revalidate by ETag', () => {
+  clearCache();
+  const resolve = (input) => parseFigureRequest('fig1', input);
+  const first = call(resolve, { query: { resolution: '10' } });
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.headers['X-Cache'], 'MISS');
+  const bundle = JSON.parse(first.body);
+  assert.deepEqual(bundle.data, JSON.parse(JSON.stringify(runPlan(planFigure('fig1', bundle.params)))));
+  // the same request as a POST body hits the entry
+  const second = call(resolve, { method: 'POST', body: { resolution: 10 } });
+  assert.equal(second.headers['X-Cache'], 'HIT');
+  assert.equal(second.body, first.body);
+  const revalidated = call(resolve, { query: { resolution: '10' }, headers: { 'if-none-match': first.headers.ETag } });
+  assert.equal(revalidated.statusCode, 304);
+  assert.equal(call(resolve, { query: { d2: '0.99' } }).statusCode, 400);
+  assert.equal(call(resolve, { method: 'DELETE' }).statusCode, 405);
+  // a POST body cannot change the figure of the route
+  const routed = ({ fig, ...input }) => parseFigureRequest(fig, input);
+  const posted = call(routed, { method: 'POST', query: { fig: 'fig1' }, body: { fig: 'fig4', resolution: 10 } });
+  assert.equal(JSON.parse(posted.body).figure, 'fig1');
+});
+
+test('report requests list reportable figures with optional specs', () => {
+  const request = parseReportRequest({ figures: 'fig1, fig4', resolution: '12', c: '0.1', title: 'Line A' });
+  assert.deepEqual(request.figures.map(f => f.figure), ['fig1', 'fig4']);
+  assert.equal(request.point.base.c, 0.1);
+  assert.equal(request.figures[1].params.resolution, 12);
+  assert.equal(request.title, 'Line A');
+  assert.deepEqual(parseReportRequest({ figures: 'fig1,fig4,fig1,fig1' }).figures.map(f => f.figure), ['fig1', 'fig4']);
+  assert.deepEqual(parseReportRequest({}).figures.map(f => f.figure), ['fig1', 'fig3', 'fig4']);
+  const spec = { ...DEFAULT_SPECS.fig4, x: { param: 'c', min: 0.05, max: 0.2 } };
+  assert.deepEqual(parseReportRequest({ figures: 'fig4', specs: JSON.stringify({ fig4: spec }) }).figures[0].params.spec.x, spec.x);
+  // the simulator's report query carries the edited spec of its figure
+  const fromState = parseReportRequest(reportQuery({ ...DEFAULT_STATE, figure: 'fig4', c: 0.2, spec }, ['fig1', 'fig4'], 'T'));
+  assert.deepEqual(fromState.figures[1].params.spec.x, spec.x);
+  assert.deepEqual(fromState.figures[0].params.spec, DEFAULT_SPECS.fig1);
+  assert.equal(fromState.point.base.c, 0.2);
+  assert.throws(() => parseReportRequest({ figures: 'fig4,table' }), /figures must be among/);
+  assert.throws(() => parseReportRequest({ figures: ' , ' }), /figures must name at least one figure/);
+  assert.throws(() => parseReportRequest({ specs: '[1]' }), /specs must map figure ids to specs/);
+  assert.throws(() => parseReportRequest({ figures: 'fig4', specs: { fig4: { x: 1 } } }), /spec does not fit figure fig4/);
+});
+
+test('the report route answers HTML built from cached results', () => {
+  clearCache();
+  const res = callReport({ query: { figures: 'fig1', resolution: '10' } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['Content-Type'], 'text/html; charset=utf-8');
+  assert.match(res.body, /<h2>Architecture Choice \(Fig 1\)<\/h2>/);
+  // the figure's data is now a cache entry
+  assert.equal(call((input) => parseFigureRequest('fig1', input), { query: { resolution: '10' } }).headers['X-Cache'], 'HIT');
+  assert.equal(callReport({ query: { figures: 'montecarlo' } }).statusCode, 400);
+  assert.equal(callReport({ method: 'PUT' }).statusCode, 405);
+  // specs are held to the figure route's limits
+  const huge = { ...DEFAULT_SPECS.fig6, x: { ...DEFAULT_SPECS.fig6.x, steps: 50000000 } };
+  const rejected = callReport({ query: { figures: 'fig6', specs: JSON.stringify({ fig6: huge }) } });
+  assert.equal(rejected.statusCode, 400);
+  assert.match(JSON.parse(rejected.body).error, /spec does not fit figure fig6/);
+  // and to their budget, which the figures of a report share
+  const costly = callReport({ query: { figures: 'cycles,duopoly,policy' } });
+  assert.equal(costly.statusCode, 413);
+  assert.match(JSON.parse(costly.body).error, /the report would cost \d+, over the budget/);
+  assert.equal(callReport({ query: { figures: 'cycles', demand: '{"type":"beta","a":2,"b":5}' } }).statusCode, 413);
+  assert.equal(parseReportRequest({ figures: 'cycles,duopoly,policy', resolution: '24' }).figures.length, 3);
+});
@@ -0,0 +1,56 @@
+// test/calibrate.test.mjs
+// Least-squares calibration against the model's equilibrium prices and quantities.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseObservations, predictObservations, calibrate, studentQuantile } from '../utils/calibrate.js';
+
+const TRUTH = { d1: 0.62, d2: 0.18, gamma: 1.1, c: 0.12, k: 0.01 };
+const VARIABLES = [['SI', 'p'], ['SI', 'q'], ['LI', 'rn'], ['LI', 'ru'], ['LI', 'Lu'], ['SM', 'p1'], ['SM', 'p2'], ['SM', 'q2']];
+
+function observed(noise) {
+  const observations = VARIABLES.map(([strategy, variable]) => ({ strategy, variable, value: 0, sd: 1 }));
+  const values = predictObservations(TRUTH, observations);
+  return observations.map((o, i) => ({ ...o, value: values[i] * (1 + noise * Math.sin(7*i)) }));
+}
+
+test('calibration recovers the parameters behind exact equilibrium data', () => {
+  const result = calibrate(observed(0), { start: { k: TRUTH.k } });
+  assert.ok(result.converged);
+  for (const key of ['d1', 'd2', 'gamma', 'c']) assert.ok(Math.abs(result.params[key] - TRUTH[key]) < 1e-6, key);
+  assert.ok(result.fit.rss < 1e-20);
+  assert.equal(result.fit.dof, VARIABLES.length - 4);
+});
+
+test('confidence intervals of noisy data cover the true parameters', () => {
+  const result = calibrate(observed(0.005), { start: { k: TRUTH.k } });
+  for (const [key, e] of Object.entries(result.estimates)){
+    assert.ok(e.se > 0, key);
+    assert.ok(e.lower <= TRUTH[key] && TRUTH[key] <= e.upper, `${key} ${e.lower}..${e.upper}`);
+  }
+  assert.ok(result.fit.r2 > 0.99);
+  // unfitted parameters stay where the start puts them
+  const partial = calibrate(observed(0), { start: { ...TRUTH, gamma: 1.1 }, fit: ['d1', 'c'] });
+  assert.equal(partial.params.gamma, 1.1);
+  assert.deepEqual(Object.keys(partial.estimates), ['d1', 'c']);
+});
+
+test('observation CSV is validated line by line', () => {
+  const rows = parseObservations('# market data\nStrategy,Variable,Value,sd\nli,rn,0.6,0.02\nSI,q,0.25,\n');
+  assert.deepEqual(rows, [{ strategy: 'LI', variable: 'rn', value: 0.6, sd: 0.02 }, { strategy: 'SI', variable: 'q', value: 0.25, sd: 1 }]);
+  assert.throws(() => parseObservations('strategy,value\nSI,1'), /Missing column 'variable'/);
+  assert.throws(() => parseObservations('strategy,variable,value\nSI,rn,1'), /line 2: SI has no variable 'rn'/);
+  assert.throws(() => parseObservations('strategy,variable,value\nLM,toString,1'), /line 2: LM has no variable 'toString'/);
+  assert.throws(() => parseObservations('strategy,variable,value\nSI,constructor,1'), /line 2: SI has no variable 'constructor'/);
+  assert.throws(() => parseObservations('strategy,variable,value\nXX,p,1'), /line 2: unknown strategy/);
+  assert.throws(() => parseObservations('strategy,variable,value,sd\nSI,p,1,0'), /line 2: sd must be a positive number/);
+  assert.throws(() => parseObservations('strategy,variable,value\n'), /No observations/);
+  assert.throws(() => parseObservations('strategy,variable,value,sd\nSI,p,0.8,0.01\nSI'), /line 3: expected 4 fields, got 1/);
+  assert.throws(() => parseObservations('strategy,variable,value\nSI,p,0.8,0.01'), /line 2: expected 3 fields, got 4/);
+});
+
+test('Student t quantiles match tables', () => {
+  for (const [dof, t] of [[1, 12.7062], [2, 4.3027], [5, 2.5706], [10, 2.2281], [30, 2.0423]]){
+    assert.ok(Math.abs(studentQuantile(0.975, dof) - t) < 2e-3 * t, `dof ${dof}`);
+  }
+});
@@ -0,0 +1,109 @@
+// test/figures.test.mjs
+// Golden snapshots of every figure at the simulator's default state, so ports
+// and optimizer changes cannot silently move regime boundaries.
+// Regenerate after an intended change (and bump MODEL_VERSION):
+//   UPDATE_GOLDEN=1 npm test
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { planFigure, runPlan } from '../utils/model.js';
+import { DEFAULT_STATE, FIGURES, planParams } from '../utils/state.js';
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const UPDATE = !!process.env.UPDATE_GOLDEN;
+const TOL = 1e-9;
+
+// Categorical maps are stored one string per row ('.' = infeasible cell, codes
+// from 10 as letters a, b, ..) so a moved boundary shows up as a readable diff.
+function encodeCell(v) {
+  if (v === null) return '.';
+  return Number.isInteger(v) && v >= 10 && v < 36 ? v.toString(36) : String(v);
+}
+
+function encodeGrid(Z) {
+  return Z.map(row => row.map(encodeCell).join(''));
+}
+
+// Continuous layers are stored as the sign of every cell ('.' no value, '0',
+// '+', '-') and the values of nine spot cells at the quarters of both axes,
+// [row, column, value], compared within TOL
+function encodeLayer(Z) {
+  const quarters = (n) => [1, 2, 3].map(q => Math.floor(q * (n - 1) / 4));
+  return {
+    signs: Z.map(row => row.map(v => v === null ? '.' : v > 0 ? '+' : v < 0 ? '-' : '0').join('')),
+    spots: quarters(Z.length).flatMap(i => quarters(Z[0].length).map(j => [i, j, Z[i][j]]))
+  };
+}
+
+function snapshot(data) {
+  if (data.results){
+    return {
+      title: data.title, xParam: data.xParam, yParam: data.yParam,
+      xAxis: [data.xAxis[0], data.xAxis[data.xAxis.length-1], data.xAxis.length],
+      yAxis: [data.yAxis[0], data.yAxis[data.yAxis.length-1], data.yAxis.length],
+      // continuous layers (no legend) as signs and spot values
+      results: data.results.map(r => ({
+        label: r.label,
+        layers: Object.fromEntries(Object.entries(r.layers).map(([name, Z]) => [name, data.legends[name] ? encodeGrid(Z) : encodeLayer(Z)]))
+      }))
+    };
+  }
+  if (data.runs){
+    // seeded draws are reproducible, so their summaries are pinned too
+    return {
+      title: data.title,
+      runs: data.runs.map(r => ({ label: r.label, draws: r.draws, probabilities: r.probabilities, summary: r.summary }))
+    };
+  }
+  if (data.out){
+    return {
+      title: data.title,
+      out: data.out.map(s => ({ label: s.label, c0_vals: s.c0_vals, opt_d1: s.opt_d1, opt_d2: s.opt_d2, opt_profit: s.opt_profit, strategies: s.strategies }))
+    };
+  }
+  return {
+    title: data.title,
+    solutions: Object.fromEntries(Object.entries(data.solutions).map(([name, s]) => [name, {
+      branch: s.branch, profit: s.profit, quantities: s.quantities, prices: s.prices
+    }]))
+  };
+}
+
+// Deep comparison with a numeric tolerance; reports the first differing path
+function diff(actual, expected, path='') {
+  if (typeof expected === 'number' && typeof actual === 'number'){
+    return Math.abs(actual - expected) <= TOL ? null : `${path}: ${actual} != ${expected}`;
+  }
+  if (typeof expected === 'string' && typeof actual === 'string' && expected.length === actual.length && expected !== actual){
+    let i = 0;
+    while (actual[i] === expected[i]) i++;
+    return `${path}[${i}]: '${actual[i]}' != '${expected[i]}'\n  got      ${actual}\n  expected ${expected}`;
+  }
+  if (expected === null || typeof expected !== 'object' || actual === null || typeof actual !== 'object'){
+    return actual === expected ? null : `${path}: ${JSON.stringify(actual)} != ${JSON.stringify(expected)}`;
+  }
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  for (const key of keys){
+    const d = diff(actual[key], expected[key], `${path}.${key}`);
+    if (d) return d;
+  }
+  return null;
+}
+
+for (const figure of FIGURES){
+  test(`${figure} matches its golden snapshot`, () => {
+    const data = runPlan(planFigure(figure, planParams({ ...DEFAULT_STATE, figure })));
+    const actual = snapshot(data);
+    const file = new URL(`${figure}.json`, GOLDEN_DIR);
+    if (UPDATE){
+      fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(actual, null, 1) + '\n');
+      return;
+    }
+    assert.ok(fs.existsSync(file), `missing snapshot ${file.pathname}; run with UPDATE_GOLDEN=1`);
+    const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const d = diff(actual, expected, figure);
+    assert.equal(d, null, d);
+  });
+}
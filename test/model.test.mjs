@@ -0,0 +1,515 @@
+// test/model.test.mjs
+// Closed forms and invariants of CircularEconomyModel.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CircularEconomyModel, MultiCycleModel, STRATEGIES, planFig4, planFigure, runPlan, rankStrategies, boundaryField, boundaryDifference,
+  cournotEquilibrium, duopolyGame, impactMetrics, requiredLever, transitionCode, TRANSITION_LEGEND, DEFAULT_SPECS, BOUNDARY_TOL,
+  planFig6, durabilityCost, DURABILITY_COSTS
+} from '../utils/model.js';
+import { nashEquilibria } from '../utils/nash.js';
+import { valuationQuantile, regularizedBeta } from '../utils/demand.js';
+import { solveConcaveQP } from '../utils/qp.js';
+
+const close = (actual, expected, tol=1e-12) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `expected ${expected}, got ${actual}`);
+
+// Deterministic parameter sample covering the slider ranges (d2 < d1)
+function sample() {
+  const points = [];
+  for (const d1 of [0.1, 0.3, 0.5, 0.7, 0.95]){
+    for (const d2 of [0.02, 0.15, 0.4, 0.6, 0.9]){
+      if (d2 >= d1) continue;
+      for (const gamma of [0.6, 1.0, 1.4]){
+        for (const k of [0, 0.03]) points.push({ d1, d2, gamma, k });
+      }
+    }
+  }
+  return points;
+}
+const C_VALUES = Array.from({length:15}, (_, i) => 0.01 + i*0.025);
+
+test('profit_SI matches the closed form by hand', () => {
+  // cost 0.3, d1 + d2 = 0.7: (2 - 0.6 + 0.7)^2 / (8 (2 + 2.1))
+  close(new CircularEconomyModel(0.5, 0.2, 1.0, 0.15).profit_SI(), 4.41/32.8);
+  // cost 0.2, d1 + d2 = 1.75: 3.35^2 / (8 (2 + 5.25))
+  close(new CircularEconomyModel(0.9, 0.85, 1.0, 0.1).profit_SI(), 11.2225/58);
+});
+
+test('profit_SI shuts down when unit cost exceeds the top valuation', () => {
+  const s = new CircularEconomyModel(0.1, 0.05, 1.0, 0.6).solve_SI();
+  assert.equal(s.branch, 'shutdown');
+  assert.equal(s.profit, 0);
+});
+
+test('profit_SM matches the modular closed form by hand', () => {
+  // margin2 = 0.5, margin1 = 1.6: 0.25/(8*0.8) + 2.56/(8*3.3)
+  const s = new CircularEconomyModel(0.5, 0.2, 1.0, 0.15).solve_SM();
+  assert.equal(s.branch, 'modular');
+  close(s.profit, 0.25/6.4 + 2.56/26.4);
+  // second module unprofitable (margin2 < 0), first module alone: 3.35^2/(8*7.1)
+  close(new CircularEconomyModel(0.9, 0.85, 1.0, 0.1, 0.05).profit_SM(), 11.2225/56.8);
+});
+
+test('profit_SM falls back to the integral design when integration cost is high', () => {
+  const model = new CircularEconomyModel(0.9, 0.85, 1.0, 0.1, 0.2);
+  const s = model.solve_SM();
+  assert.equal(s.branch, 'integral');
+  close(s.profit, model.profit_SI());
+});
+
+test('solution records are internally consistent', () => {
+  for (const p of sample()){
+    for (const c of [0.05, 0.2, 0.35]){
+      const all = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k).solve();
+      for (const name of STRATEGIES){
+        const s = all[name];
+        assert.equal(s.strategy, name);
+        close(s.profit, s.revenue - s.cost, 1e-9);
+        for (const v of Object.values(s.quantities)) assert.ok(v >= -1e-12, `${name} quantity ${v}`);
+      }
+    }
+  }
+});
+
+test('profits are non-negative and modularity never hurts', () => {
+  for (const p of sample()){
+    for (const c of C_VALUES){
+      const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k);
+      const where = JSON.stringify({ ...p, c });
+      for (const name of STRATEGIES) assert.ok(m[`profit_${name}`]() >= 0, `${name} < 0 at ${where}`);
+      assert.ok(m.profit_SM() >= m.profit_SI() - 1e-12, `SM < SI at ${where}`);
+      assert.ok(m.profit_LM() >= m.profit_LI() - 1e-12, `LM < LI at ${where}`);
+    }
+  }
+});
+
+test('profits are non-increasing in c', () => {
+  for (const p of sample()){
+    for (const name of STRATEGIES){
+      let prev = Infinity;
+      for (const c of C_VALUES){
+        const profit = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k)[`profit_${name}`]();
+        assert.ok(profit <= prev + 1e-9, `${name} rises at ${JSON.stringify({ ...p, c })}`);
+        prev = profit;
+      }
+    }
+  }
+});
+
+test('exact leasing optimum dominates the grid search within its precision', () => {
+  for (const p of sample()){
+    for (const c of [0.02, 0.1, 0.2]){
+      const exact = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k);
+      const grid = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k, { optimizer: 'grid' });
+      for (const name of ['LI', 'LM']){
+        const e = exact[`solve_${name}`]();
+        const g = grid[`solve_${name}`]();
+        assert.ok(e.profit >= g.profit - 1e-12, `${name} exact below grid at ${JSON.stringify({ ...p, c })}`);
+        // a grid step of h moves profit by at most O(h): allow the first-order bound
+        assert.ok(e.profit - g.profit <= grid.achievedPrecision.error, `${name} grid off by ${e.profit - g.profit}`);
+      }
+    }
+  }
+});
+
+test('sweep profit, gap and boundary grids agree with the model', () => {
+  const data = runPlan(planFig4({ resolution: 12 }));
+  const r = data.results[0];
+  for (let i=0;i<data.yAxis.length;i++){
+    for (let j=0;j<data.xAxis.length;j++){
+      const p = { ...r.set, [data.xParam]: data.xAxis[j], [data.yParam]: data.yAxis[i] };
+      const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, 0);
+      const profits = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
+      for (const s of STRATEGIES) close(r.profits[s][i][j], profits[s]);
+      const ranking = rankStrategies(profits);
+      close(r.gap[i][j], ranking[0].profit - ranking[1].profit);
+      assert.equal(STRATEGIES[r.layers.best[i][j]], ranking[0].strategy);
+    }
+  }
+  // each argmax boundary field is positive exactly inside its strategy's region
+  for (const bd of data.boundaries.best){
+    const Z = boundaryField(r, bd);
+    Z.forEach((row, i) => row.forEach((v, j) => {
+      if (v === null || Math.abs(v) < 1e-9) return;
+      assert.equal(v > 0, STRATEGIES[r.layers.best[i][j]] === bd.a);
+    }));
+  }
+});
+
+test('unknown figure ids have no plan', () => {
+  assert.throws(() => planFigure('fig9', {}), /Unknown figure: fig9/);
+  assert.throws(() => planFigure('toString', {}), /Unknown figure: toString/);
+  assert.throws(() => planFigure('fig9/boundaries', {}), /Unknown figure: fig9/);
+});
+
+test('traced boundaries are roots of their profit difference and continuous', () => {
+  for (const figure of ['fig1', 'fig4']){
+    const params = { resolution: 20 };
+    const traced = runPlan(planFigure(`${figure}/boundaries`, params));
+    const sweep = planFigure(figure, params).sweep;
+    assert.ok(traced.traces.some(t => t.curves.length > 0), `${figure} has no boundaries`);
+    const cell = Math.max(
+      (sweep.spec.x.max - sweep.spec.x.min) / (sweep.xAxis.length - 1),
+      (sweep.spec.y.max - sweep.spec.y.min) / (sweep.yAxis.length - 1)
+    );
+    for (const t of traced.traces){
+      const cs = sweep.spec.cases.find(c => c.label === t.label);
+      for (const curve of t.curves){
+        curve.forEach((pt, n) => {
+          const p = { ...sweep.base, ...sweep.spec.fixed, ...cs.set, [traced.xParam]: pt.x, [traced.yParam]: pt.y };
+          const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k);
+          const profits = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
+          assert.ok(Math.abs(boundaryDifference(profits, t)) < 1e-7, `${figure} ${t.a}/${t.b} off the boundary at ${pt.x}, ${pt.y}`);
+          if (n > 0){
+            const prev = curve[n-1];
+            assert.ok(Math.hypot(pt.x - prev.x, pt.y - prev.y) <= 1.5 * cell, `${figure} curve jumps at ${pt.x}, ${pt.y}`);
+          }
+        });
+      }
+    }
+  }
+});
+
+test('Monte Carlo draws are reproducible, truncated to valid parameters and consistent', () => {
+  const spec = {
+    fixed: {}, cases: [{ label: '', set: {} }], draws: 250, seed: 7,
+    distributions: { d1: { type: 'uniform', min: 0.05, max: 0.6 }, d2: { type: 'normal', mean: 0.3, sd: 0.2 }, k: { type: 'triangular', min: -0.01, mode: 0, max: 0.05 } }
+  };
+  const run = (s) => runPlan(planFigure('montecarlo', { spec: s })).runs[0];
+  const r = run(spec);
+  assert.deepEqual(run(spec), r);
+  assert.notDeepEqual(run({ ...spec, seed: 8 }).params.d1, r.params.d1);
+  assert.equal(r.draws, 250);
+  close(STRATEGIES.reduce((a, s) => a + r.probabilities[s], 0), 1);
+  for (let n=0;n<r.draws;n++){
+    assert.ok(r.params.d2[n] < r.params.d1[n] && r.params.d2[n] >= 0 && r.params.k[n] >= 0);
+    const m = new CircularEconomyModel(r.params.d1[n], r.params.d2[n], r.params.gamma[n], r.params.c[n], r.params.k[n]);
+    const profits = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
+    for (const s of STRATEGIES) close(r.profits[s][n], profits[s]);
+    assert.equal(STRATEGIES[r.best[n]], rankStrategies(profits)[0].strategy);
+  }
+});
+
+test('analytical SI/SM gradients match finite differences, switch points change the optimum', () => {
+  const h = 1e-6;
+  for (const p of sample()){
+    const point = { ...p, c: 0.12 };
+    const m = new CircularEconomyModel(point.d1, point.d2, point.gamma, point.c, point.k);
+    for (const key of ['d1', 'd2', 'c', 'k']){
+      const at = (v) => new CircularEconomyModel(...['d1', 'd2', 'gamma', 'c', 'k'].map(name => name === key ? v : point[name]));
+      const lo = Math.max(0, point[key] - h), hi = point[key] + h;
+      if (key === 'd2' && hi >= point.d1) continue;
+      // skip points where a branch switches between the two evaluations
+      if (at(lo).solve_SM().branch !== at(hi).solve_SM().branch) continue;
+      close((at(hi).profit_SI() - at(lo).profit_SI()) / (hi - lo), m.gradient_SI()[key], 1e-6);
+      close((at(hi).profit_SM() - at(lo).profit_SM()) / (hi - lo), m.gradient_SM()[key], 1e-6);
+    }
+  }
+  const { sensitivity, ranking } = runPlan(planFigure('table', { base: { d1: 0.6, d2: 0.2, gamma: 1.2, c: 0.1, k: 0.01 } }));
+  assert.equal(sensitivity.length, 5);
+  for (const s of sensitivity){
+    assert.equal(s.best, ranking[0].strategy);
+    for (const side of [s.lower, s.upper]){
+      if (!side.strategy) continue;
+      const p = { d1: 0.6, d2: 0.2, gamma: 1.2, c: 0.1, k: 0.01, [s.param]: side.value };
+      const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k);
+      const profits = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
+      assert.equal(rankStrategies(profits)[0].strategy, side.strategy, `${s.param} switch at ${side.value}`);
+    }
+  }
+});
+
+test('the multi-cycle model nests the two-period model and gains from longer leases', () => {
+  for (const p of sample()){
+    for (const c of [0.05, 0.15]){
+      const args = [p.d1, p.d2, p.gamma, c, p.k];
+      const two = new CircularEconomyModel(...args);
+      const cycles = new MultiCycleModel(...args, { cycles: 2 });
+      close(cycles.profit_SI(), two.profit_SI(), 1e-10);
+      if (two.solve_LI().branch !== 'corner'){
+        close(cycles.profit_LI(), two.profit_LI(), 1e-9);
+        close(cycles.profit_LM(), two.profit_LM(), 1e-9);
+      }
+      // without refurbishment cost an extra cycle can always be left unused
+      let prev = null;
+      for (let n=2;n<=4;n++){
+        const m = new MultiCycleModel(...args, { cycles: n });
+        const profits = { LI: m.profit_LI(), LM: m.profit_LM() };
+        if (prev) for (const s of ['LI', 'LM']) assert.ok(profits[s] >= prev[s] - 1e-10, `${s} falls from ${n - 1} to ${n} cycles`);
+        assert.ok(m.achievedPrecision.error < 1e-9);
+        prev = profits;
+      }
+    }
+  }
+});
+
+test('support enumeration finds the equilibria of textbook games', () => {
+  // matching pennies: the unique equilibrium mixes evenly
+  const pennies = nashEquilibria([[1, -1], [-1, 1]], [[-1, 1], [1, -1]]);
+  assert.equal(pennies.length, 1);
+  assert.deepEqual(pennies[0].row.map(v => +v.toFixed(12)), [0.5, 0.5]);
+  // battle of the sexes: two pure equilibria and a mixed one
+  const sexes = nashEquilibria([[2, 0], [0, 1]], [[1, 0], [0, 2]]);
+  assert.equal(sexes.filter(e => e.pure).length, 2);
+  const mixed = sexes.find(e => !e.pure);
+  close(mixed.row[0], 2/3, 1e-12);
+  close(mixed.col[0], 1/3, 1e-12);
+});
+
+// Best profit of a firm playing `strategy` against fixed rival quantities
+function bestResponse(m, strategy, rival) {
+  const { u, cost, T, A, b } = m._program(strategy);
+  const rivalU = m._program(rival.strategy).u;
+  const rivalL = Object.values(rival.quantities);
+  const used = rivalL.reduce((acc, v) => acc + v, 0);
+  const lin = u.map((ui, i) => ui - cost[i] - rivalL.reduce((acc, Lj, j) => acc + Math.min(ui, rivalU[j])*Lj, 0));
+  const n = T[0].length;
+  const H = Array.from({length:n}, (_, a) => Array.from({length:n}, (_, c) =>
+    2*T.reduce((acc, ra, i) => acc + ra[a]*T.reduce((acc2, rc, j) => acc2 + Math.min(u[i], u[j])*rc[c], 0), 0)));
+  const q = Array.from({length:n}, (_, a) => T.reduce((acc, r, i) => acc + r[a]*lin[i], 0));
+  const AT = A.map(r => Array.from({length:n}, (_, a) => r.reduce((acc, v, i) => acc + v*T[i][a], 0)));
+  const { x } = solveConcaveQP({ H, q, A: AT, b: [...b.slice(0, -1), 1 - used] });
+  return q.reduce((acc, v, a) => acc + v*x[a], 0) - 0.5*x.reduce((acc, xa, a) => acc + xa*H[a].reduce((acc2, v, c) => acc2 + v*x[c], 0), 0);
+}
+
+test('duopoly quantities are mutual best responses and the game is symmetric', () => {
+  for (const p of sample().filter((_, i) => i % 4 === 0)){
+    const m = new MultiCycleModel(p.d1, p.d2, p.gamma, 0.08, p.k);
+    for (const a of STRATEGIES){
+      for (const b of STRATEGIES){
+        const { records, profits } = cournotEquilibrium(m, a, b);
+        const swapped = cournotEquilibrium(m, b, a).profits;
+        close(profits[0], swapped[1], 1e-10);
+        close(profits[0], bestResponse(m, a, records[1]), 1e-9);
+        close(profits[1], bestResponse(m, b, records[0]), 1e-9);
+        for (const rec of records){
+          Object.values(rec.quantities).forEach((L, i) => {
+            if (L > 1e-9) assert.ok(Object.values(rec.prices)[i] >= -1e-9, `${a} vs ${b}: negative price`);
+          });
+        }
+      }
+    }
+    const game = duopolyGame(m);
+    assert.ok(game.equilibria.length > 0);
+    for (const e of game.equilibria){
+      const payoff = (i) => game.payoffs[i].reduce((acc, v, j) => acc + v*e.col[j], 0);
+      for (let i=0;i<STRATEGIES.length;i++) assert.ok(payoff(i) <= e.payoffs[0] + 1e-9);
+    }
+  }
+});
+
+test('the multi-cycle model and the duopoly follow the demand model', () => {
+  const points = sample().filter((_, i) => i % 6 === 0);
+  for (const p of points){
+    const args = [p.d1, p.d2, p.gamma, 0.1, p.k];
+    const uniform = new MultiCycleModel(...args, { cycles: 3 });
+    // Beta(1, 1) and a mixture without a low segment are uniform valuations
+    for (const demand of [{ type: 'beta', a: 1, b: 1 }, { type: 'segments', share: 1, scale: 0.5 }]){
+      const m = new MultiCycleModel(...args, { cycles: 3, demand });
+      for (const s of STRATEGIES) close(m[`profit_${s}`](), uniform[`profit_${s}`](), 1e-9);
+    }
+    // discounting buyers value sold units as if less durable and leave leasing alone
+    const discounted = new MultiCycleModel(...args, { cycles: 3, demand: { type: 'discounted', factor: 0.7 } });
+    const shorter = new MultiCycleModel(0.7*p.d1, 0.7*p.d2, p.gamma, 0.1, p.k, { cycles: 3 });
+    close(discounted.profit_SI(), shorter.profit_SI(), 1e-10);
+    close(discounted.profit_SM(), shorter.profit_SM(), 1e-10);
+    close(discounted.profit_LM(), uniform.profit_LM(), 1e-10);
+    for (const demand of [{ type: 'beta', a: 2, b: 5 }, { type: 'segments', share: 0.4, scale: 0.5 }]){
+      // two cycles price the leased units as the two-period leasing programs
+      const two = new CircularEconomyModel(...args, { demand });
+      const m = new MultiCycleModel(...args, { demand });
+      if (two.solve_LI().branch !== 'corner'){
+        close(m.profit_LI(), two.profit_LI(), 1e-7);
+        close(m.profit_LM(), two.profit_LM(), 1e-7);
+      }
+      assert.ok(m.achievedPrecision.method === 'search' && m.achievedPrecision.error < 1e-8);
+      // no firm gains by scaling its equilibrium quantities
+      for (const [a, b] of [['SI', 'LM'], ['LI', 'LI'], ['SM', 'LI']]){
+        const { records, profits, precision } = cournotEquilibrium(m, a, b);
+        assert.ok(precision.error < 1e-8);
+        close(profits[0], cournotEquilibrium(m, b, a).profits[1], 1e-8);
+        const programs = [m._program(a), m._program(b)];
+        const L = records.map(rec => Object.values(rec.quantities));
+        for (const x of [0, 1]){
+          const y = 1 - x;
+          for (const scale of [0.99, 1.01]){
+            const moved = L[x].map(v => v*scale);
+            if (moved.reduce((acc, v) => acc + v, 0) + L[y].reduce((acc, v) => acc + v, 0) > 1) continue;
+            const profit = m._record(x ? b : a, programs[x], moved, precision, L[y], programs[y].u).profit;
+            assert.ok(profit <= profits[x] + 1e-9, `${a} vs ${b}: firm ${x} gains at scale ${scale}`);
+          }
+        }
+      }
+    }
+  }
+});
+
+test('impact metrics balance the material flows of every solution', () => {
+  for (const p of sample()){
+    for (const recovery of [0, 0.5, 1]){
+      const factors = { unit: 0.3, module: 1.2, recovery };
+      const sol = new CircularEconomyModel(p.d1, p.d2, p.gamma, 0.1, p.k, { impact: factors }).solve();
+      for (const s of STRATEGIES){
+        const { impact, quantities } = sol[s];
+        close(impact.emissions, 0.3*(impact.units + impact.remanufactured) + 1.2*impact.throughput, 1e-12);
+        // leased units come back to the firm, sold ones end in landfill
+        const leased = 'Ln' in quantities || 'Lnn' in quantities;
+        close(impact.landfill, impact.throughput * (leased ? 1 - recovery : 1), 1e-12);
+        assert.ok(impact.reused >= 0 && impact.reused <= 2*impact.throughput + 1e-12);
+        if (sol[s].branch === 'shutdown') assert.equal(impact.intensity, null);
+      }
+      // a fallback record counts as the integral design it uses
+      if (sol.SM.branch === 'integral') assert.deepEqual(sol.SM.impact, sol.SI.impact);
+      if (sol.LM.branch === 'integral') assert.deepEqual(sol.LM.impact, impactMetrics(sol.LI, factors));
+    }
+  }
+});
+
+test('policy levers flow through every strategy and its constraints', () => {
+  const policy = { carbonTax: 0.04, reuseSubsidy: 0.02, leasingCredit: 0.01, takeBack: 0.6 };
+  for (const p of sample()){
+    for (const optimizer of ['exact', 'grid']){
+      const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, 0.1, p.k, { optimizer, policy });
+      const plain = new CircularEconomyModel(p.d1, p.d2, p.gamma, 0.1, p.k, { optimizer });
+      for (const [s, sol] of Object.entries(m.solve())){
+        close(sol.profit, sol.revenue - sol.cost + sol.policy, 1e-12);
+        if (s === 'SI') assert.ok(sol.profit <= plain.profit_SI() + 1e-12, 'the carbon tax lowers SI profit');
+        const q = sol.quantities;
+        if ('Ln' in q) assert.ok(q.Lu >= policy.takeBack * q.Ln - 1e-9, `${s} re-leases too little`);
+        if ('Lnn' in q) assert.ok(q.Lun + q.Luu >= policy.takeBack * q.Lnn - 1e-9, `${s} re-leases too little`);
+      }
+    }
+    // the closed-form derivatives still hold under the levers
+    const at = (c) => new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k, { policy });
+    const m = at(0.1);
+    if (at(0.1 - 1e-6).solve_SM().branch === at(0.1 + 1e-6).solve_SM().branch){
+      close((at(0.1 + 1e-6).profit_SI() - at(0.1 - 1e-6).profit_SI()) / 2e-6, m.gradient_SI().c, 1e-6);
+      close((at(0.1 + 1e-6).profit_SM() - at(0.1 - 1e-6).profit_SM()) / 2e-6, m.gradient_SM().c, 1e-6);
+    }
+  }
+});
+
+test('the required lever is the first level at which the target strategy is optimal', () => {
+  const lead = (m) => boundaryDifference({ SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() }, { a: 'LM', b: 'others' });
+  let found = 0;
+  for (const p of sample().filter(p => p.k === 0)){
+    const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, 0.12, p.k);
+    const x = requiredLever(m, 'reuseSubsidy', 0.2, 'LM');
+    if (x === null || x === 0) continue;
+    found++;
+    const with_ = (v) => new CircularEconomyModel(p.d1, p.d2, p.gamma, 0.12, p.k, { policy: { reuseSubsidy: v } });
+    assert.ok(lead(with_(x)) > BOUNDARY_TOL);
+    assert.ok(lead(with_(x - 1e-6)) <= BOUNDARY_TOL);
+  }
+  assert.ok(found > 0);
+});
+
+test('scenario diffs record every change of the optimal strategy against the baseline', () => {
+  const scenario = (label, figure, fixed, resolution=10) => ({
+    label, figure, params: { spec: { ...DEFAULT_SPECS[figure], fixed: { ...DEFAULT_SPECS[figure].fixed, ...fixed } }, resolution }
+  });
+  const data = runPlan(planFigure('compare', { scenarios: [
+    scenario('k=0', 'fig4', { k: 0 }), scenario('k=0.02', 'fig4', { k: 0.02 }), scenario('coarse', 'fig4', {}, 8)
+  ] }));
+  assert.equal(data.diffs.length, 2);
+  assert.ok(data.diffs[1].error);
+  const [a, b] = data.scenarios, d = data.diffs[0];
+  d.results.forEach((r, idx) => {
+    const from = a.results[idx].layers.best, to = b.results[idx].layers.best;
+    let changed = 0;
+    const counts = {};
+    r.layers.transition.forEach((row, i) => row.forEach((code, j) => {
+      if (code === null) return;
+      assert.equal(code, transitionCode(from[i][j], to[i][j]));
+      if (code){
+        changed++;
+        counts[TRANSITION_LEGEND[code].label] = (counts[TRANSITION_LEGEND[code].label] || 0) + 1;
+      }
+    }));
+    assert.equal(r.stats.changed, changed);
+    assert.deepEqual(r.stats.transitions, counts);
+    // a costlier modular architecture never raises the optimal profit
+    assert.ok(r.stats.profit.best.max <= BOUNDARY_TOL);
+    assert.ok(r.stats.changed > 0);
+  });
+  // transition codes are unique per ordered pair
+  const codes = new Set();
+  for (let i=0;i<4;i++) for (let j=0;j<4;j++) if (i !== j) codes.add(transitionCode(i, j));
+  assert.equal(codes.size, 12);
+  assert.equal(Math.max(...codes), 12);
+});
+
+test('durability cost curves and the continuous Fig 6 optimum', () => {
+  close(durabilityCost(DURABILITY_COSTS.quadratic.defaults, 0.5, 0.25), 0.08*0.25 + 0.16*0.0625);
+  close(durabilityCost(DURABILITY_COSTS.exponential.defaults, 0.4, 0), 0.02*(Math.exp(1) - 1));
+  const table = DURABILITY_COSTS.table.defaults;
+  close(durabilityCost(table, 0.25, 0.7), 0.01 + 0.1);
+  close(durabilityCost(table, 0.95, -1), 0.08);
+  for (const fn of Object.values(DURABILITY_COSTS).map(c => c.defaults)){
+    const spec = { ...DEFAULT_SPECS.fig6, x: { ...DEFAULT_SPECS.fig6.x, steps: 4 }, durabilityCost: fn };
+    const plan = planFig6({ spec });
+    const even = (a, b, n) => Array.from({ length: n }, (_, i) => a + (b - a) * i / (n - 1));
+    const grid = even(spec.search.min, spec.search.max, spec.search.steps);
+    for (let r=0;r<plan.rows;r++){
+      const row = plan.computeRow(r);
+      assert.ok(row.d2 <= row.d1 && row.d2 >= spec.search.min && row.d1 <= spec.search.max);
+      // no start grid point of any strategy beats the refined optimum
+      const gamma = spec.cases[Math.floor(r / 4)].set.gamma, c0 = even(spec.x.min, spec.x.max, 4)[r % 4];
+      for (const d1 of grid){
+        for (const d2 of grid){
+          if (d2 >= d1) continue;
+          const m = new CircularEconomyModel(d1, d2, gamma, c0 + durabilityCost(fn, d1, d2), 0);
+          assert.ok(Math.max(m.profit_SI(), m.profit_LI(), m.profit_SM(), m.profit_LM()) <= row.profit + BOUNDARY_TOL);
+        }
+      }
+      const m = new CircularEconomyModel(row.d1, row.d2, gamma, c0 + durabilityCost(fn, row.d1, row.d2), 0);
+      close(m[`profit_${row.strategy}`](), row.profit);
+    }
+  }
+});
+
+test('demand models: uniform limits, discounted buyers and numeric optima', () => {
+  // quantiles run from the top valuation down to 0; Beta(a, b) has mean a/(a + b)
+  for (const demand of [{ type: 'beta', a: 2, b: 5 }, { type: 'segments', share: 0.3, scale: 0.6 }]){
+    const P = valuationQuantile(demand);
+    close(P(0), 1);
+    close(P(1), 0);
+    let mean = 0, prev = 1;
+    for (let i=1;i<=2000;i++){
+      const v = P((i - 0.5) / 2000);
+      assert.ok(v <= prev);
+      prev = v;
+      mean += v / 2000;
+    }
+    close(mean, demand.type === 'beta' ? 2/7 : 0.3/2 + 0.7*0.6/2, 1e-4);
+  }
+  close(regularizedBeta(0.3, 2, 2), 3*0.09 - 2*0.027);
+  const points = sample().filter((p, i) => i % 3 === 0);
+  for (const p of points){
+    const c = 0.1;
+    const uniform = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k);
+    // Beta(1, 1) and a mixture without a low segment are uniform valuations
+    for (const demand of [{ type: 'beta', a: 1, b: 1 }, { type: 'segments', share: 1, scale: 0.5 }, { type: 'discounted', factor: 1 }]){
+      const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k, { demand });
+      for (const s of STRATEGIES) close(m[`profit_${s}`](), uniform[`profit_${s}`](), 1e-9);
+    }
+    // discounting buyers value sold units as if less durable and leave leasing alone
+    const discounted = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k, { demand: { type: 'discounted', factor: 0.7 } });
+    const shorter = new CircularEconomyModel(0.7*p.d1, 0.7*p.d2, p.gamma, c, p.k);
+    close(discounted.profit_SI(), shorter.profit_SI());
+    close(discounted.profit_SM(), shorter.profit_SM());
+    close(discounted.profit_LI(), uniform.profit_LI());
+    // the refined optimum beats the grid search on the same non-linear demand
+    const demand = { type: 'segments', share: 0.4, scale: 0.5 };
+    const exact = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k, { demand });
+    const grid = new CircularEconomyModel(p.d1, p.d2, p.gamma, c, p.k, { demand, optimizer: 'grid' });
+    for (const s of ['LI', 'LM']) assert.ok(exact[`profit_${s}`]() >= grid[`profit_${s}`]() - 1e-12);
+    const sol = exact.solve_LM();
+    if (sol.branch === 'modular'){
+      const { Lnn, Lun, Luu } = sol.quantities;
+      assert.ok(Lun + Luu <= Lnn + 1e-12 && Lnn + Lun + Luu <= 1 + 1e-12);
+    }
+  }
+});
@@ -0,0 +1,29 @@
+// test/qp.test.mjs
+// The two solution paths of solveConcaveQP: active-set enumeration (small
+// programs) and the primal active-set method (larger ones) must agree.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { solveConcaveQP } from '../utils/qp.js';
+import { mulberry32 } from '../utils/random.js';
+
+test('primal active-set method matches enumeration', () => {
+  const rand = mulberry32(3);
+  for (let t=0;t<200;t++){
+    // random positive definite H on three variables, box and random constraints
+    const n = 3;
+    const B = Array.from({length:n}, () => Array.from({length:n}, () => rand() - 0.5));
+    const H = B.map((_, i) => B.map((_, j) => (i === j ? 0.1 : 0) + B[i].reduce((s, v, l) => s + v*B[j][l], 0)));
+    const q = Array.from({length:n}, () => 2*rand() - 0.5);
+    const A = [...H.map((_, i) => H.map((_, j) => i === j ? -1 : 0)), Array.from({length:n}, () => rand()), [1, -1, 0]];
+    const b = [0, 0, 0, 1, 0];
+    const small = solveConcaveQP({ H, q, A, b });
+    // the same program with a decoupled fourth variable takes the iterative path
+    const large = solveConcaveQP({
+      H: [...H.map(r => [...r, 0]), [0, 0, 0, 1]], q: [...q, 0],
+      A: [...A.map(r => [...r, 0]), [0, 0, 0, -1]], b: [...b, 0]
+    });
+    assert.ok(Math.abs(large.value - small.value) < 1e-12, `values ${large.value} vs ${small.value}`);
+    assert.ok(large.residual < 1e-10, `residual ${large.residual}`);
+  }
+});
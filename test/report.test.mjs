@@ -0,0 +1,71 @@
+// test/report.test.mjs
+// Generated report findings and the assembled HTML document.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { regionFindings, durabilityFindings, generateReport } from '../utils/report.js';
+import { outputLegend, planFigure, runPlan } from '../utils/model.js';
+import { DEFAULT_STATE, planParams } from '../utils/state.js';
+
+const LEGEND = outputLegend({ type: 'argmax' });
+
+test('region findings bound each region halfway between grid values', () => {
+  const xAxis = [0.1, 0.2, 0.3, 0.4];
+  const yAxis = [0.5, 1.0, 1.5];
+  // LM (3) on the left, SM (2) in the upper right corner, one infeasible cell
+  const Z = [
+    [3, 3, 3, null],
+    [3, 3, 2, 2],
+    [3, 3, 2, 2]
+  ];
+  const findings = regionFindings({ Z, xAxis, yAxis, legend: LEGEND, xName: 'c', yName: 'γ' });
+  assert.deepEqual(findings.map(f => f.code), [3, 2, 0, 1]);
+  assert.equal(findings[0].text, 'Lease modular (LM) dominates for c < 0.35 (64% of the map; it fills 78% of that range)');
+  assert.equal(findings[1].text, 'Sell modular (SM) dominates for c > 0.25 when γ > 0.75 (36% of the map)');
+  assert.equal(findings[2].text, 'Sell integral (SI) is never preferred on this map');
+  const uniform = regionFindings({ Z: [[1, 1], [1, null]], xAxis: [2, 3], yAxis: [0, 1], legend: LEGEND });
+  assert.equal(uniform[0].text, 'Lease integral (LI) dominates throughout the map');
+  // integer axes get inclusive bounds
+  const cycles = regionFindings({ Z: [[0, 0, 1]], xAxis: [2, 3, 4], yAxis: [0.1], legend: LEGEND, xName: 'cycles' });
+  assert.equal(cycles[1].text, 'Lease integral (LI) dominates for cycles ≥ 4 (33% of the map)');
+});
+
+test('durability findings list the strategy bands along c0', () => {
+  const [bands] = durabilityFindings({
+    label: 'γ = 1', c0_vals: [0.01, 0.02, 0.03, 0.04], strategies: ['LI', 'LI', 'SM', 'SM'],
+    opt_d1: [0.5, 0.5, 0.6, 0.6], opt_d2: [0.1, 0.1, 0.2, 0.2], opt_profit: [0.2, 0.19, 0.18, 0.17]
+  });
+  assert.equal(bands, 'γ = 1: the optimal strategy is Lease integral (LI) for c0 < 0.025, then Sell modular (SM) for c0 > 0.025.');
+});
+
+test('reports assemble parameters, the recommendation and every figure', () => {
+  const state = { ...DEFAULT_STATE, resolution: 12 };
+  const figures = ['fig4', 'fig6'].map(figure => ({ figure, params: planParams({ ...state, figure }) }));
+  const html = generateReport({ point: planParams({ ...state, figure: 'table' }), figures, title: 'Weekly <summary>', date: '2026-01-05' });
+  assert.ok(html.startsWith('<!DOCTYPE html>'));
+  assert.match(html, /<title>Weekly &lt;summary&gt;<\/title>/);
+  assert.match(html, /model 1\.3\.1 · 2026-01-05/);
+  assert.match(html, /<h2>Recommended strategy<\/h2>/);
+  assert.match(html, /<h2>Joint Choice Strategy Map \(Fig 4\)<\/h2>/);
+  assert.match(html, /<h2>Endogenous Durability \(Fig 6\)<\/h2>/);
+  // two Fig 4 cases and Fig 6's durability and profit charts
+  assert.equal((html.match(/<svg /g) || []).length, 4);
+  assert.match(html, /dominates/);
+  // deterministic for the same inputs
+  assert.equal(generateReport({ point: planParams({ ...state, figure: 'table' }), figures, title: 'Weekly <summary>', date: '2026-01-05' }), html);
+});
+
+test('every report figure is computed under the stated demand model', () => {
+  const demand = { type: 'beta', a: 2, b: 5 };
+  const state = { ...DEFAULT_STATE, resolution: 4, demand };
+  const figures = ['cycles', 'duopoly'].map(figure => ({ figure, params: planParams({ ...state, figure }) }));
+  const computed = [];
+  const html = generateReport({
+    point: planParams({ ...state, figure: 'table' }), figures,
+    compute: (figure, params) => { computed.push([figure, params.demand]); return runPlan(planFigure(figure, params)); }
+  });
+  assert.deepEqual(computed, [['table', demand], ['cycles', demand], ['duopoly', demand]]);
+  assert.match(html, /<td>demand model<\/td><td>beta valuations \(a = 2, b = 5\)<\/td>/);
+  // both sections are solved numerically for the non-linear valuations
+  assert.equal((html.match(/Numerical precision: search/g) || []).length, 2);
+});
@@ -0,0 +1,306 @@
+// utils/api.js
+// Request handling behind the API routes (pages/api): validation of query or
+// JSON body inputs into plan params (see planFigure in ./model.js), and a
+// content-addressed cache of the serialized results. The cache key hashes
+// the model version, figure id and canonical plan params, so identical
+// requests share one entry and map to the same ETag. Requests whose plans
+// would cost more than COST_BUDGET are rejected before any computation.
+// Entries live in memory
+// (least recently used first out, up to CACHE_BYTES) and, when GRID_CACHE_DIR
+// is set, as <key>.json files there to survive restarts. The report route
+// renders its HTML document from the same cached results. Server-side only.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { MODEL_VERSION, PARAMS, DEFAULT_BASE, planFigure, runPlan } from './model.js';
+import { DEFAULT_STATE, FIGURES, OPTIMIZERS, MAX_RESOLUTION, validDemand, validateSpec, planParams } from './state.js';
+import { isLinearDemand } from './demand.js';
+import { generateReport, REPORT_FIGURES, DEFAULT_REPORT_FIGURES, DEFAULT_REPORT_TITLE } from './report.js';
+
+// Grid resolution accepted by the API (see MAX_RESOLUTION in ./state.js)
+export { MAX_RESOLUTION };
+const CACHE_BYTES = 256 * 1024 * 1024;
+const MAX_TITLE = 200;
+// Computation budget of a request in cell costs, where a map cell solved in
+// closed form (Fig 1-5 under uniform demand, about 0.1 ms) costs 1
+export const COST_BUDGET = 100000;
+// Cost of a cell by figure as [closed forms, numerical optimization], the
+// latter under non-linear demand or the grid optimizer; [1, 8] otherwise
+const CELL_COSTS = {
+  environment: [2, 24],
+  policy: [6, 120],
+  duopoly: [15, 100],
+  cycles: [40, 600]
+};
+
+// Error carrying the HTTP status of a rejected request
+export function requestError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function number(v) {
+  return typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+}
+
+function inRange(key, v) {
+  return typeof v === 'number' && Number.isFinite(v) && v >= PARAMS[key].min && v <= PARAMS[key].max;
+}
+
+function rangeText(key) {
+  return `${PARAMS[key].min}..${PARAMS[key].max}`;
+}
+
+// JSON text or object of a request field
+function jsonField(name, raw) {
+  if (typeof raw !== 'string') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw requestError(400, `${name} is not valid JSON: ${e.message}`);
+  }
+}
+
+// Model parameters (defaults for missing ones), the leasing optimizer and the
+// demand model (object or JSON text, uniform when missing) of a request.
+// Returns { base, optimizer, demand }; throws a 400 on invalid values.
+export function parsePoint(input) {
+  const base = { ...DEFAULT_BASE };
+  for (const key of Object.keys(PARAMS)){
+    if (input[key] === undefined) continue;
+    const v = number(input[key]);
+    if (!inRange(key, v)) throw requestError(400, `${key} must be a number in ${rangeText(key)}`);
+    base[key] = v;
+  }
+  if (base.d2 >= base.d1) throw requestError(400, 'd2 must be below d1');
+  const optimizer = input.optimizer === undefined ? DEFAULT_STATE.optimizer : input.optimizer;
+  if (!OPTIMIZERS.includes(optimizer)) throw requestError(400, `optimizer must be one of ${OPTIMIZERS.join(', ')}`);
+  let demand;
+  if (input.demand !== undefined){
+    demand = jsonField('demand', input.demand);
+    if (!validDemand(demand)) throw requestError(400, 'demand must be a demand model (see DEMAND_MODELS in utils/demand.js)');
+    if (demand.type === 'uniform') demand = undefined;
+  }
+  return { base, optimizer, demand };
+}
+
+// Axis parameters outside PARAMS ranged like a model parameter: Fig 6's base
+// cost c0 as the unit cost c (the number of cycles is bounded by validateSpec)
+const AXIS_RANGES = { c0: 'c' };
+
+// Swept, pinned and per-case model parameters of a spec within PARAMS ranges
+function checkSpecRanges(spec) {
+  for (const axis of ['x', 'y']){
+    const ax = spec[axis];
+    const key = ax && (Object.hasOwn(AXIS_RANGES, ax.param) ? AXIS_RANGES[ax.param] : ax.param);
+    if (!ax || !Object.hasOwn(PARAMS, key)) continue;
+    if (!inRange(key, ax.min) || !inRange(key, ax.max)) {
+      throw requestError(400, `spec.${axis} range must lie in ${rangeText(key)} for ${ax.param}`);
+    }
+  }
+  const sets = [spec.fixed, ...spec.cases.map(cs => cs.set)];
+  for (const set of sets){
+    for (const [key, v] of Object.entries(set)) if (!inRange(key, v)) throw requestError(400, `${key} must be in ${rangeText(key)}`);
+  }
+}
+
+// Estimated cost of a figure's plan (see COST_BUDGET): its cells, i.e. map
+// cells of every case (resolution by resolution, or by the number of use
+// cycles), Fig 6's durability pairs searched at every step or Monte Carlo
+// draws, times the figure's cell cost
+export function requestCost(figure, { spec, resolution, optimizer, demand }) {
+  let cells = 1;
+  if (spec && spec.search) cells = spec.cases.length * spec.x.steps * spec.search.steps ** 2;
+  else if (spec && spec.draws) cells = spec.cases.length * spec.draws;
+  else if (spec) cells = spec.cases.length * resolution * (spec.refurbish ? spec.x.max - spec.x.min + 1 : resolution);
+  const costs = Object.hasOwn(CELL_COSTS, figure) ? CELL_COSTS[figure] : [1, 8];
+  return cells * costs[optimizer === 'grid' || !isLinearDemand(demand) ? 1 : 0];
+}
+
+// { figure, params } of a figure request: parameters as for parsePoint, an
+// optional resolution and an optional spec (object or JSON text) replacing
+// the figure's default. Unknown figures are a 404, requests over
+// COST_BUDGET a 413.
+export function parseFigureRequest(figure, input) {
+  if (!FIGURES.includes(figure)) throw requestError(404, `Unknown figure ${figure} (one of ${FIGURES.join(', ')})`);
+  const { base, optimizer, demand } = parsePoint(input);
+  let resolution = DEFAULT_STATE.resolution;
+  if (input.resolution !== undefined){
+    resolution = number(input.resolution);
+    if (!(Number.isInteger(resolution) && resolution >= 2 && resolution <= MAX_RESOLUTION)) {
+      throw requestError(400, `resolution must be an integer in 2..${MAX_RESOLUTION}`);
+    }
+  }
+  let spec = null;
+  if (input.spec !== undefined){
+    spec = validateSpec(figure, jsonField('spec', input.spec));
+    if (!spec) throw requestError(400, `spec does not fit figure ${figure} (see DEFAULT_SPECS in utils/model.js)`);
+    checkSpecRanges(spec);
+  }
+  const params = planParams({ ...base, resolution, figure, optimizer, demand, spec });
+  const cost = requestCost(figure, params);
+  if (cost > COST_BUDGET) {
+    throw requestError(413, `${figure} would cost ${cost}, over the budget of ${COST_BUDGET} (lower the resolution, the cases or the steps)`);
+  }
+  return { figure, params };
+}
+
+// { point, figures, title } of a report request (see generateReport):
+// parameters as for parseFigureRequest, `figures` a comma-separated list (or
+// array) of REPORT_FIGURES with repeats dropped, `specs` an object (or JSON text) of specs by
+// figure replacing their defaults, and an optional title. Reports whose
+// figures together cost more than COST_BUDGET are a 413.
+export function parseReportRequest(input) {
+  const { figures: rawFigures, specs: rawSpecs, title, ...rest } = input;
+  const figures = rawFigures === undefined ? DEFAULT_REPORT_FIGURES
+    : [...new Set((Array.isArray(rawFigures) ? rawFigures : String(rawFigures).split(',')).map(f => String(f).trim()).filter(Boolean))];
+  if (!figures.length) throw requestError(400, 'figures must name at least one figure');
+  for (const figure of figures){
+    if (!REPORT_FIGURES.includes(figure)) throw requestError(400, `figures must be among ${REPORT_FIGURES.join(', ')}`);
+  }
+  const specs = rawSpecs === undefined ? {} : jsonField('specs', rawSpecs);
+  if (!specs || typeof specs !== 'object' || Array.isArray(specs)) throw requestError(400, 'specs must map figure ids to specs');
+  const point = parsePoint(rest);
+  const requests = figures.map(figure => parseFigureRequest(figure, { ...rest, spec: specs[figure] }));
+  // the report computes all its figures (and the recommendation table) at once
+  const cost = requests.reduce((sum, f) => sum + requestCost(f.figure, f.params), requestCost('table', point));
+  if (cost > COST_BUDGET) {
+    throw requestError(413, `the report would cost ${cost}, over the budget of ${COST_BUDGET} (lower the resolution or the figures)`);
+  }
+  return {
+    point,
+    figures: requests,
+    title: title === undefined || String(title).trim() === '' ? DEFAULT_REPORT_TITLE : String(title).slice(0, MAX_TITLE)
+  };
+}
+
+// Keys sorted recursively, so equal params serialize (and hash) identically
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object'){
+    return Object.fromEntries(Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => [key, canonical(value[key])]));
+  }
+  return value;
+}
+
+export function cacheKey(figure, params) {
+  const text = JSON.stringify(canonical({ model: MODEL_VERSION, figure, params }));
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+const memory = new Map();
+let memoryBytes = 0;
+
+function remember(key, body) {
+  memory.delete(key);
+  memory.set(key, body);
+  memoryBytes += body.length;
+  for (const [old, text] of memory){
+    if (memoryBytes <= CACHE_BYTES || old === key) break;
+    memory.delete(old);
+    memoryBytes -= text.length;
+  }
+}
+
+function diskPath(key) {
+  return process.env.GRID_CACHE_DIR ? path.join(process.env.GRID_CACHE_DIR, `${key}.json`) : null;
+}
+
+// Serialized result { model, figure, title, params, data } of a plan,
+// computed at most once per cache key. Returns { key, body, hit }.
+export function cachedResult(figure, params) {
+  const key = cacheKey(figure, params);
+  if (memory.has(key)){
+    const body = memory.get(key);
+    // refresh its place in the eviction order
+    memory.delete(key);
+    memory.set(key, body);
+    return { key, body, hit: true };
+  }
+  const file = diskPath(key);
+  if (file && fs.existsSync(file)){
+    const body = fs.readFileSync(file, 'utf8');
+    remember(key, body);
+    return { key, body, hit: true };
+  }
+  const data = runPlan(planFigure(figure, params));
+  const body = JSON.stringify({ model: MODEL_VERSION, figure, title: data.title || null, params, data });
+  remember(key, body);
+  if (file){
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, body);
+    } catch (e) {
+      // an unwritable cache directory only costs the persistence
+    }
+  }
+  return { key, body, hit: false };
+}
+
+export function clearCache() {
+  memory.clear();
+  memoryBytes = 0;
+}
+
+// Route handler body: GET query and POST JSON body inputs (body fields win,
+// except the route's figure id `fig`) resolved to { figure, params } by
+// `resolve`, answered from the cache with an ETag; errors as { error } with
+// their status
+export function respond(req, res, resolve) {
+  if (req.method !== 'GET' && req.method !== 'POST'){
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+  let request;
+  try {
+    // the figure comes from the route path, never from the body
+    const { fig, ...body } = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+    request = resolve({ ...req.query, ...body });
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  let result;
+  try {
+    result = cachedResult(request.figure, request.params);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  const etag = `"${result.key}"`;
+  res.setHeader('ETag', etag);
+  res.setHeader('X-Cache', result.hit ? 'HIT' : 'MISS');
+  if (req.headers['if-none-match'] === etag) return res.status(304).end();
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  // end() rather than send(), which would replace the ETag with a hash of the body
+  return res.status(200).end(result.body);
+}
+
+// Route handler body of the report: the HTML document of a report request
+// (GET query or POST JSON body, as for respond), the figures' data read
+// through the result cache; errors as { error } with their status
+export function respondReport(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST'){
+    res.setHeader('Allow', 'GET, POST');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+  let request;
+  try {
+    const body = req.method === 'POST' && req.body && typeof req.body === 'object' ? req.body : {};
+    request = parseReportRequest({ ...req.query, ...body });
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  let html;
+  try {
+    html = generateReport({
+      ...request,
+      date: new Date().toISOString().slice(0, 10),
+      compute: (figure, params) => JSON.parse(cachedResult(figure, params).body).data
+    });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  return res.status(200).end(html);
+}
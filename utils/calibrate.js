@@ -0,0 +1,254 @@
+// utils/calibrate.js
+// Calibration of the model to observed market data: observed prices and
+// quantities of one strategy each (e.g. new and used lease rates under LI)
+// are matched by the equilibrium values of CircularEconomyModel, fitting
+// δ1, δ2, γ and c (k and unfitted parameters held fixed) by nonlinear least
+// squares. Levenberg-Marquardt on a finite-difference Jacobian, projected
+// onto the PARAMS ranges with δ2 < δ1, started from the best points of a
+// coarse scan; standard errors from the Gauss-Newton covariance at the optimum.
+
+import { CircularEconomyModel, PARAMS, STRATEGIES } from './model.js';
+import { solveLinear } from './qp.js';
+
+// Observable prices and quantities of every strategy's solution record
+export const OBSERVABLES = {
+  SI: { p: 'price of a new unit', q: 'new units sold' },
+  LI: { rn: 'lease rate of a new unit', ru: 'lease rate of a used unit', Ln: 'new units leased', Lu: 'used units leased' },
+  SM: { p1: 'price of a new unit', p2: 'price of a replacement module', q1: 'new units sold', q2: 'replacement modules sold' },
+  LM: {
+    rnn: 'lease rate of a new unit', run: 'lease rate of an upgraded unit', ruu: 'lease rate of a used unit',
+    Lnn: 'new units leased', Lun: 'upgraded units leased', Luu: 'used units leased'
+  }
+};
+
+export const FIT_PARAMS = ['d1', 'd2', 'gamma', 'c'];
+
+const MAX_ITERATIONS = 200;
+const FD_STEP = 1e-6;
+// smallest gap kept between the fitted δ1 and δ2
+const DURABILITY_GAP = 1e-4;
+// Regime switches (e.g. SM falling back to the integral design) leave local
+// minima, so local searches start from the caller's point and the best
+// points of a coarse scan of the fitted parameters' default ranges
+const SCAN_STEPS = 5;
+const SCAN_STARTS = 3;
+
+// Observations from CSV text with a header naming the columns strategy,
+// variable, value and optionally sd (the observation's standard deviation,
+// weighting it by 1/sd², 1 when empty); '#' lines are comments. Every row has
+// the header's number of fields. Throws on malformed rows.
+export function parseObservations(text) {
+  const lines = text.split(/\r?\n/).map((line, i) => ({ line: line.trim(), number: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'));
+  if (!lines.length) throw new Error('No observations');
+  const header = lines[0].line.split(',').map(s => s.trim().toLowerCase());
+  const col = Object.fromEntries(['strategy', 'variable', 'value', 'sd'].map(name => [name, header.indexOf(name)]));
+  for (const name of ['strategy', 'variable', 'value']){
+    if (col[name] < 0) throw new Error(`Missing column '${name}' (header: strategy,variable,value[,sd])`);
+  }
+  const observations = lines.slice(1).map(({ line, number }) => {
+    const fields = line.split(',').map(s => s.trim());
+    if (fields.length !== header.length) throw new Error(`line ${number}: expected ${header.length} fields, got ${fields.length}`);
+    const strategy = fields[col.strategy].toUpperCase();
+    const variable = fields[col.variable];
+    const value = Number(fields[col.value]);
+    const sd = col.sd >= 0 && fields[col.sd] ? Number(fields[col.sd]) : 1;
+    if (!STRATEGIES.includes(strategy)) throw new Error(`line ${number}: unknown strategy '${fields[col.strategy]}'`);
+    if (!Object.hasOwn(OBSERVABLES[strategy], variable)) {
+      throw new Error(`line ${number}: ${strategy} has no variable '${variable}' (one of ${Object.keys(OBSERVABLES[strategy]).join(', ')})`);
+    }
+    if (fields[col.value] === '' || !Number.isFinite(value)) throw new Error(`line ${number}: value must be a number`);
+    if (!(Number.isFinite(sd) && sd > 0)) throw new Error(`line ${number}: sd must be a positive number`);
+    return { strategy, variable, value, sd };
+  });
+  if (!observations.length) throw new Error('No observations');
+  return observations;
+}
+
+// Equilibrium value of every observation at parameters p; variables a
+// solution does not have (e.g. q1 when SM falls back to the integral design)
+// are 0, as for shut-down strategies. options: model options ({ optimizer, demand })
+export function predictObservations(p, observations, options) {
+  const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k, options);
+  const records = {};
+  return observations.map(({ strategy, variable }) => {
+    if (!records[strategy]) records[strategy] = m[`solve_${strategy}`]();
+    const { prices, quantities } = records[strategy];
+    const v = Object.hasOwn(prices, variable) ? prices[variable] : quantities[variable];
+    return v === undefined ? 0 : v;
+  });
+}
+
+// Nearest valid parameters moving only `keys`: within the PARAMS ranges and
+// δ2 < δ1 (lowering δ2 when it is fitted, else raising δ1)
+function project(p, keys) {
+  const out = { ...p };
+  for (const key of keys) out[key] = Math.min(PARAMS[key].max, Math.max(PARAMS[key].min, out[key]));
+  if (out.d2 > out.d1 - DURABILITY_GAP){
+    if (keys.includes('d2')) out.d2 = Math.max(PARAMS.d2.min, out.d1 - DURABILITY_GAP);
+    if (out.d2 > out.d1 - DURABILITY_GAP && keys.includes('d1')) out.d1 = out.d2 + DURABILITY_GAP;
+  }
+  return out;
+}
+
+function weightedResiduals(p, observations, options) {
+  const predicted = predictObservations(p, observations, options);
+  return observations.map((o, i) => (predicted[i] - o.value) / o.sd);
+}
+
+function sumOfSquares(r) {
+  return r.reduce((acc, v) => acc + v*v, 0);
+}
+
+// Forward differences, backward at the upper end of a parameter's range
+function jacobian(p, r, keys, observations, options) {
+  const J = r.map(() => new Array(keys.length).fill(0));
+  keys.forEach((key, j) => {
+    const h = FD_STEP * Math.max(1, Math.abs(p[key]));
+    const step = p[key] + h <= PARAMS[key].max ? h : -h;
+    const moved = { ...p, [key]: p[key] + step };
+    const rh = weightedResiduals(moved, observations, options);
+    for (let i=0;i<r.length;i++) J[i][j] = (rh[i] - r[i]) / step;
+  });
+  return J;
+}
+
+function normalEquations(J, r) {
+  const K = J[0].length;
+  const A = Array.from({ length: K }, () => new Array(K).fill(0));
+  const g = new Array(K).fill(0);
+  for (let i=0;i<J.length;i++){
+    for (let a=0;a<K;a++){
+      g[a] += J[i][a] * r[i];
+      for (let b=0;b<K;b++) A[a][b] += J[i][a] * J[i][b];
+    }
+  }
+  return { A, g };
+}
+
+// Levenberg-Marquardt from `start`; returns { params, rss, iterations, converged }
+function levenbergMarquardt(start, keys, observations, options) {
+  let p = project(start, keys);
+  let r = weightedResiduals(p, observations, options);
+  let rss = sumOfSquares(r);
+  let lambda = 1e-3;
+  for (let it=1;it<=MAX_ITERATIONS;it++){
+    const { A, g } = normalEquations(jacobian(p, r, keys, observations, options), r);
+    let improved = false;
+    while (lambda < 1e12){
+      const M = A.map((row, a) => row.map((v, b) => a === b ? v + lambda * Math.max(v, 1e-12) : v));
+      const step = solveLinear(M, g.map(v => -v));
+      if (step){
+        const next = project({ ...p, ...Object.fromEntries(keys.map((key, j) => [key, p[key] + step[j]])) }, keys);
+        const rn = weightedResiduals(next, observations, options);
+        const rssNext = sumOfSquares(rn);
+        if (rssNext < rss){
+          const moved = keys.reduce((acc, key) => Math.max(acc, Math.abs(next[key] - p[key])), 0);
+          const gain = rss - rssNext;
+          p = next; r = rn; rss = rssNext;
+          lambda = Math.max(lambda / 10, 1e-12);
+          improved = true;
+          if (gain <= 1e-14 + 1e-10 * rss || moved <= 1e-10) return { params: p, rss, iterations: it, converged: true };
+          break;
+        }
+      }
+      lambda *= 10;
+    }
+    // no step lowers the residuals: a (possibly constrained) minimum
+    if (!improved) return { params: p, rss, iterations: it, converged: true };
+  }
+  return { params: p, rss, iterations: MAX_ITERATIONS, converged: false };
+}
+
+// The SCAN_STARTS points of lowest residuals on a grid over the fitted
+// parameters' default ranges
+function scanStarts(base, keys, observations, options) {
+  const points = [];
+  const rec = (j, p) => {
+    if (j === keys.length){
+      if (p.d2 < p.d1) points.push({ p, rss: sumOfSquares(weightedResiduals(p, observations, options)) });
+      return;
+    }
+    const [lo, hi] = PARAMS[keys[j]].range;
+    for (let i=0;i<SCAN_STEPS;i++) rec(j + 1, { ...p, [keys[j]]: lo + (hi - lo) * i / (SCAN_STEPS - 1) });
+  };
+  rec(0, base);
+  return points.sort((a, b) => a.rss - b.rss).slice(0, SCAN_STARTS).map(point => point.p);
+}
+
+// Quantile of Student's t distribution with `dof` degrees of freedom: exact
+// for 1 and 2, else the Cornish-Fisher expansion around the normal quantile
+export function studentQuantile(prob, dof) {
+  if (dof === 1) return Math.tan(Math.PI * (prob - 0.5));
+  if (dof === 2) return (2*prob - 1) / Math.sqrt(2 * prob * (1 - prob));
+  const z = normalQuantile(prob), v = dof;
+  const z3 = z**3, z5 = z**5, z7 = z**7, z9 = z**9;
+  return z + (z3 + z) / (4*v) + (5*z5 + 16*z3 + 3*z) / (96*v*v)
+    + (3*z7 + 19*z5 + 17*z3 - 15*z) / (384*v**3)
+    + (79*z9 + 776*z7 + 1482*z5 - 1920*z3 - 945*z) / (92160*v**4);
+}
+
+// Standard normal quantile (Acklam's rational approximation, |error| < 1.2e-9)
+function normalQuantile(prob) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) / ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
+  if (prob < 0.02425) return tail(Math.sqrt(-2 * Math.log(prob)));
+  if (prob > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - prob)));
+  const q = prob - 0.5, s = q*q;
+  return (((((a[0]*s + a[1])*s + a[2])*s + a[3])*s + a[4])*s + a[5])*q / (((((b[0]*s + b[1])*s + b[2])*s + b[3])*s + b[4])*s + 1);
+}
+
+// Fits `fit` (default δ1, δ2, γ, c) to observations from `start` (which also
+// supplies k and the unfitted parameters) and the scanned start points, with
+// the model solved by `optimizer` under the `demand` model.
+// Returns { params, estimates: { d1: { value, se, lower, upper, atBound }, .. },
+//           fit: { n, dof, rss, rmse, r2 }, residuals: [{ ...observation, predicted, residual }],
+//           iterations, converged, level }
+// with `level` confidence intervals; se and bounds are null when the data do
+// not identify the parameter (singular normal equations or no spare degrees
+// of freedom). The covariance is scaled by the residual variance rss / dof.
+export function calibrate(observations, { start, fit=FIT_PARAMS, optimizer, demand, level=0.95 }={}) {
+  const options = { optimizer, demand };
+  const keys = FIT_PARAMS.filter(key => fit.includes(key));
+  if (!keys.length) throw new Error('No parameters to fit');
+  const base = { d1: 0.5, d2: 0.2, gamma: 1.0, c: 0.15, k: 0, ...start };
+  if (!keys.includes('d1') && !keys.includes('d2') && base.d2 >= base.d1) throw new Error('Fixed δ2 must be below δ1');
+  let best = null;
+  for (const point of [base, ...scanStarts(base, keys, observations, options)]){
+    const run = levenbergMarquardt(point, keys, observations, options);
+    if (!best || run.rss < best.rss) best = run;
+  }
+  const p = best.params;
+  const n = observations.length, dof = n - keys.length;
+  const r = weightedResiduals(p, observations, options);
+  const { A } = normalEquations(jacobian(p, r, keys, observations, options), r);
+  const variance = dof > 0 ? best.rss / dof : null;
+  const t = dof > 0 ? studentQuantile(0.5 + level / 2, dof) : null;
+  const estimates = {};
+  keys.forEach((key, j) => {
+    const unit = keys.map((_, b) => b === j ? 1 : 0);
+    const column = variance === null ? null : solveLinear(A, unit);
+    const se = column && column[j] > 0 ? Math.sqrt(variance * column[j]) : null;
+    const atBound = p[key] <= PARAMS[key].min || p[key] >= PARAMS[key].max
+      || ((key === 'd1' || key === 'd2') && p.d1 - p.d2 <= DURABILITY_GAP * (1 + 1e-9));
+    estimates[key] = {
+      value: p[key], se, atBound,
+      lower: se === null ? null : p[key] - t * se,
+      upper: se === null ? null : p[key] + t * se
+    };
+  });
+  const predicted = predictObservations(p, observations, options);
+  // R² of the weighted values against their weighted mean
+  const weights = observations.map(o => 1 / (o.sd * o.sd));
+  const mean = observations.reduce((acc, o, i) => acc + weights[i] * o.value, 0) / weights.reduce((a, w) => a + w, 0);
+  const tss = observations.reduce((acc, o, i) => acc + weights[i] * (o.value - mean) ** 2, 0);
+  return {
+    params: p, estimates,
+    fit: { n, dof, rss: best.rss, rmse: Math.sqrt(best.rss / n), r2: tss > 0 ? 1 - best.rss / tss : null },
+    residuals: observations.map((o, i) => ({ ...o, predicted: predicted[i], residual: predicted[i] - o.value })),
+    iterations: best.iterations, converged: best.converged, level
+  };
+}
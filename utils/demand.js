@@ -0,0 +1,140 @@
+// utils/demand.js
+// Consumer demand models of CircularEconomyModel. A unit mass of consumers
+// has valuations θ in [0, 1]; a model is used through its valuation quantile
+// P(x), the valuation of the consumer with mass x of consumers valuing the
+// product more (P(0) = 1, P(x) = 0 for x >= 1). Uniform valuations give
+// P(x) = 1 - x, the linear inverse demands of the paper's closed forms.
+//   { type: 'uniform' }
+//   { type: 'segments', share, scale }  share of consumers uniform on [0, 1],
+//                                        the rest uniform on [0, scale]
+//   { type: 'beta', a, b }              Beta(a, b) distributed valuations
+//   { type: 'discounted', factor }      uniform valuations; buyers discount the
+//                                        second use of a bought unit by factor
+
+export const DEMAND_MODELS = {
+  uniform: { label: 'uniform valuations', defaults: { type: 'uniform' } },
+  segments: { label: 'two-segment mixture', defaults: { type: 'segments', share: 0.4, scale: 0.5 } },
+  beta: { label: 'beta valuations', defaults: { type: 'beta', a: 2, b: 2 } },
+  discounted: { label: 'discounting consumers', defaults: { type: 'discounted', factor: 0.8 } }
+};
+
+export const UNIFORM_DEMAND = DEMAND_MODELS.uniform.defaults;
+
+// Whether the inverse demands stay linear, so the closed forms and the
+// leasing QPs apply (discounting only rescales the durabilities buyers see)
+export function isLinearDemand(demand) {
+  return !demand || demand.type === 'uniform' || demand.type === 'discounted';
+}
+
+// Factor on the durabilities a buyer values when buying a unit
+export function buyerDiscount(demand) {
+  return demand && demand.type === 'discounted' ? demand.factor : 1;
+}
+
+// Beta quantiles are tabulated on QUANTILE_POINTS valuations and interpolated
+const QUANTILE_POINTS = 2049;
+const CF_ITERATIONS = 200;
+const CF_EPS = 1e-14;
+
+// Lanczos approximation (g = 7, n = 9)
+const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let acc = LANCZOS[0];
+  for (let i=1;i<LANCZOS.length;i++) acc += LANCZOS[i] / (x + i);
+  const t = x + 7.5;
+  return 0.5*Math.log(2*Math.PI) + (x + 0.5)*Math.log(t) - t + Math.log(acc);
+}
+
+// Continued fraction of the incomplete beta function (modified Lentz)
+function betaFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m=1;m<=CF_ITERATIONS;m++){
+    const m2 = 2*m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa*d; if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa/c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d*c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa*d; if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa/c; if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const step = d*c;
+    h *= step;
+    if (Math.abs(step - 1) < CF_EPS) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b), the Beta(a, b) CDF
+export function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a*Math.log(x) + b*Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ? front * betaFraction(x, a, b) / a : 1 - front * betaFraction(1 - x, b, a) / b;
+}
+
+// P from a table of the survival S(θ) = mass valuing more than θ, at
+// increasing θ (so decreasing S), by bisection and linear interpolation
+function tabulatedQuantile(theta, survival) {
+  const last = theta.length - 1;
+  return (x) => {
+    if (x <= 0) return 1;
+    if (x >= 1) return 0;
+    let lo = 0, hi = last;
+    while (hi - lo > 1){
+      const mid = (lo + hi) >> 1;
+      if (survival[mid] > x) lo = mid; else hi = mid;
+    }
+    const w = (survival[lo] - x) / (survival[lo] - survival[hi]);
+    return theta[lo] + w * (theta[hi] - theta[lo]);
+  };
+}
+
+function betaQuantile({ a, b }) {
+  const theta = new Float64Array(QUANTILE_POINTS);
+  const survival = new Float64Array(QUANTILE_POINTS);
+  for (let i=0;i<QUANTILE_POINTS;i++){
+    theta[i] = i / (QUANTILE_POINTS - 1);
+    survival[i] = 1 - regularizedBeta(theta[i], a, b);
+  }
+  return tabulatedQuantile(theta, survival);
+}
+
+// Mixture of U[0, 1] (share) and U[0, scale]: above scale only the first
+// segment is left, below it both contribute at a combined density
+function segmentsQuantile({ share, scale }) {
+  const top = share * (1 - scale);
+  const density = share + (1 - share) / scale;
+  return (x) => {
+    if (x <= 0) return 1;
+    if (x >= 1) return 0;
+    return x <= top ? 1 - x / share : (1 - x) / density;
+  };
+}
+
+const quantiles = new Map();
+
+// Valuation quantile P of a demand model, memoized per model
+export function valuationQuantile(demand) {
+  const key = JSON.stringify(demand || UNIFORM_DEMAND);
+  if (quantiles.has(key)) return quantiles.get(key);
+  let P;
+  switch (demand ? demand.type : 'uniform') {
+    case 'uniform':
+    case 'discounted': P = (x) => x >= 1 ? 0 : 1 - Math.max(x, 0); break;
+    case 'segments': P = segmentsQuantile(demand); break;
+    case 'beta': P = betaQuantile(demand); break;
+    default: throw new Error(`Unknown demand model: ${demand.type}`);
+  }
+  quantiles.set(key, P);
+  return P;
+}
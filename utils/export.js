@@ -0,0 +1,161 @@
+// utils/export.js
+// Serializers for computed figure data (the assembled output of any plan in
+// ./model.js): tidy CSV with one row per grid cell / series point and a JSON
+// bundle carrying the inputs and model version. Pure functions, shared by the
+// page and headless tools.
+
+import { MODEL_VERSION, STRATEGIES, boundaryName } from './model.js';
+
+function csvField(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvLines(header, rows) {
+  return [header, ...rows].map(r => r.map(csvField).join(',')).join('\n');
+}
+
+// Tidy table { header, rows } for any figure data shape
+export function tidyTable(data) {
+  if (data.diffs){
+    // scenario comparison: one row per compared scenario, case and cell with
+    // the baseline's and the scenario's optimal strategy and the change of
+    // the optimal profit
+    const baseline = data.scenarios[0];
+    const rows = [];
+    data.diffs.forEach((d, n) => {
+      const scenario = data.scenarios[n + 1];
+      (d.results || []).forEach((r, idx) => {
+        const from = baseline.results[idx], to = scenario.results[idx];
+        for (let i=0;i<d.yAxis.length;i++){
+          for (let j=0;j<d.xAxis.length;j++){
+            const code = r.layers.transition[i][j];
+            const a = code === null ? null : STRATEGIES[from.layers.best[i][j]];
+            const b = code === null ? null : STRATEGIES[to.layers.best[i][j]];
+            rows.push([
+              d.label, d.baseline, r.label, d.xAxis[j], d.yAxis[i], a, b, code === null ? null : (code ? 1 : 0),
+              code === null ? null : to.profits[b][i][j] - from.profits[a][i][j]
+            ]);
+          }
+        }
+      });
+    });
+    const first = data.diffs.find(d => d.results);
+    const axes = first ? [first.xParam, first.yParam] : ['x', 'y'];
+    return { header: ['scenario', 'baseline', 'case', ...axes, 'from', 'to', 'changed', 'profit_change'], rows };
+  }
+  if (data.results){
+    // (x, y) sweeps: one row per case and cell, one column per layer plus a
+    // label column for each categorical layer, then the strategy profits and
+    // the best-vs-second-best gap
+    const layerNames = Object.keys(data.results[0] ? data.results[0].layers : {});
+    const legends = data.legends || {};
+    const columns = layerNames.flatMap(name => legends[name] ? [name, `${name}_label`] : [name]);
+    const cell = (r, name, i, j) => {
+      const v = r.layers[name][i][j];
+      if (!legends[name]) return [v];
+      return [v, v !== null && legends[name][v] ? legends[name][v].label : null];
+    };
+    const rows = [];
+    for (const r of data.results){
+      for (let i=0;i<data.yAxis.length;i++){
+        for (let j=0;j<data.xAxis.length;j++){
+          rows.push([
+            r.label, data.xAxis[j], data.yAxis[i], ...layerNames.flatMap(name => cell(r, name, i, j)),
+            ...STRATEGIES.map(s => r.profits[s][i][j]), r.gap[i][j]
+          ]);
+        }
+      }
+    }
+    return { header: ['case', data.xParam, data.yParam, ...columns, ...STRATEGIES.map(s => `profit_${s}`), 'gap'], rows };
+  }
+  if (data.traces){
+    // traced boundaries: one row per curve point; `solved` is the coordinate
+    // found by root finding at the other one's grid value
+    const rows = [];
+    for (const t of data.traces){
+      t.curves.forEach((curve, n) => {
+        for (const p of curve) rows.push([t.label, boundaryName(t), n + 1, p.x, p.y, p.solved]);
+      });
+    }
+    return { header: ['case', 'boundary', 'curve', data.xParam, data.yParam, 'solved'], rows };
+  }
+  if (data.runs){
+    // Monte Carlo: one row per case and draw with the sampled parameters, the
+    // strategy profits and the optimal strategy
+    const params = Object.keys(data.runs[0] ? data.runs[0].params : {});
+    const legend = (data.legends && data.legends.best) || {};
+    const rows = [];
+    for (const run of data.runs){
+      for (let n=0;n<run.draws;n++){
+        rows.push([
+          run.label, n + 1, ...params.map(key => run.params[key][n]),
+          ...STRATEGIES.map(s => run.profits[s][n]), legend[run.best[n]] ? legend[run.best[n]].label : run.best[n]
+        ]);
+      }
+    }
+    return { header: ['case', 'draw', ...params, ...STRATEGIES.map(s => `profit_${s}`), 'best'], rows };
+  }
+  if (data.out){
+    // endogenous durability series: one row per case and base cost
+    const rows = [];
+    for (const series of data.out){
+      series.c0_vals.forEach((c0, s) => {
+        rows.push([series.label, c0, series.opt_d1[s], series.opt_d2[s], series.opt_profit[s], series.strategies[s]]);
+      });
+    }
+    return { header: ['case', 'c0', 'opt_d1', 'opt_d2', 'opt_profit', 'strategy'], rows };
+  }
+  if (data.solutions){
+    // single point: long format, one row per strategy and field
+    const rows = [];
+    const rank = Object.fromEntries((data.ranking || []).map((r, i) => [r.strategy, { ...r, rank: i + 1 }]));
+    for (const [key, sol] of Object.entries(data.solutions)){
+      rows.push([key, 'branch', sol.branch]);
+      for (const field of ['profit', 'revenue', 'cost', 'policy']) rows.push([key, field, sol[field]]);
+      if (rank[key]) for (const field of ['rank', 'lead', 'behind']) rows.push([key, field, rank[key][field]]);
+      for (const [name, v] of Object.entries(sol.quantities)) rows.push([key, `quantity.${name}`, v]);
+      for (const [name, v] of Object.entries(sol.prices)) rows.push([key, `price.${name}`, v]);
+      if (sol.impact) for (const [name, v] of Object.entries(sol.impact)) rows.push([key, `impact.${name}`, v]);
+    }
+    // sensitivity: derivatives and elasticities per strategy, switch points
+    // under the optimal strategy
+    for (const sens of data.sensitivity || []){
+      for (const key of STRATEGIES){
+        rows.push([key, `derivative.${sens.param}`, sens.derivatives[key]]);
+        rows.push([key, `elasticity.${sens.param}`, sens.elasticities[key]]);
+      }
+      for (const side of ['lower', 'upper']){
+        rows.push([sens.best, `switch_${side}.${sens.param}`, sens[side].value]);
+        rows.push([sens.best, `switch_${side}_to.${sens.param}`, sens[side].strategy]);
+      }
+    }
+    return { header: ['strategy', 'field', 'value'], rows };
+  }
+  return { header: [], rows: [] };
+}
+
+// CSV text headed by '#' comment lines with the title and model version
+export function toCSV(data, { title }={}) {
+  const { header, rows } = tidyTable(data);
+  const comments = [`# ${title || data.title || 'Circular economy simulator'}`, `# model ${MODEL_VERSION}`];
+  return `${comments.join('\n')}\n${csvLines(header, rows)}\n`;
+}
+
+// JSON bundle: inputs (figure id and plan params) plus the computed data
+export function toJSONBundle(figure, params, data) {
+  return JSON.stringify({
+    model: MODEL_VERSION,
+    figure,
+    title: data.title || null,
+    params,
+    data
+  }, null, 2) + '\n';
+}
+
+// File-system friendly name, e.g. "fig4-joint-choice-strategy-map"
+export function exportName(figure, title) {
+  const slug = String(title || '').toLowerCase().replace(/\(fig \d\)/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug ? `${figure}-${slug}` : figure;
+}
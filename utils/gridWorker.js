@@ -0,0 +1,20 @@
+// utils/gridWorker.js
+// Web Worker computing figure rows. Receives { jobId, figure, params, rows }
+// chunks, posts { jobId, row, data } per finished row and { jobId, done }
+// after the chunk so the pool can hand out the next one; a failing plan or
+// row ends the chunk with { jobId, error, done }.
+
+import { planFigure } from './model.js';
+
+let current = { jobId: null, plan: null };
+
+self.onmessage = (e) => {
+  const { jobId, figure, params, rows } = e.data;
+  try {
+    if (current.jobId !== jobId) current = { jobId, plan: planFigure(figure, params) };
+    for (const row of rows) self.postMessage({ jobId, row, data: current.plan.computeRow(row) });
+    self.postMessage({ jobId, done: true });
+  } catch (err) {
+    self.postMessage({ jobId, error: String(err && err.message || err), done: true });
+  }
+};
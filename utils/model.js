@@ -1,10 +1,25 @@
 // utils/model.js
 // JS port of the CircularEconomyModel and grid builders for Fig1..Fig6
-// Deterministic grid-search approximations (client-side friendly).
+// Leasing programs are solved exactly (KKT active sets, see ./qp.js); the
+// original deterministic grid searches remain available for verification.
+// Demand models with non-linear inverse demand (see ./demand.js) are solved
+// by pattern search.
+
+import { solveConcaveQP } from './qp.js';
+import { mulberry32, seedFor, sampleDistribution } from './random.js';
+import { nashEquilibria } from './nash.js';
+import { UNIFORM_DEMAND, isLinearDemand, buyerDiscount, valuationQuantile } from './demand.js';
+
+// Version of the model's results; bump whenever a change moves any output
+export const MODEL_VERSION = '1.3.1';
 
 function clamp(x, a, b) { return Math.max(a, Math.min(b, x)); }
 
-export function CircularEconomyModel(d1, d2, gamma, c, k=0.0) {
+// options.optimizer: 'exact' (default) or 'grid' for the leasing programs;
+// options.impact: emission factors of solve()'s impact metrics (see impactMetrics);
+// options.policy: policy levers (see POLICY_LEVERS);
+// options.demand: consumer demand model (see ./demand.js), uniform by default
+export function CircularEconomyModel(d1, d2, gamma, c, k=0.0, options={}) {
   this.d1 = d1;
   this.d2 = d2;
   this.gamma = gamma;
@@ -12,93 +27,1123 @@ export function CircularEconomyModel(d1, d2, gamma, c, k=0.0) {
   this.k = k;
   this.d1L = Math.min(gamma * d1, 0.999);
   this.d2L = Math.min(gamma * d2, 0.999);
-  this.d_sum_S = d1 + d2;
   this.d_sum_L = this.d1L + this.d2L;
+  this.demand = options.demand || UNIFORM_DEMAND;
+  this.linearDemand = isLinearDemand(this.demand);
+  this.valuation = valuationQuantile(this.demand);
+  // durabilities as valued by buyers, who may discount a unit's second use
+  this.discount = buyerDiscount(this.demand);
+  this.d1S = this.discount * d1;
+  this.d2S = this.discount * d2;
+  this.d_sum_S = this.d1S + this.d2S;
+  this.optimizer = options.optimizer || 'exact';
+  this.impact = { ...DEFAULT_IMPACT, ...options.impact };
+  this.policy = { ...NO_POLICY, ...options.policy };
+  this.hasPolicy = Object.values(this.policy).some(v => v !== 0);
+  // worst precision reached by any optimizer call on this instance
+  this.achievedPrecision = CLOSED_FORM;
 }
 
-CircularEconomyModel.prototype.profit_SI = function() {
-  const cost = 2 * this.c;
-  if (cost > 1 + this.d_sum_S/2) return 0.0;
+// Precision records: `error` bounds the error of the optimal quantities
+// (KKT residual for 'exact', grid step for 'grid').
+export const CLOSED_FORM = { method: 'closed-form', error: 0 };
+const LI_GRID_STEPS = 25;
+const LM_GRID_STEPS = 16;
+
+export function worstPrecision(a, b) {
+  if (a.method === 'closed-form') return b;
+  if (b.method === 'closed-form') return a;
+  return b.error > a.error ? b : a;
+}
+
+// Strategy solutions: every solve_* returns a record of the form
+// { strategy, branch, profit, revenue, cost, policy, quantities, prices, precision }
+// with profit = revenue - cost + policy (the net policy transfer to the firm).
+// The closed forms correspond to a linear inverse demand p = A - B*q with unit
+// cost C, whose optimum has margin p - C = (A - C)/2 and quantity (A - C)/(2B).
+function shutdown(strategy, quantities, prices, precision=CLOSED_FORM) {
+  return { strategy, branch: 'shutdown', profit: 0, revenue: 0, cost: 0, policy: 0, quantities, prices, precision };
+}
+
+// Policy levers, all 0 by default:
+//   carbonTax      per new unit produced (half per new module)
+//   reuseSubsidy   per module the firm puts back into service: re-leased
+//                  units and the strong module kept by a replacement weak one
+//   leasingCredit  per leased unit per period
+//   takeBack       minimum share of returned leased units the lessor must
+//                  re-lease, a constraint on the leasing programs
+// Sold units are resold by their owners, so only the tax and SM's replacement
+// modules move the selling profits.
+export const POLICY_LEVERS = {
+  carbonTax: 'carbon tax per new unit',
+  reuseSubsidy: 'subsidy per reused module',
+  leasingCredit: 'leasing credit per leased unit',
+  takeBack: 'minimum take-back rate'
+};
+const NO_POLICY = { carbonTax: 0, reuseSubsidy: 0, leasingCredit: 0, takeBack: 0 };
+
+// Net policy transfer per unit of every quantity (see the solve_* records)
+CircularEconomyModel.prototype._transfers = function() {
+  const { carbonTax: t, reuseSubsidy: s, leasingCredit: l } = this.policy;
+  return { q: -t, q1: -t, q2: s - t/2, Ln: l - t, Lu: l + 2*s, Lnn: l - t, Lun: l + s - t/2, Luu: l + 2*s };
+};
+
+CircularEconomyModel.prototype._policyTransfer = function(quantities) {
+  const tr = this._transfers();
+  return Object.entries(quantities).reduce((acc, [name, v]) => acc + tr[name]*v, 0);
+};
+
+// Modular strategies fall back to the integral design when it earns at least as much
+function fallback(strategy, integral) {
+  return { ...integral, strategy, branch: integral.branch === 'shutdown' ? 'shutdown' : 'integral' };
+}
+
+CircularEconomyModel.prototype.solve_SI = function() {
+  // unit cost net of the policy transfer
+  const cost = 2 * this.c - this._transfers().q;
+  if (!this.linearDemand) return this._solve_SI_search(cost);
+  if (cost > 1 + this.d_sum_S/2) return shutdown('SI', { q: 0 }, { p: 0 });
   const numerator = Math.pow(2 - 2*cost + this.d_sum_S, 2);
   const denominator = 8 * (2 + 3*this.d_sum_S);
-  return numerator / denominator;
+  const q = (2 - 2*cost + this.d_sum_S) / (2 * (2 + 3*this.d_sum_S));
+  const p = cost + (2 - 2*cost + this.d_sum_S) / 4;
+  return {
+    strategy: 'SI', branch: 'closed-form',
+    profit: numerator / denominator, revenue: p*q, cost: 2*this.c*q, policy: this._policyTransfer({ q }),
+    quantities: { q }, prices: { p }, precision: CLOSED_FORM
+  };
 };
 
+CircularEconomyModel.prototype.profit_SI = function() {
+  return this.solve_SI().profit;
+};
+
+// Partial derivatives of profit_SI: with N = 2 - 4c + 2t + s (t the transfer
+// per unit), D = 2 + 3s and s = β(δ1 + δ2) (β the buyers' discount), profit =
+// N²/(8D), so ∂/∂s = N(2D - 3N)/(8D²) and ∂/∂c = -N/D. Linear demand only.
+CircularEconomyModel.prototype.gradient_SI = function() {
+  const zero = { d1: 0, d2: 0, gamma: 0, c: 0, k: 0 };
+  if (this.solve_SI().branch === 'shutdown') return zero;
+  const N = 2 - 4*this.c + 2*this._transfers().q + this.d_sum_S;
+  const D = 2 + 3*this.d_sum_S;
+  const ds = this.discount * N * (2*D - 3*N) / (8*D*D);
+  return { ...zero, d1: ds, d2: ds, c: -N / D };
+};
+
+// Leasing the integral product: maximize over 0 <= Lu <= Ln <= 1 with
+//   rn = 1 - Ln - (D/2) Lu,  ru = (D/2)(1 - Ln - Lu),  profit = rn Ln + ru Lu - 2c Ln
+// plus the policy transfers, re-leasing Lu >= takeBack * Ln
 CircularEconomyModel.prototype._optimize_LI_numerical = function() {
+  const opt = this.optimizer === 'grid' ? this._optimize_LI_grid()
+    : this.linearDemand ? this._optimize_LI_exact() : this._optimize_LI_search();
+  this.achievedPrecision = worstPrecision(this.achievedPrecision, opt.precision);
+  const cost = 2 * this.c;
+  const Ln = opt.Ln, Lu = opt.Lu;
+  const { rn, ru } = this._li_prices(Ln, Lu);
+  const policy = this._policyTransfer({ Ln, Lu });
+  const profit = (rn*Ln + ru*Lu) - cost*Ln + policy;
+  if (profit <= 0) return shutdown('LI', { Ln: 0, Lu: 0 }, { rn: 0, ru: 0 }, opt.precision);
+  return {
+    strategy: 'LI', branch: 'interior',
+    profit, revenue: rn*Ln + ru*Lu, cost: cost*Ln, policy,
+    quantities: { Ln, Lu }, prices: { rn, ru }, precision: opt.precision
+  };
+};
+
+// Rental prices of new and used units: the marginal lessee of the Ln + Lu
+// units values a used one at (D/2) P(Ln + Lu), the marginal new one pays on
+// top the quality gap (1 - D/2) at P(Ln); P(x) = 1 - x for linear demand
+CircularEconomyModel.prototype._li_prices = function(Ln, Lu) {
+  const a = this.d_sum_L/2;
+  if (this.linearDemand) return { rn: 1 - Ln - a*Lu, ru: a*(1 - Ln - Lu) };
+  const ru = a * this.valuation(Ln + Lu);
+  return { rn: ru + (1 - a) * this.valuation(Ln), ru };
+};
+
+CircularEconomyModel.prototype._optimize_LI_exact = function() {
+  const a = this.d_sum_L/2;
+  const tr = this._transfers();
+  const sol = solveConcaveQP({
+    H: [[2, 2*a], [2*a, 2*a]],
+    q: [1 - 2*this.c + tr.Ln, a + tr.Lu],
+    A: [[-1, 1], [1, 0], [0, -1], [this.policy.takeBack, -1]],
+    b: [0, 1, 0, 0]
+  });
+  return {
+    Ln: Math.max(sol.x[0], 0), Lu: Math.max(sol.x[1], 0),
+    precision: { method: 'exact', error: sol.residual }
+  };
+};
+
+CircularEconomyModel.prototype._optimize_LI_grid = function() {
   // small deterministic grid search for Ln, Lu
-  const dsum = this.d_sum_L;
   const cost = 2 * this.c;
+  const tr = this._transfers();
   let best = -1e9;
-  const S = 25;
+  let arg = { Ln: 0, Lu: 0 };
+  const S = LI_GRID_STEPS;
   for (let i=0;i<S;i++){
     const Ln = i/(S-1);
     for (let j=0;j<S;j++){
       const Lu = j/(S-1);
-      if (Lu > Ln) continue;
-      const rn = 1 - Ln - (dsum/2)*Lu;
-      const ru = (dsum/2)*(1 - Ln - Lu);
-      const profit = (rn*Ln + ru*Lu) - cost*Ln;
-      if (profit > best) best = profit;
+      if (Lu > Ln || Lu < this.policy.takeBack * Ln) continue;
+      // the market size caps the units in use (implicit for linear demand,
+      // whose prices turn negative beyond it)
+      if (!this.linearDemand && Ln + Lu > 1) continue;
+      const { rn, ru } = this._li_prices(Ln, Lu);
+      const profit = (rn*Ln + ru*Lu) - cost*Ln + tr.Ln*Ln + tr.Lu*Lu;
+      if (profit > best) { best = profit; arg = { Ln, Lu }; }
     }
   }
-  return Math.max(best, 0);
+  return { ...arg, precision: { method: 'grid', error: 1/(S-1) } };
 };
 
-CircularEconomyModel.prototype.profit_LI = function() {
+CircularEconomyModel.prototype.solve_LI = function() {
   const CLI = (2 - this.d_sum_L) / 8.0;
-  if (this.c < CLI) return this._optimize_LI_numerical();
-  const numerator = Math.pow(2 - 2*(2*this.c) + this.d_sum_L, 2);
-  const denominator = 8 * (2 + 3*this.d_sum_L);
-  // note: original uses cost = 2*c inside numerator; kept consistent with profit_SI form
+  // the corner closed form holds without policy levers only
+  if (this.c < CLI || this.hasPolicy) return this._optimize_LI_numerical();
+  // corner regime: profit_SI form evaluated at the leasing durabilities, so
+  // only new leases are written (Lu = 0)
   const cost = 2 * this.c;
-  return Math.pow(2 - 2*cost + this.d_sum_L, 2) / (8 * (2 + 3*this.d_sum_L));
+  if (!this.linearDemand) return this._solve_LI_corner_search(cost);
+  if (2 - 2*cost + this.d_sum_L <= 0) return shutdown('LI', { Ln: 0, Lu: 0 }, { rn: 0, ru: 0 });
+  const Ln = (2 - 2*cost + this.d_sum_L) / (2 * (2 + 3*this.d_sum_L));
+  const rn = cost + (2 - 2*cost + this.d_sum_L) / 4;
+  return {
+    strategy: 'LI', branch: 'corner',
+    profit: Math.pow(2 - 2*cost + this.d_sum_L, 2) / (8 * (2 + 3*this.d_sum_L)),
+    revenue: rn*Ln, cost: cost*Ln, policy: 0,
+    quantities: { Ln, Lu: 0 }, prices: { rn, ru: 0 }, precision: CLOSED_FORM
+  };
 };
 
-CircularEconomyModel.prototype.profit_SM = function() {
-  const c_mod = this.c;
-  const margin2 = 1 - 2*c_mod - this.d2 - this.k;
-  const pi2 = margin2 <= 0 ? 0 : Math.pow(margin2,2) / (8 * (1 - this.d2));
-  const margin1 = 1 - 2*c_mod - this.k + 2*this.d2 + this.d1;
-  const pi1 = margin1 <= 0 ? 0 : Math.pow(margin1,2) / (8 * (1 + 3*this.d1 + 4*this.d2));
+CircularEconomyModel.prototype.profit_LI = function() {
+  return this.solve_LI().profit;
+};
+
+// Margins of SM's two markets, with unit costs net of the policy transfers
+CircularEconomyModel.prototype._sm_margins = function() {
+  const tr = this._transfers();
+  const unit = 2*this.c + this.k;
+  const unit1 = unit - tr.q1, unit2 = unit - tr.q2;
+  return {
+    unit, unit1, unit2,
+    margin1: 1 - unit1 + 2*this.d2S + this.d1S,
+    margin2: 1 - unit2 - this.d2S
+  };
+};
+
+CircularEconomyModel.prototype.solve_SM = function() {
+  if (!this.linearDemand) return this._solve_SM_search();
+  const { unit, unit1, unit2, margin1, margin2 } = this._sm_margins();
+  const pi2 = margin2 <= 0 ? 0 : Math.pow(margin2,2) / (8 * (1 - this.d2S));
+  const q2 = margin2 <= 0 ? 0 : margin2 / (4 * (1 - this.d2S));
+  const pi1 = margin1 <= 0 ? 0 : Math.pow(margin1,2) / (8 * (1 + 3*this.d1S + 4*this.d2S));
+  const q1 = margin1 <= 0 ? 0 : margin1 / (4 * (1 + 3*this.d1S + 4*this.d2S));
   const pi_modular = pi1 + pi2;
-  const pi_integral = this.profit_SI();
-  return Math.max(pi_integral, pi_modular);
+  const integral = this.solve_SI();
+  if (integral.profit >= pi_modular) return fallback('SM', integral);
+  const p1 = q1 > 0 ? unit1 + margin1/2 : 0;
+  const p2 = q2 > 0 ? unit2 + margin2/2 : 0;
+  return {
+    strategy: 'SM', branch: 'modular',
+    profit: pi_modular, revenue: p1*q1 + p2*q2, cost: unit*(q1 + q2), policy: this._policyTransfer({ q1, q2 }),
+    quantities: { q1, q2 }, prices: { p1, p2 }, precision: CLOSED_FORM
+  };
 };
 
-CircularEconomyModel.prototype.profit_LM = function() {
+CircularEconomyModel.prototype.profit_SM = function() {
+  return this.solve_SM().profit;
+};
+
+// Partial derivatives of profit_SM, term by term: profit2 = m2²/(8(1 - δ2))
+// and profit1 = m1²/(8E) with E = 1 + 3δ1 + 4δ2 (see solve_SM, δ as valued by
+// buyers); those of profit_SI when the modular design falls back to the
+// integral one. Linear demand only.
+CircularEconomyModel.prototype.gradient_SM = function() {
+  const sol = this.solve_SM();
+  if (sol.branch !== 'modular') return this.gradient_SI();
+  const grad = { d1: 0, d2: 0, gamma: 0, c: 0, k: 0 };
+  const { margin1: m1, margin2: m2 } = this._sm_margins();
+  if (m2 > 0){
+    const w = 1 - this.d2S;
+    grad.d2 += m2 * (m2 - 2*w) / (8*w*w);
+    grad.c += -m2 / (2*w);
+    grad.k += -m2 / (4*w);
+  }
+  if (m1 > 0){
+    const E = 1 + 3*this.d1S + 4*this.d2S;
+    grad.d1 += m1 * (2*E - 3*m1) / (8*E*E);
+    grad.d2 += m1 * (E - m1) / (2*E*E);
+    grad.c += -m1 / (2*E);
+    grad.k += -m1 / (4*E);
+  }
+  grad.d1 *= this.discount;
+  grad.d2 *= this.discount;
+  return grad;
+};
+
+// Leasing the modular product: maximize over Lnn, Lun, Luu >= 0 with
+// Lun + Luu <= Lnn and Lnn + Lun + Luu <= 1 (new, upgraded and used units),
+// plus the policy transfers, re-leasing Lun + Luu >= takeBack * Lnn
+CircularEconomyModel.prototype._optimize_LM = function() {
+  const opt = this.optimizer === 'grid' ? this._optimize_LM_grid()
+    : this.linearDemand ? this._optimize_LM_exact() : this._optimize_LM_search();
+  this.achievedPrecision = worstPrecision(this.achievedPrecision, opt.precision);
+  return opt;
+};
+
+// Valuations of the three leased configurations
+CircularEconomyModel.prototype._lm_valuations = function() {
+  return { u_nn: 1.0, u_un: (1.0 + this.d1L)/2.0, u_uu: (this.d1L + this.d2L)/2.0 };
+};
+
+CircularEconomyModel.prototype._optimize_LM_exact = function() {
+  const { u_nn, u_un, u_uu } = this._lm_valuations();
+  const tr = this._transfers();
+  const c_nn = 2*this.c + this.k - tr.Lnn;
+  const c_un = this.c + this.k - tr.Lun;
+  const c_uu = this.k - tr.Luu;
+  // revenue = u.L - L'(H/2)L for the nested rental prices below
+  const sol = solveConcaveQP({
+    H: [[2*u_nn, 2*u_un, 2*u_uu], [2*u_un, 2*u_un, 2*u_uu], [2*u_uu, 2*u_uu, 2*u_uu]],
+    q: [u_nn - c_nn, u_un - c_un, u_uu - c_uu],
+    A: [[-1, 1, 1], [1, 1, 1], [-1, 0, 0], [0, -1, 0], [0, 0, -1], [this.policy.takeBack, -1, -1]],
+    b: [0, 1, 0, 0, 0, 0]
+  });
+  return {
+    Lnn: Math.max(sol.x[0], 0), Lun: Math.max(sol.x[1], 0), Luu: Math.max(sol.x[2], 0),
+    precision: { method: 'exact', error: sol.residual }
+  };
+};
+
+CircularEconomyModel.prototype._optimize_LM_grid = function() {
   // deterministic grid search for Lnn, Lun, Luu
-  const steps = 16;
+  const steps = LM_GRID_STEPS;
   let best = -1e9;
+  let arg = { Lnn: 0, Lun: 0, Luu: 0 };
   for (let i=0;i<steps;i++){
     const Lnn = i/(steps-1);
     for (let j=0;j<steps;j++){
       const Lun = j/(steps-1);
       for (let kidx=0;kidx<steps;kidx++){
         const Luu = kidx/(steps-1);
-        if (Lun + Luu > Lnn) continue;
+        if (Lun + Luu > Lnn || Lun + Luu < this.policy.takeBack * Lnn) continue;
         const Q = Lnn + Lun + Luu;
         if (Q >= 1) continue;
-        const u_nn = 1.0;
-        const u_un = (1.0 + this.d1L)/2.0;
-        const u_uu = (this.d1L + this.d2L)/2.0;
-        const ruu = u_uu * (1 - Q);
-        const run = ruu + (u_un - u_uu) * (1 - Lnn - Lun);
-        const rnn = run + (1.0 - u_un) * (1 - Lnn);
-        const revenue = rnn*Lnn + run*Lun + ruu*Luu;
-        const c_nn = 2*this.c + this.k;
-        const c_un = this.c + this.k;
-        const c_uu = this.k;
-        const cost = c_nn*Lnn + c_un*Lun + c_uu*Luu;
-        const profit = revenue - cost;
-        if (profit > best) best = profit;
+        const profit = this._lm_record(Lnn, Lun, Luu).profit;
+        if (profit > best) { best = profit; arg = { Lnn, Lun, Luu }; }
       }
     }
   }
-  const pi_LI = this.profit_LI();
-  return Math.max(best, pi_LI, 0);
+  return { ...arg, precision: { method: 'grid', error: 1/(steps-1) } };
+};
+
+// Nested rental prices: each configuration's marginal lessee sits at the
+// cumulative quantity of it and the better ones, valued by P(x) = 1 - x for
+// linear demand
+CircularEconomyModel.prototype._lm_prices = function(Lnn, Lun, Luu) {
+  const { u_nn, u_un, u_uu } = this._lm_valuations();
+  if (this.linearDemand){
+    const ruu = u_uu * (1 - (Lnn + Lun + Luu));
+    const run = ruu + (u_un - u_uu) * (1 - Lnn - Lun);
+    return { rnn: run + (u_nn - u_un) * (1 - Lnn), run, ruu };
+  }
+  const P = this.valuation;
+  const ruu = u_uu * P(Lnn + Lun + Luu);
+  const run = ruu + (u_un - u_uu) * P(Lnn + Lun);
+  return { rnn: run + (u_nn - u_un) * P(Lnn), run, ruu };
+};
+
+CircularEconomyModel.prototype._lm_record = function(Lnn, Lun, Luu) {
+  const { rnn, run, ruu } = this._lm_prices(Lnn, Lun, Luu);
+  const revenue = rnn*Lnn + run*Lun + ruu*Luu;
+  const c_nn = 2*this.c + this.k;
+  const c_un = this.c + this.k;
+  const c_uu = this.k;
+  const cost = c_nn*Lnn + c_un*Lun + c_uu*Luu;
+  const policy = this._policyTransfer({ Lnn, Lun, Luu });
+  return {
+    strategy: 'LM', branch: 'modular',
+    profit: revenue - cost + policy, revenue, cost, policy,
+    quantities: { Lnn, Lun, Luu }, prices: { rnn, run, ruu }
+  };
+};
+
+CircularEconomyModel.prototype.solve_LM = function() {
+  const opt = this._optimize_LM();
+  const modular = { ...this._lm_record(opt.Lnn, opt.Lun, opt.Luu), precision: opt.precision };
+  const integral = this.solve_LI();
+  if (integral.profit >= modular.profit) return fallback('LM', integral);
+  return modular;
+};
+
+CircularEconomyModel.prototype.profit_LM = function() {
+  return this.solve_LM().profit;
+};
+
+// ---------------- Non-linear demand ----------------
+// With valuations other than uniform (see ./demand.js) the linear inverse
+// demands p = A - B q behind the closed forms become p = A P(B q / A), the
+// same market with valuations following P instead of 1 - x, and the leasing
+// programs price their configurations at P of the cumulative quantities (see
+// _li_prices, _lm_prices). The 'exact' optimizer then refines the best point
+// of a grid by a pattern search down to a step of SEARCH_TOL; 'grid' keeps
+// the plain grid search of the leasing programs.
+
+const MARKET_GRID_STEPS = 40;
+const SEARCH_TOL = 1e-9;
+
+// Moves of the pattern search in n dimensions: every vector of {-1, 0, 1}^n
+// but the null one, so it can slide along the constraints' diagonals
+const searchMoves = new Map();
+function movesFor(n) {
+  if (!searchMoves.has(n)){
+    const moves = [];
+    for (let code=0;code<Math.pow(3, n);code++){
+      const move = [];
+      for (let i=0, rest=code;i<n;i++, rest=Math.floor(rest/3)) move.push(rest % 3 - 1);
+      if (move.some(v => v !== 0)) moves.push(move);
+    }
+    searchMoves.set(n, moves);
+  }
+  return searchMoves.get(n);
+}
+
+// Maximizes f (-Infinity where infeasible) from `start`, halving the step h
+// whenever no move improves: { x, value, precision }
+function patternSearch(f, start, h) {
+  const moves = movesFor(start.length);
+  let x = start, value = f(start);
+  while (h > SEARCH_TOL){
+    let moved = false;
+    for (const move of moves){
+      const y = x.map((v, i) => v + h*move[i]);
+      const fy = f(y);
+      if (fy > value) { x = y; value = fy; moved = true; break; }
+    }
+    if (!moved) h /= 2;
+  }
+  return { x, value, precision: { method: 'search', error: h } };
+}
+
+// Optimum of a market with inverse demand A P(B q / A) at unit cost C, searched
+// over the share x = B q / A of its consumers: { q, p, profit, precision }
+CircularEconomyModel.prototype._market = function(A, B, C) {
+  const P = this.valuation;
+  const f = ([x]) => x < 0 || x > 1 ? -Infinity : x * (A*P(x) - C);
+  let start = 0, best = 0;
+  for (let i=1;i<=MARKET_GRID_STEPS;i++){
+    const v = f([i/MARKET_GRID_STEPS]);
+    if (v > best) { best = v; start = i/MARKET_GRID_STEPS; }
+  }
+  if (best <= 0) return { q: 0, p: 0, profit: 0, precision: { method: 'search', error: 1/MARKET_GRID_STEPS } };
+  const opt = patternSearch(f, [start], 1/MARKET_GRID_STEPS);
+  this.achievedPrecision = worstPrecision(this.achievedPrecision, opt.precision);
+  const x = opt.x[0];
+  return { q: A*x/B, p: A*P(x), profit: A*opt.value/B, precision: opt.precision };
+};
+
+// SI's market p = 1 + s/2 - (1 + 3s/2) q (see solve_SI) at the net unit cost
+CircularEconomyModel.prototype._solve_SI_search = function(cost) {
+  const s = this.d_sum_S;
+  const m = this._market(1 + s/2, 1 + 3*s/2, cost);
+  if (m.profit <= 0) return shutdown('SI', { q: 0 }, { p: 0 }, m.precision);
+  const { q, p } = m;
+  return {
+    strategy: 'SI', branch: 'search',
+    profit: m.profit, revenue: p*q, cost: 2*this.c*q, policy: this._policyTransfer({ q }),
+    quantities: { q }, prices: { p }, precision: m.precision
+  };
+};
+
+// LI's corner regime: SI's market at the leasing durabilities
+CircularEconomyModel.prototype._solve_LI_corner_search = function(cost) {
+  const s = this.d_sum_L;
+  const m = this._market(1 + s/2, 1 + 3*s/2, cost);
+  if (m.profit <= 0) return shutdown('LI', { Ln: 0, Lu: 0 }, { rn: 0, ru: 0 }, m.precision);
+  const Ln = m.q, rn = m.p;
+  return {
+    strategy: 'LI', branch: 'corner',
+    profit: m.profit, revenue: rn*Ln, cost: cost*Ln, policy: 0,
+    quantities: { Ln, Lu: 0 }, prices: { rn, ru: 0 }, precision: m.precision
+  };
+};
+
+// SM's two markets (see solve_SM): p1 = 1 + δ1 + 2δ2 - 2E q1 with
+// E = 1 + 3δ1 + 4δ2, and p2 = (1 - δ2)(1 - 2 q2)
+CircularEconomyModel.prototype._solve_SM_search = function() {
+  const { unit, unit1, unit2 } = this._sm_margins();
+  const E = 1 + 3*this.d1S + 4*this.d2S, w = 1 - this.d2S;
+  const m1 = this._market(1 + this.d1S + 2*this.d2S, 2*E, unit1);
+  const m2 = this._market(w, 2*w, unit2);
+  const precision = worstPrecision(m1.precision, m2.precision);
+  const integral = this.solve_SI();
+  if (integral.profit >= m1.profit + m2.profit) return fallback('SM', integral);
+  const q1 = m1.q, q2 = m2.q, p1 = m1.p, p2 = m2.p;
+  return {
+    strategy: 'SM', branch: 'modular',
+    profit: m1.profit + m2.profit, revenue: p1*q1 + p2*q2, cost: unit*(q1 + q2), policy: this._policyTransfer({ q1, q2 }),
+    quantities: { q1, q2 }, prices: { p1, p2 }, precision
+  };
+};
+
+CircularEconomyModel.prototype._optimize_LI_search = function() {
+  const start = this._optimize_LI_grid();
+  const cost = 2 * this.c;
+  const tr = this._transfers();
+  const f = ([Ln, Lu]) => {
+    if (Lu < 0 || Lu > Ln || Ln + Lu > 1 || Lu < this.policy.takeBack * Ln) return -Infinity;
+    const { rn, ru } = this._li_prices(Ln, Lu);
+    return (rn*Ln + ru*Lu) - cost*Ln + tr.Ln*Ln + tr.Lu*Lu;
+  };
+  const opt = patternSearch(f, [start.Ln, start.Lu], 1/(LI_GRID_STEPS-1));
+  return { Ln: opt.x[0], Lu: opt.x[1], precision: opt.precision };
+};
+
+CircularEconomyModel.prototype._optimize_LM_search = function() {
+  const start = this._optimize_LM_grid();
+  const f = ([Lnn, Lun, Luu]) => {
+    if (Lnn < 0 || Lun < 0 || Luu < 0 || Lun + Luu > Lnn || Lnn + Lun + Luu > 1) return -Infinity;
+    if (Lun + Luu < this.policy.takeBack * Lnn) return -Infinity;
+    return this._lm_record(Lnn, Lun, Luu).profit;
+  };
+  const opt = patternSearch(f, [start.Lnn, start.Lun, start.Luu], 1/(LM_GRID_STEPS-1));
+  return { Lnn: opt.x[0], Lun: opt.x[1], Luu: opt.x[2], precision: opt.precision };
+};
+
+// All four strategy solutions keyed by strategy code, each with its impact metrics
+CircularEconomyModel.prototype.solve = function() {
+  const solutions = { SI: this.solve_SI(), LI: this.solve_LI(), SM: this.solve_SM(), LM: this.solve_LM() };
+  for (const s of Object.keys(solutions)) solutions[s] = { ...solutions[s], impact: impactMetrics(solutions[s], this.impact) };
+  return solutions;
+};
+
+// ---------------- Environmental impact ----------------
+// Steady-state material flows per period behind a solution's quantities, read
+// from the quantity names so fallback records count as the design they use:
+//   q         sold integral units, used by a second owner: 2q reused modules
+//   q1, q2    sold modular units (second use as for q) and replacement weak
+//             modules fitted to owners' units
+//   Ln, Lu    new and re-leased integral units (2 reused modules each)
+//   Lnn, Lun, Luu  new leased units, returned units remanufactured with a new
+//             weak module (one reused module) and re-leased as is (two)
+// Every module produced is retired once per period in the steady state; the
+// lessor takes its units back and recycles the share `recovery` of them, sold
+// units end in landfill. Emissions are `unit` per assembled unit (new or
+// remanufactured) plus `module` per new module.
+export const DEFAULT_IMPACT = { unit: 0.5, module: 1.0, recovery: 0.5 };
+
+export const IMPACT_METRICS = {
+  units: 'units produced',
+  remanufactured: 'units remanufactured',
+  reused: 'modules reused',
+  throughput: 'material throughput (new modules)',
+  landfill: 'landfill (modules)',
+  emissions: 'emissions',
+  intensity: 'emissions per unit in use'
+};
+
+function materialFlows(qs) {
+  if ('q' in qs) return { units: qs.q, remanufactured: 0, reused: 2*qs.q, modules: 2*qs.q, inUse: 2*qs.q, returned: false };
+  if ('q1' in qs){
+    return { units: qs.q1, remanufactured: qs.q2, reused: Math.max(0, 2*qs.q1 - qs.q2),
+      modules: 2*qs.q1 + qs.q2, inUse: 2*qs.q1, returned: false };
+  }
+  if ('Ln' in qs) return { units: qs.Ln, remanufactured: 0, reused: 2*qs.Lu, modules: 2*qs.Ln, inUse: qs.Ln + qs.Lu, returned: true };
+  return { units: qs.Lnn, remanufactured: qs.Lun, reused: qs.Lun + 2*qs.Luu,
+    modules: 2*qs.Lnn + qs.Lun, inUse: qs.Lnn + qs.Lun + qs.Luu, returned: true };
+}
+
+// Impact metrics of a solution record (see IMPACT_METRICS); intensity is null
+// when the strategy shuts down
+export function impactMetrics(solution, factors=DEFAULT_IMPACT) {
+  const f = materialFlows(solution.quantities);
+  const emissions = factors.unit * (f.units + f.remanufactured) + factors.module * f.modules;
+  return {
+    units: f.units, remanufactured: f.remanufactured, reused: f.reused, throughput: f.modules,
+    landfill: f.returned ? f.modules * (1 - factors.recovery) : f.modules,
+    emissions, intensity: f.inUse > 0 ? emissions / f.inUse : null
+  };
+}
+
+// Strategy code (STRATEGIES order) with the lowest value of an impact metric
+// among the strategies that produce, or null when none does
+export function greenestStrategy(solutions, metric) {
+  let best = null;
+  STRATEGIES.forEach((s, code) => {
+    const sol = solutions[s];
+    if (sol.branch === 'shutdown') return;
+    if (best === null || sol.impact[metric] < solutions[STRATEGIES[best]].impact[metric]) best = code;
+  });
+  return best;
+}
+
+// ---------------- Multi-cycle model ----------------
+// Steady state of a market where every product goes through up to N use
+// cycles. Consumers θ ~ U[0, 1] use one unit per period and value a unit
+// whose strong and weak modules are a1 and a2 cycles old at θ(δ1^a1 + δ2^a2)/2,
+// so durability applies per cycle. Units of different quality sell (or lease)
+// side by side at the nested prices of vertical differentiation,
+//   r = u - M L  with  M[i][j] = min(u_i, u_j),
+// and revenue u.L - L'ML is concave in the quantities L, solved by the same
+// QP machinery as the two-period leasing programs.
+//   LI  units of age j (L_j, j < N) with L_j+1 <= L_j: each cycle the lessor
+//       re-leases part of the returned units, refurbishing both modules
+//       (r1 + r2 per unit); new units cost 2c.
+//   LM  configurations (a1, a2), a2 <= a1: each cycle a returned unit keeps
+//       its weak module (a1+1, a2+1) or gets a new one (a1+1, 0), the only
+//       module the architecture lets the lessor replace. Costs: new 2c + k,
+//       new weak module c + k + r1, both reused k + r1 + r2.
+//   SI  sold units change hands on the secondary market for all N cycles
+//       (L_j = q); refurbishment is a lessor's cost, owners resell as is.
+//   SM  as SI, plus replacement weak modules sold to owners at c + k each,
+//       so the firm chooses the mix of (a1, 0) and (a1, a2) units.
+// Modular strategies fall back to the integral design when it earns at least
+// as much. With N = 2 and no refurbishment cost SI, LM and the interior LI
+// regime coincide with CircularEconomyModel; SM is the replacement-module
+// market, which agrees with the paper's separable closed form only in part
+// of the parameter space (k = 0 with both of its module markets active).
+// Other demand models (see ./demand.js) replace θ ~ U[0, 1]: discounting
+// buyers value sold units at durabilities discounted per use, and non-linear
+// valuations P price each quality tier at P of the units in use at that tier
+// or better (see _prices). Their programs are solved by iterating the QP of
+// the tier demands linearized at the current quantities, which stops where
+// the quantities satisfy the first-order conditions of the actual demand.
+
+export const MAX_CYCLES = 6;
+// module durabilities are kept inside (0, 1) so the unit qualities stay distinct
+const CYCLE_DURABILITY = [0.001, 0.999];
+
+// options: { cycles=2, r1=0, r2=0, demand } (refurbishment cost per reused
+// strong / weak module; consumer demand model, uniform by default)
+export function MultiCycleModel(d1, d2, gamma, c, k=0.0, options={}) {
+  this.d1 = d1;
+  this.d2 = d2;
+  this.gamma = gamma;
+  this.c = c;
+  this.k = k;
+  this.cycles = options.cycles || 2;
+  this.r1 = options.r1 || 0;
+  this.r2 = options.r2 || 0;
+  if (!(Number.isInteger(this.cycles) && this.cycles >= 2 && this.cycles <= MAX_CYCLES)){
+    throw new Error(`cycles must be an integer in 2..${MAX_CYCLES}`);
+  }
+  this.demand = options.demand || UNIFORM_DEMAND;
+  this.linearDemand = isLinearDemand(this.demand);
+  this.valuation = valuationQuantile(this.demand);
+  this.durabilityS = [d1, d2].map(d => clamp(buyerDiscount(this.demand) * d, ...CYCLE_DURABILITY));
+  this.durabilityL = [d1, d2].map(d => clamp(gamma * d, ...CYCLE_DURABILITY));
+  this.achievedPrecision = CLOSED_FORM;
+}
+
+// Module ages (a1, a2) of every configuration: integral units age together
+MultiCycleModel.prototype._configurations = function(modular) {
+  const out = [];
+  for (let a1=0;a1<this.cycles;a1++){
+    if (!modular) { out.push([a1, a1]); continue; }
+    for (let a2=0;a2<=a1;a2++) out.push([a1, a2]);
+  }
+  return out;
+};
+
+MultiCycleModel.prototype._valuation = function([a1, a2], leasing) {
+  const [s, w] = leasing ? this.durabilityL : this.durabilityS;
+  return (Math.pow(s, a1) + Math.pow(w, a2)) / 2;
+};
+
+// Stock constraints on configuration quantities, rows of A L <= b: units one
+// cycle older come from returned units, kept weak modules from units that had
+// them; the last row caps the units in use at the market size 1
+MultiCycleModel.prototype._stockConstraints = function(configs) {
+  const index = new Map(configs.map(([a1, a2], i) => [`${a1}_${a2}`, i]));
+  const K = configs.length;
+  const A = [], b = [];
+  const row = () => new Array(K).fill(0);
+  for (let a1=0;a1+1<this.cycles;a1++){
+    const total = row();
+    configs.forEach(([b1], i) => { if (b1 === a1 + 1) total[i] = 1; else if (b1 === a1) total[i] = -1; });
+    A.push(total); b.push(0);
+    configs.forEach(([b1, b2], i) => {
+      const next = index.get(`${b1 + 1}_${b2 + 1}`);
+      if (b1 !== a1 || next === undefined) return;
+      const keep = row();
+      keep[next] = 1; keep[i] = -1;
+      A.push(keep); b.push(0);
+    });
+  }
+  for (let i=0;i<K;i++){ const nonneg = row(); nonneg[i] = -1; A.push(nonneg); b.push(0); }
+  A.push(new Array(K).fill(1)); b.push(1);
+  return { A, b };
+};
+
+// Program of a strategy: configurations with valuations u and unit costs,
+// and decision variables z with quantities L = T z subject to A L <= b
+MultiCycleModel.prototype._program = function(strategy) {
+  const modular = strategy.endsWith('M');
+  const leasing = strategy.startsWith('L');
+  const configs = this._configurations(modular);
+  const { A, b } = this._stockConstraints(configs);
+  const u = configs.map(cfg => this._valuation(cfg, leasing));
+  let cost, T = identity(configs.length);
+  switch (strategy) {
+    case 'SI':
+      // every sold unit stays in use for all cycles: L_j = q
+      cost = configs.map(([a1]) => a1 === 0 ? 2*this.c : 0);
+      T = configs.map(() => [1]);
+      break;
+    case 'LI':
+      cost = configs.map(([a1]) => a1 === 0 ? 2*this.c : this.r1 + this.r2);
+      break;
+    case 'SM': {
+      // decisions: new units q, then the (a1, a2 >= 1) units keeping their weak
+      // module; every sold unit stays in use, so (a1, 0) = q - sum of those
+      cost = configs.map(([a1, a2]) => a1 === 0 ? 2*this.c + this.k : a2 === 0 ? this.c + this.k : 0);
+      const kept = configs.map(([, a2], i) => a2 >= 1 ? i : -1).filter(i => i >= 0);
+      T = configs.map(([a1, a2], i) => {
+        const r = new Array(1 + kept.length).fill(0);
+        if (a2 >= 1) r[1 + kept.indexOf(i)] = 1;
+        else {
+          r[0] = 1;
+          kept.forEach((j, col) => { if (configs[j][0] === a1 && a1 > 0) r[1 + col] = -1; });
+        }
+        return r;
+      });
+      break;
+    }
+    default:
+      cost = configs.map(([a1, a2]) => a1 === 0 ? 2*this.c + this.k : a2 === 0 ? this.c + this.k + this.r1 : this.k + this.r1 + this.r2);
+  }
+  return { configs, u, cost, T, A, b };
+};
+
+// Matrix product and transpose for the small program matrices
+function matmul(P, Q) {
+  return P.map(r => Q[0].map((_, j) => r.reduce((acc, v, l) => acc + v*Q[l][j], 0)));
+}
+
+function transpose(P) {
+  return P[0].map((_, j) => P.map(r => r[j]));
+}
+
+// Nested-price kernel M[i][j] = min(u_i, v_j) between two sets of valuations
+function priceKernel(u, v) {
+  return u.map(ui => v.map(vj => Math.min(ui, vj)));
+}
+
+// Quality tiers of a market: its distinct valuations, best first
+function tierLevels(u) {
+  return [...new Set(u)].sort((a, b) => b - a);
+}
+
+// Units in use at each tier or better, over every firm's (u, L)
+function tierUnits(levels, firms) {
+  return levels.map(v => firms.reduce((acc, { u, L }) => acc + u.reduce((acc2, ui, i) => ui >= v ? acc2 + L[i] : acc2, 0), 0));
+}
+
+// Sums over the tiers at or below each one of gap_j w_j, where gap_j is the
+// quality gap between tier j and the next lower one (the last to 0)
+function tierSums(levels, w) {
+  const out = new Array(levels.length);
+  for (let j=levels.length-1, acc=0;j>=0;j--){
+    acc += (levels[j] - (j + 1 < levels.length ? levels[j+1] : 0)) * w[j];
+    out[j] = acc;
+  }
+  return out;
+}
+
+// Nested prices of the units L of valuations u facing `others` units of
+// valuations `otherU` on the same market (none for a monopolist). The
+// marginal consumer of each tier, at P(units in use at that tier or better),
+// pays the tiers' quality gaps down to 0; P(x) = 1 - x gives u - M L.
+MultiCycleModel.prototype._prices = function(u, L, others=[], otherU=[]) {
+  if (this.linearDemand){
+    return u.map((ui, i) => ui
+      - L.reduce((acc, Lj, j) => acc + Math.min(ui, u[j])*Lj, 0)
+      - others.reduce((acc, Lj, j) => acc + Math.min(ui, otherU[j])*Lj, 0));
+  }
+  const levels = tierLevels([...u, ...otherU]);
+  const X = tierUnits(levels, [{ u, L }, { u: otherU, L: others }]);
+  const tiers = tierSums(levels, X.map(x => this.valuation(x)));
+  return u.map(ui => tiers[levels.indexOf(ui)]);
+};
+
+// Solution record of a program at quantities L, facing `others` units of
+// valuations `otherU` on the same market (none for a monopolist)
+MultiCycleModel.prototype._record = function(strategy, { configs, u, cost }, L, precision, others=[], otherU=[]) {
+  const prices = this._prices(u, L, others, otherU);
+  const revenue = L.reduce((acc, Li, i) => acc + prices[i]*Li, 0);
+  const totalCost = L.reduce((acc, Li, i) => acc + cost[i]*Li, 0);
+  const name = ([a1, a2]) => strategy.endsWith('I') ? `L${a1}` : `L${a1}_${a2}`;
+  const quantities = {}, priceRecord = {};
+  configs.forEach((cfg, i) => { quantities[name(cfg)] = L[i]; priceRecord[name(cfg).replace('L', 'r')] = prices[i]; });
+  if (revenue - totalCost <= 0){
+    return shutdown(strategy, Object.fromEntries(Object.keys(quantities).map(key => [key, 0])),
+      Object.fromEntries(Object.keys(priceRecord).map(key => [key, 0])), precision);
+  }
+  return {
+    strategy, branch: `${this.cycles} cycles`,
+    profit: revenue - totalCost, revenue, cost: totalCost, quantities, prices: priceRecord, precision
+  };
+};
+
+// Linear demand of every tier around X_j units in use at that tier or
+// better: P_j(x) = alpha_j - beta_j x. Gives the prices r = a(u) - M(u, v) L
+// they set, with a the intercept of valuations u and M the kernel between
+// valuations u and v (P(x) = 1 - x: a(u) = u, M = priceKernel)
+function tierDemand(levels, alpha, beta) {
+  const a = tierSums(levels, alpha), m = tierSums(levels, beta);
+  return {
+    intercept: (u) => u.map(ui => a[levels.indexOf(ui)]),
+    kernel: (u, v) => u.map(ui => v.map(vj => m[levels.indexOf(Math.min(ui, vj))]))
+  };
+}
+
+// Slope of a valuation quantile P at x, by central differences inside [0, 1]
+const SLOPE_STEP = 1e-4;
+function quantileSlope(P, x) {
+  const lo = Math.max(0, x - SLOPE_STEP), hi = Math.min(1, x + SLOPE_STEP);
+  return (P(hi) - P(lo)) / (hi - lo);
+}
+
+// Solver of the market of firms playing `programs`: given linear prices
+// r = a(u) - M L (see tierDemand), the quantities L = T z from the joint
+// concave program of their quantity game (see Duopoly); a single firm
+// maximizes its profit. The solver returns { L: [per firm], residual }.
+function marketSolver(programs) {
+  const Tt = programs.map(({ T }) => transpose(T));
+  const n = programs.map(({ T }) => T[0].length);
+  // each firm's stock rows, then the shared market-size row
+  const AT = programs.map(({ A, T }) => matmul(A, T));
+  const pad = (x, r) => programs.flatMap((_, y) => y === x ? r : new Array(n[y]).fill(0));
+  const A = [
+    ...AT.flatMap((rows, x) => rows.slice(0, -1).map(r => pad(x, r))),
+    AT.flatMap(rows => rows[rows.length - 1])
+  ];
+  const b = [...programs.flatMap(({ b }) => b.slice(0, -1)), 1];
+  return (intercept, kernel) => {
+    const H = (x, y, scale) => matmul(matmul(Tt[x], kernel(programs[x].u, programs[y].u)), programs[y].T).map(r => r.map(v => scale*v));
+    const blocks = programs.map((_, x) => programs.map((_, y) => H(x, y, x === y ? 2 : 1)));
+    const sol = solveConcaveQP({
+      H: blocks.flatMap(row => row[0].map((_, i) => row.flatMap(block => block[i]))),
+      q: programs.flatMap(({ u, cost }, x) => matmul(Tt[x], intercept(u).map((ai, i) => [ai - cost[i]])).map(r => r[0])),
+      A,
+      b
+    });
+    let offset = 0;
+    const L = programs.map(({ T }, x) => {
+      const z = sol.x.slice(offset, offset += n[x]);
+      return T.map(r => Math.max(0, r.reduce((acc, v, j) => acc + v*z[j], 0)));
+    });
+    return { L, residual: sol.residual };
+  };
+}
+
+// Iterations of the linearized tier demands, and the largest change of a
+// quantity they stop at
+const DEMAND_ITERATIONS = 200;
+const DEMAND_TOL = 1e-9;
+// smallest tier demand slope, keeping the programs strictly concave
+const MIN_TIER_SLOPE = 1e-4;
+
+// Quantities of firms playing `programs` on one market (a monopolist alone):
+// { L: [per firm], precision }. Linear demand solves a single QP; otherwise
+// the QP of the tier demands linearized at the current quantities is solved
+// from the uniform optimum until its solution stops moving, halving the move
+// towards it whenever it turns back against the previous one.
+MultiCycleModel.prototype._equilibrium = function(programs) {
+  const solve = marketSolver(programs);
+  const start = solve(u => u, priceKernel);
+  if (this.linearDemand){
+    const precision = { method: 'exact', error: start.residual };
+    this.achievedPrecision = worstPrecision(this.achievedPrecision, precision);
+    return { L: start.L, precision };
+  }
+  const P = this.valuation;
+  const levels = tierLevels(programs.flatMap(({ u }) => u));
+  let L = start.L, change = Infinity, damping = 1, previous = null;
+  for (let it=0;it<DEMAND_ITERATIONS && change > DEMAND_TOL;it++){
+    const X = tierUnits(levels, programs.map(({ u }, x) => ({ u, L: L[x] })));
+    const beta = X.map(x => Math.max(MIN_TIER_SLOPE, -quantileSlope(P, x)));
+    const { intercept, kernel } = tierDemand(levels, X.map((x, j) => P(x) + beta[j]*x), beta);
+    const next = solve(intercept, kernel).L;
+    const move = next.flatMap((Lx, x) => Lx.map((v, i) => v - L[x][i]));
+    if (previous && move.reduce((acc, v, i) => acc + v*previous[i], 0) < 0) damping /= 2;
+    previous = move;
+    change = Math.max(...move.map(Math.abs));
+    L = L.map((Lx, x) => Lx.map((v, i) => v + damping*(next[x][i] - v)));
+  }
+  const precision = { method: 'search', error: change };
+  this.achievedPrecision = worstPrecision(this.achievedPrecision, precision);
+  return { L, precision };
+};
+
+// Maximizes revenue - cost of a program; returns a solution record
+MultiCycleModel.prototype._solveProgram = function(strategy, program) {
+  const { L: [L], precision } = this._equilibrium([program]);
+  return this._record(strategy, program, L, precision);
 };
 
+// Identity map: every configuration quantity is a decision variable
+function identity(K) {
+  return Array.from({length:K}, (_, i) => Array.from({length:K}, (_, j) => i === j ? 1 : 0));
+}
+
+MultiCycleModel.prototype.solve_SI = function() {
+  return this._solveProgram('SI', this._program('SI'));
+};
+
+MultiCycleModel.prototype.solve_LI = function() {
+  return this._solveProgram('LI', this._program('LI'));
+};
+
+MultiCycleModel.prototype.solve_SM = function() {
+  const modular = this._solveProgram('SM', this._program('SM'));
+  const integral = this.solve_SI();
+  if (integral.profit >= modular.profit) return fallback('SM', integral);
+  return modular;
+};
+
+MultiCycleModel.prototype.solve_LM = function() {
+  const modular = this._solveProgram('LM', this._program('LM'));
+  const integral = this.solve_LI();
+  if (integral.profit >= modular.profit) return fallback('LM', integral);
+  return modular;
+};
+
+MultiCycleModel.prototype.profit_SI = function() { return this.solve_SI().profit; };
+MultiCycleModel.prototype.profit_LI = function() { return this.solve_LI().profit; };
+MultiCycleModel.prototype.profit_SM = function() { return this.solve_SM().profit; };
+MultiCycleModel.prototype.profit_LM = function() { return this.solve_LM().profit; };
+
+MultiCycleModel.prototype.solve = function() {
+  return { SI: this.solve_SI(), LI: this.solve_LI(), SM: this.solve_SM(), LM: this.solve_LM() };
+};
+
+// ---------------- Duopoly ----------------
+// Two firms with the same technology (a MultiCycleModel) each commit to one
+// strategy, then compete in quantities on one market: all units on offer,
+// whichever firm supplies them, share the consumers at the nested prices
+//   r_i = u_i - sum_j min(u_i, u_j) L_j  over both firms' configurations.
+// The quantity game is an exact potential game: each firm's first-order
+// conditions are those of the joint concave program
+//   max q_A'z_A + q_B'z_B - z_A'H_AA z_A - z_B'H_BB z_B - z_A'H_AB z_B
+// with H_XY = T_X' M_XY T_Y, so its solution is the Cournot equilibrium (the
+// market size caps both firms' units together, making it the variational
+// equilibrium of that shared constraint). Under non-linear valuations every
+// iterate of MultiCycleModel's linearized tier demands is such a game.
+// Each strategy is played as its program, without the monopoly fallback from
+// modular to integral: the integral design is a strategy of its own.
+
+// Cournot equilibrium of strategies a and b: { records: [A, B], profits: [πA, πB], precision }
+export function cournotEquilibrium(model, a, b) {
+  const P = [model._program(a), model._program(b)];
+  const { L, precision } = model._equilibrium(P);
+  const records = [
+    model._record(a, P[0], L[0], precision, L[1], P[1].u),
+    model._record(b, P[1], L[1], precision, L[0], P[0].u)
+  ];
+  return { records, profits: records.map(rec => rec.profit), precision };
+}
+
+// Symmetric 4x4 game over STRATEGIES: payoffs[i][j] is the profit of a firm
+// playing STRATEGIES[i] against STRATEGIES[j]. Returns { payoffs, equilibria,
+// precision } with equilibria as found by nashEquilibria (row firm first).
+export function duopolyGame(model) {
+  const K = STRATEGIES.length;
+  const payoffs = Array.from({length:K}, () => new Array(K).fill(0));
+  let precision = CLOSED_FORM;
+  for (let i=0;i<K;i++){
+    for (let j=i;j<K;j++){
+      const eq = cournotEquilibrium(model, STRATEGIES[i], STRATEGIES[j]);
+      payoffs[i][j] = eq.profits[0];
+      payoffs[j][i] = eq.profits[1];
+      precision = worstPrecision(precision, eq.precision);
+    }
+  }
+  const columns = payoffs[0].map((_, j) => payoffs.map(row => row[j]));
+  return { payoffs, equilibria: nashEquilibria(payoffs, columns), precision };
+}
+
+// ---------------- Sweep specs ----------------
+// Every figure is described by a sweep spec: the swept axes (x, y with ranges),
+// parameters pinned for the whole figure (fixed) and the comparison cases, each
+// a labelled set of parameter overrides drawn as its own panel. Parameters not
+// pinned by the spec come from the base point (the simulator sliders).
+
+// Model parameters a spec can sweep, pin or override, with their valid domains
+// (min, max) and the default range when used as a sweep axis
+export const PARAMS = {
+  d1: { label: 'δ1', name: 'strong module durability', min: 0.01, max: 0.99, range: [0.05, 0.95] },
+  d2: { label: 'δ2', name: 'weak module durability', min: 0.0, max: 0.98, range: [0.05, 0.95] },
+  gamma: { label: 'γ', name: 'leasing durability factor', min: 0.1, max: 2.0, range: [0.5, 1.5] },
+  c: { label: 'c', name: 'unit cost per module', min: 0.0, max: 0.5, range: [0.01, 0.35] },
+  k: { label: 'k', name: 'integration cost', min: 0.0, max: 0.2, range: [0.0, 0.05] }
+};
+
+export const DEFAULT_BASE = { d1: 0.5, d2: 0.2, gamma: 1.0, c: 0.15, k: 0.0 };
+
+// Paper defaults for every figure
+export const DEFAULT_SPECS = {
+  fig1: {
+    x: { param: 'd1', min: 0.05, max: 0.95 },
+    y: { param: 'd2', min: 0.05, max: 0.95 },
+    fixed: {},
+    cases: [{ label: '', set: {} }]
+  },
+  fig2: {
+    x: { param: 'd1', min: 0.05, max: 0.95 },
+    y: { param: 'd2', min: 0.05, max: 0.95 },
+    fixed: {},
+    cases: [{ label: 'γ = 0.8', set: { gamma: 0.8 } }, { label: 'γ = 1.2', set: { gamma: 1.2 } }]
+  },
+  fig3: {
+    x: { param: 'c', min: 0.01, max: 0.15 },
+    y: { param: 'gamma', min: 0.5, max: 1.3 },
+    fixed: {},
+    cases: [{ label: '', set: {} }]
+  },
+  fig4: {
+    x: { param: 'c', min: 0.01, max: 0.35 },
+    y: { param: 'gamma', min: 0.5, max: 1.5 },
+    fixed: {},
+    cases: [
+      { label: 'High Diff (δ2=0.1)', set: { d1: 0.28, d2: 0.1 } },
+      { label: 'Low Diff (δ2=0.18)', set: { d1: 0.20, d2: 0.18 } }
+    ]
+  },
+  fig5: {
+    x: { param: 'c', min: 0.01, max: 0.35 },
+    y: { param: 'gamma', min: 0.5, max: 1.5 },
+    fixed: { d1: 0.28, d2: 0.1 },
+    cases: [{ label: 'k = 0', set: { k: 0.0 } }, { label: 'k = 0.02', set: { k: 0.02 } }]
+  },
+  fig6: {
+    x: { param: 'c0', min: 0.01, max: 0.15, steps: 20 },
+    fixed: {},
+    cases: [{ label: 'γ = 0.72', set: { gamma: 0.72 } }, { label: 'γ = 1.02', set: { gamma: 1.02 } }],
+    // start grid of (δ1, δ2) for each base cost c0, refined by a compass search
+    search: { min: 0.1, max: 0.9, steps: 15 },
+    // c = c0 + durabilityCost(δ1, δ2)
+    durabilityCost: { type: 'quadratic', a1: 0.08, a2: 0.16 }
+  },
+  custom: {
+    x: { param: 'c', min: 0.01, max: 0.35 },
+    y: { param: 'gamma', min: 0.5, max: 1.5 },
+    fixed: {},
+    cases: [{ label: '', set: {} }],
+    output: { type: 'argmax' }
+  },
+  cycles: {
+    // number of use cycles (integers) against unit cost
+    x: { param: 'cycles', min: 2, max: MAX_CYCLES },
+    y: { param: 'c', min: 0.01, max: 0.3 },
+    fixed: {},
+    cases: [{ label: 'γ = 0.9', set: { gamma: 0.9 } }, { label: 'γ = 1.1', set: { gamma: 1.1 } }],
+    // refurbishment cost per reused strong (r1) / weak (r2) module, leasing only
+    refurbish: { r1: 0.005, r2: 0.005 }
+  },
+  duopoly: {
+    // Fig 4's map and cases, for two competing firms
+    x: { param: 'c', min: 0.01, max: 0.35 },
+    y: { param: 'gamma', min: 0.5, max: 1.5 },
+    fixed: {},
+    cases: [
+      { label: 'High Diff (δ2=0.1)', set: { d1: 0.28, d2: 0.1 } },
+      { label: 'Low Diff (δ2=0.18)', set: { d1: 0.20, d2: 0.18 } }
+    ]
+  },
+  environment: {
+    // Fig 4's map and cases, ranked by environmental impact
+    x: { param: 'c', min: 0.01, max: 0.35 },
+    y: { param: 'gamma', min: 0.5, max: 1.5 },
+    fixed: {},
+    cases: [
+      { label: 'High Diff (δ2=0.1)', set: { d1: 0.28, d2: 0.1 } },
+      { label: 'Low Diff (δ2=0.18)', set: { d1: 0.20, d2: 0.18 } }
+    ],
+    // emission factors (see DEFAULT_IMPACT) and the metric to minimize (IMPACT_METRICS)
+    impact: { ...DEFAULT_IMPACT, metric: 'intensity' }
+  },
+  policy: {
+    // Fig 4's map and cases under a policy, with the lever searched per cell
+    x: { param: 'c', min: 0.01, max: 0.35 },
+    y: { param: 'gamma', min: 0.5, max: 1.5 },
+    fixed: {},
+    cases: [
+      { label: 'High Diff (δ2=0.1)', set: { d1: 0.28, d2: 0.1 } },
+      { label: 'Low Diff (δ2=0.18)', set: { d1: 0.20, d2: 0.18 } }
+    ],
+    // status quo levels (see POLICY_LEVERS)
+    policy: { carbonTax: 0, reuseSubsidy: 0, leasingCredit: 0, takeBack: 0 },
+    // lever searched in [level, level + max] for the move to `to`, in cells
+    // whose status quo is `from` (a strategy or 'any')
+    lever: 'reuseSubsidy', max: 0.2, from: 'any', to: 'LM'
+  },
+  montecarlo: {
+    fixed: {},
+    cases: [{ label: '', set: {} }],
+    // parameter uncertainty (see utils/random.js); other parameters keep their value
+    distributions: {
+      d1: { type: 'triangular', min: 0.4, mode: 0.5, max: 0.6 },
+      d2: { type: 'uniform', min: 0.1, max: 0.3 },
+      gamma: { type: 'normal', mean: 1.0, sd: 0.1 },
+      c: { type: 'normal', mean: 0.15, sd: 0.02 }
+    },
+    draws: 2000,
+    seed: 1
+  }
+};
+
+// Base parameters a spec actually reads: drops swept and pinned parameters and
+// those every case overrides, so unrelated slider moves do not trigger recomputation
+export function relevantBase(spec, base) {
+  const out = { ...base };
+  for (const ax of [spec.x, spec.y]) if (ax) delete out[ax.param];
+  for (const key of Object.keys(spec.fixed)) delete out[key];
+  for (const key of Object.keys(spec.distributions || {})) delete out[key];
+  for (const key of Object.keys(out)) if (spec.cases.every(cs => key in cs.set)) delete out[key];
+  return out;
+}
+
+// Durability cost curves added to the unit cost, one term per module:
+//   { type: 'quadratic', a1, a2 }            a1 δ1² + a2 δ2²
+//   { type: 'exponential', a1, b1, a2, b2 }  a1 (e^(b1 δ1) - 1) + a2 (e^(b2 δ2) - 1)
+//   { type: 'table', d1: [[δ, cost], ..], d2: [[δ, cost], ..] }
+//                                            linear between points sorted by δ,
+//                                            flat beyond the first and last
+export const DURABILITY_COSTS = {
+  quadratic: { label: 'quadratic', defaults: { type: 'quadratic', a1: 0.08, a2: 0.16 } },
+  exponential: { label: 'exponential', defaults: { type: 'exponential', a1: 0.02, b1: 2.5, a2: 0.04, b2: 2.5 } },
+  table: {
+    label: 'piecewise table',
+    defaults: { type: 'table', d1: [[0, 0], [0.5, 0.02], [0.9, 0.08]], d2: [[0, 0], [0.5, 0.04], [0.9, 0.16]] }
+  }
+};
+
+function interpolate(points, x) {
+  if (x <= points[0][0]) return points[0][1];
+  for (let i=1;i<points.length;i++){
+    const [x0, y0] = points[i-1], [x1, y1] = points[i];
+    if (x <= x1) return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+  }
+  return points[points.length-1][1];
+}
+
+export function durabilityCost(fn, d1, d2) {
+  switch (fn.type) {
+    case 'quadratic': return fn.a1*Math.pow(d1,2) + fn.a2*Math.pow(d2,2);
+    case 'exponential': return fn.a1*(Math.exp(fn.b1*d1) - 1) + fn.a2*(Math.exp(fn.b2*d2) - 1);
+    case 'table': return interpolate(fn.d1, d1) + interpolate(fn.d2, d2);
+    default: throw new Error(`Unknown durability cost type: ${fn.type}`);
+  }
+}
+
 // ---------------- Grid builders ----------------
+// Every figure is planned as independent rows so the work can be split across
+// workers and streamed back: plan.rows is the row count, plan.computeRow(r)
+// returns a plain (structured-cloneable) row payload and plan.assemble(rows)
+// builds the figure data, with rows not computed yet left as nulls.
 
 // Helper to make axis arrays
 function linspace(a,b,n){
@@ -107,181 +1152,1037 @@ function linspace(a,b,n){
   return out;
 }
 
-// FIG 1: returns sell matrix and lease matrix (each N x N), axes xAxis (d1), yAxis (d2)
-// Values: 0 => Integral better, 1 => Modular better, null => infeasible (d2 >= d1)
-export function buildFig1Grid({ d1, d2, gamma, c, k, resolution }) {
-  const N = resolution || 60;
-  const xAxis = linspace(0.05, 0.95, N); // d1
-  const yAxis = linspace(0.05, 0.95, N); // d2
-  const Z_sell = Array.from({length:N}, ()=> new Array(N).fill(null));
-  const Z_leas = Array.from({length:N}, ()=> new Array(N).fill(null));
+// N x M matrix from streamed rows[offset .. offset+N-1]
+function gridRows(rows, N, pick, offset=0, M=N) {
+  const Z = new Array(N);
   for (let i=0;i<N;i++){
-    for (let j=0;j<N;j++){
-      const d2v = yAxis[i];
-      const d1v = xAxis[j];
-      if (d2v >= d1v) { Z_sell[i][j] = null; Z_leas[i][j] = null; continue; }
-      const m = new CircularEconomyModel(d1v, d2v, gamma, c, k);
-      Z_sell[i][j] = (m.profit_SM() > m.profit_SI() + 1e-8) ? 1 : 0;
-      Z_leas[i][j] = (m.profit_LM() > m.profit_LI() + 1e-8) ? 1 : 0;
-    }
+    const row = rows[offset + i];
+    Z[i] = row ? pick(row) : new Array(M).fill(null);
   }
-  return { Z_sell, Z_leas, xAxis, yAxis, title: 'Architecture Choice (Fig 1)' };
+  return Z;
 }
 
-// FIG 2: Architecture switching (Selling -> Leasing). Returns Z with categories 0..3 as per Python.
-export function buildFig2Grid({ resolution=50, c=0.15 }) {
-  const N = resolution || 50;
-  const xAxis = linspace(0.05, 0.95, N);
-  const yAxis = linspace(0.05, 0.95, N);
-  const gammas = [0.8, 1.2];
-  // We'll return an object with two grids (one per gamma)
-  const results = [];
-  for (const gamma of gammas){
-    const Z = Array.from({length:N}, ()=> new Array(N).fill(null));
-    for (let i=0;i<N;i++){
-      for (let j=0;j<N;j++){
-        const d2v = yAxis[i];
-        const d1v = xAxis[j];
-        if (d2v >= d1v){ Z[i][j] = null; continue; }
-        const m = new CircularEconomyModel(d1v, d2v, gamma, c, 0.0);
-        const arch_S = (m.profit_SM() > m.profit_SI()) ? 1 : 0;
-        const arch_L = (m.profit_LM() > m.profit_LI()) ? 1 : 0;
-        let res;
-        if (arch_S === 0 && arch_L === 0) res = 0;
-        else if (arch_S === 0 && arch_L === 1) res = 1;
-        else if (arch_S === 1 && arch_L === 0) res = 2;
-        else res = 3;
-        Z[i][j] = res;
+function rowsPrecision(rows) {
+  let precision = CLOSED_FORM;
+  for (const row of rows) if (row) precision = worstPrecision(precision, row.precision);
+  return precision;
+}
+
+// Runs a plan synchronously on the calling thread
+export function runPlan(plan) {
+  const rows = new Array(plan.rows);
+  for (let r=0;r<plan.rows;r++) rows[r] = plan.computeRow(r);
+  return plan.assemble(rows);
+}
+
+// ---------------- Sweep engine ----------------
+// One engine drives every (x, y) map: for each case and grid cell it builds the
+// model from base <- spec.fixed <- case.set <- axis values, solves all four
+// strategies once and hands the profits to the layer evaluators. Cells with
+// d2 >= d1 are infeasible and left null. Row r covers case cases[r / N] at
+// y = yAxis[r % N]. Per-strategy profit grids and the gap between the best
+// and second-best strategy are kept next to the layers; `legends` maps
+// category layers to their legend (see outputLegend) and `boundaries` maps
+// layers to the profit differences whose zero level separates their regions
+// (see outputBoundaries, boundaryField). Options `xAxis` (explicit x values)
+// and `model` (p => model with profit_* methods) serve sweeps of other models;
+// evaluators get the profits and the cell's model. Only traceable sweeps
+// expose `sweep` to boundary tracing.
+// Returns { results: [{ label, set, layers: { name: Z }, profits: { SI: Z, .. }, gap: Z }],
+//           legends, boundaries, xAxis, yAxis, xParam, yParam, precision, title }.
+export function planSweep({ spec, base=DEFAULT_BASE, resolution, optimizer, demand }, layers, title, { defaultN=50, legends={}, boundaries={}, xAxis: xValues, model, traceable=true }={}) {
+  const N = resolution || defaultN;
+  const xAxis = xValues || linspace(spec.x.min, spec.x.max, N);
+  const yAxis = linspace(spec.y.min, spec.y.max, N);
+  const M = xAxis.length;
+  const cases = spec.cases;
+  const layerNames = Object.keys(layers);
+  const build = model || ((p) => new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k, { optimizer, demand }));
+  return {
+    // what boundary tracing needs to re-evaluate the sweep (see planBoundaries)
+    sweep: traceable ? { spec, base, build, xAxis, yAxis, boundaries, title } : undefined,
+    rows: cases.length * N,
+    computeRow(r) {
+      const cs = cases[Math.floor(r / N)];
+      const p = { ...base, ...spec.fixed, ...cs.set, [spec.y.param]: yAxis[r % N] };
+      const out = {};
+      for (const name of layerNames) out[name] = new Array(M).fill(null);
+      const profitRow = {};
+      for (const s of STRATEGIES) profitRow[s] = new Array(M).fill(null);
+      const gapRow = new Array(M).fill(null);
+      let precision = CLOSED_FORM;
+      for (let j=0;j<M;j++){
+        p[spec.x.param] = xAxis[j];
+        if (p.d2 >= p.d1) continue;
+        const m = build(p);
+        const profits = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
+        for (const name of layerNames) out[name][j] = layers[name](profits, m);
+        for (const s of STRATEGIES) profitRow[s][j] = profits[s];
+        gapRow[j] = rankStrategies(profits)[0].lead;
+        precision = worstPrecision(precision, m.achievedPrecision);
       }
+      return { layers: out, profits: profitRow, gap: gapRow, precision };
+    },
+    assemble(rows) {
+      const results = cases.map((cs, idx) => {
+        const Z = {};
+        for (const name of layerNames) Z[name] = gridRows(rows, N, row => row.layers[name], idx*N, M);
+        const profits = {};
+        for (const s of STRATEGIES) profits[s] = gridRows(rows, N, row => row.profits[s], idx*N, M);
+        const gap = gridRows(rows, N, row => row.gap, idx*N, M);
+        return { label: cs.label, set: cs.set, layers: Z, profits, gap };
+      });
+      return {
+        results, legends, boundaries, xAxis, yAxis, xParam: spec.x.param, yParam: spec.y.param,
+        precision: rowsPrecision(rows), title
+      };
     }
-    results.push({ gamma, Z });
+  };
+}
+
+// Strategy codes used by every argmax layer
+export const STRATEGIES = ['SI', 'LI', 'SM', 'LM'];
+
+// Declarative cell outputs for custom maps:
+//   { type: 'argmax' }                  strategy code 0..3 (STRATEGIES order)
+//   { type: 'compare', a, b }           1 when strategy a beats b, else 0
+//   { type: 'profit', strategy }        profit of one strategy
+//   { type: 'difference', a, b }        profit of a minus profit of b
+export function outputEvaluator(output) {
+  switch (output.type) {
+    case 'argmax': return (profits) => {
+      const values = STRATEGIES.map(s => profits[s]);
+      return values.indexOf(Math.max(...values));
+    };
+    case 'compare': return (profits) => (profits[output.a] > profits[output.b] + (output.tol || 0)) ? 1 : 0;
+    case 'profit': return (profits) => profits[output.strategy];
+    case 'difference': return (profits) => profits[output.a] - profits[output.b];
+    default: throw new Error(`Unknown sweep output: ${output.type}`);
   }
-  return { results, xAxis, yAxis, title: 'Architecture Switching (Fig 2)' };
 }
 
-// FIG 3: Business Model Choice (cost c vs gamma) for a fixed d1,d2
-export function buildFig3Grid({ resolution=50, d1=0.5, d2=0.1 }) {
-  const N = resolution || 50;
-  const cAxis = linspace(0.01, 0.15, N);
-  const gAxis = linspace(0.5, 1.3, N);
-  const Z_int = Array.from({length:N}, ()=> new Array(N).fill(null));
-  const Z_mod = Array.from({length:N}, ()=> new Array(N).fill(null));
-  const Z_switch = Array.from({length:N}, ()=> new Array(N).fill(null));
-  for (let i=0;i<N;i++){
-    for (let j=0;j<N;j++){
-      const cval = cAxis[j];
-      const gval = gAxis[i];
-      const m = new CircularEconomyModel(d1, d2, gval, cval, 0.0);
-      const pi_LI = m.profit_LI();
-      const pi_SI = m.profit_SI();
-      Z_int[i][j] = (pi_LI > pi_SI) ? 1 : 0;
-      const pi_LM = m.profit_LM();
-      const pi_SM = m.profit_SM();
-      Z_mod[i][j] = (pi_LM > pi_SM) ? 1 : 0;
-      const pref_I = (pi_LI > pi_SI) ? 'L' : 'S';
-      const pref_M = (pi_LM > pi_SM) ? 'L' : 'S';
-      if (pref_I === 'L' && pref_M === 'S') Z_switch[i][j] = 1;
-      else if (pref_I === pref_M) Z_switch[i][j] = (pref_M === 'L') ? 2 : 0;
-      else Z_switch[i][j] = 0;
-    }
+// ---------------- Categorical legends ----------------
+// Category layers come with a legend { code: { label, color, strategy? } };
+// `strategy` names the strategy whose profit a cell of that category earns.
+export const STRATEGY_NAMES = { SI: 'Sell integral', LI: 'Lease integral', SM: 'Sell modular', LM: 'Lease modular' };
+export const STRATEGY_COLORS = { SI: '#1f77b4', LI: '#ff7f0e', SM: '#2ca02c', LM: '#d62728' };
+
+function strategyCategory(s, label=s) {
+  return { label, color: STRATEGY_COLORS[s], strategy: s };
+}
+
+// Legend of a declarative output, null for continuous outputs
+export function outputLegend(output) {
+  switch (output.type) {
+    case 'argmax': return Object.fromEntries(STRATEGIES.map((s, code) => [code, strategyCategory(s)]));
+    case 'compare': return { 0: strategyCategory(output.b), 1: strategyCategory(output.a) };
+    default: return null;
   }
-  return { Z_int, Z_mod, Z_switch, cAxis, gAxis, title: 'Business Model Choice (Fig 3)' };
 }
 
-// FIG 4: Joint choice map (SI, LI, SM, LM) for two cases of d1,d2
-export function buildFig4Grid({ resolution=60 }) {
-  const N = resolution || 60;
-  const cAxis = linspace(0.01, 0.35, N);
-  const gAxis = linspace(0.5, 1.5, N);
-  const cases = [
-    { d1: 0.28, d2: 0.1, name: 'High Diff (δ2=0.1)' },
-    { d1: 0.20, d2: 0.18, name: 'Low Diff (δ2=0.18)' }
-  ];
-  const results = [];
-  for (const cs of cases){
-    const Z = Array.from({length:N}, ()=> new Array(N).fill(null));
-    for (let i=0;i<N;i++){
-      for (let j=0;j<N;j++){
-        const cval = cAxis[j], gval = gAxis[i];
-        const m = new CircularEconomyModel(cs.d1, cs.d2, gval, cval, 0.0);
-        const profits = [m.profit_SI(), m.profit_LI(), m.profit_SM(), m.profit_LM()];
-        const bestIdx = profits.indexOf(Math.max(...profits));
-        Z[i][j] = bestIdx;
+// ---------------- Profit margins and boundaries ----------------
+
+// Strategies by decreasing profit; `lead` is the margin over the next one
+// (0 for the last) and `behind` the shortfall to the best.
+export function rankStrategies(profits) {
+  const order = [...STRATEGIES].sort((a, b) => profits[b] - profits[a]);
+  return order.map((s, i) => ({
+    strategy: s,
+    profit: profits[s],
+    lead: i + 1 < order.length ? profits[s] - profits[order[i+1]] : 0,
+    behind: profits[order[0]] - profits[s]
+  }));
+}
+
+// Boundaries are profit differences a - b whose zero level separates a
+// layer's regions. b = 'others' stands for the best of the other strategies,
+// so that difference bounds the region where a is the best strategy (argmax
+// maps, where pairwise differences also cross outside the two leaders).
+function regionBoundaries() {
+  return STRATEGIES.map(a => ({ a, b: 'others' }));
+}
+
+export function boundaryDifference(profits, { a, b }) {
+  if (b !== 'others') return profits[a] - profits[b];
+  let rest = -Infinity;
+  for (const s of STRATEGIES) if (s !== a) rest = Math.max(rest, profits[s]);
+  return profits[a] - rest;
+}
+
+export function boundaryName({ a, b }) {
+  return b === 'others' ? `${a} region` : `${a} = ${b}`;
+}
+
+export function outputBoundaries(output) {
+  switch (output.type) {
+    case 'argmax': return regionBoundaries();
+    case 'compare':
+    case 'difference': return [{ a: output.a, b: output.b }];
+    default: return [];
+  }
+}
+
+// Signed difference grid of a boundary for one sweep result; null where the
+// cell is infeasible
+export function boundaryField(result, boundary) {
+  return result.profits.SI.map((row, i) => row.map((v, j) => {
+    if (v === null) return null;
+    const profits = {};
+    for (const s of STRATEGIES) profits[s] = result.profits[s][i][j];
+    return boundaryDifference(profits, boundary);
+  }));
+}
+
+// Whether an output yields category codes (vs continuous profit values)
+export function isCategorical(output) {
+  return output.type === 'argmax' || output.type === 'compare';
+}
+
+export function describeOutput(output) {
+  switch (output.type) {
+    case 'argmax': return 'Best strategy';
+    case 'compare': return `${output.a} vs ${output.b}`;
+    case 'profit': return `π ${output.strategy}`;
+    case 'difference': return `π ${output.a} − π ${output.b}`;
+    default: return output.type;
+  }
+}
+
+// FIG 1: architecture choice under selling (sell) and leasing (lease)
+// Values: 0 => Integral better, 1 => Modular better, null => infeasible (d2 >= d1)
+export function planFig1({ spec=DEFAULT_SPECS.fig1, ...params }) {
+  return planSweep({ spec, ...params }, {
+    sell: outputEvaluator({ type: 'compare', a: 'SM', b: 'SI', tol: 1e-8 }),
+    lease: outputEvaluator({ type: 'compare', a: 'LM', b: 'LI', tol: 1e-8 })
+  }, 'Architecture Choice (Fig 1)', {
+    defaultN: 60,
+    legends: {
+      sell: { 0: strategyCategory('SI', 'Integral'), 1: strategyCategory('SM', 'Modular') },
+      lease: { 0: strategyCategory('LI', 'Integral'), 1: strategyCategory('LM', 'Modular') }
+    },
+    boundaries: { sell: [{ a: 'SM', b: 'SI' }], lease: [{ a: 'LM', b: 'LI' }] }
+  });
+}
+
+// FIG 2: Architecture switching (Selling -> Leasing), categories 0..3 as per Python:
+// 0 integral in both, 1 modular only when leasing, 2 modular only when selling, 3 modular in both
+export function planFig2({ spec=DEFAULT_SPECS.fig2, ...params }) {
+  return planSweep({ spec, ...params }, {
+    switch: (profits) => {
+      const arch_S = (profits.SM > profits.SI) ? 1 : 0;
+      const arch_L = (profits.LM > profits.LI) ? 1 : 0;
+      let res;
+      if (arch_S === 0 && arch_L === 0) res = 0;
+      else if (arch_S === 0 && arch_L === 1) res = 1;
+      else if (arch_S === 1 && arch_L === 0) res = 2;
+      else res = 3;
+      return res;
+    }
+  }, 'Architecture Switching (Fig 2)', {
+    legends: {
+      switch: {
+        0: { label: 'Integral in both', color: '#dddddd' },
+        1: { label: 'Switch to modular when leasing', color: '#2ca02c' },
+        2: { label: 'Switch to integral when leasing', color: '#ff7f7f' },
+        3: { label: 'Modular in both', color: '#555555' }
+      }
+    },
+    boundaries: { switch: [{ a: 'SM', b: 'SI' }, { a: 'LM', b: 'LI' }] }
+  });
+}
+
+// FIG 3: Business Model Choice: lease (1) vs sell (0) for each architecture and the switch map
+// Switch codes: 0 sell in both, 1 lease only when integral, 2 lease in both, 3 lease only when modular
+export function planFig3({ spec=DEFAULT_SPECS.fig3, ...params }) {
+  return planSweep({ spec, ...params }, {
+    integral: outputEvaluator({ type: 'compare', a: 'LI', b: 'SI' }),
+    modular: outputEvaluator({ type: 'compare', a: 'LM', b: 'SM' }),
+    switch: (profits) => {
+      const lease_I = profits.LI > profits.SI;
+      const lease_M = profits.LM > profits.SM;
+      if (lease_I && lease_M) return 2;
+      if (lease_I) return 1;
+      if (lease_M) return 3;
+      return 0;
+    }
+  }, 'Business Model Choice (Fig 3)', {
+    legends: {
+      integral: { 0: strategyCategory('SI', 'Sell'), 1: strategyCategory('LI', 'Lease') },
+      modular: { 0: strategyCategory('SM', 'Sell'), 1: strategyCategory('LM', 'Lease') },
+      switch: {
+        0: { label: 'Sell in both', color: '#dddddd' },
+        1: { label: 'Lease only when integral', color: '#fa8072' },
+        2: { label: 'Lease in both', color: '#555555' },
+        3: { label: 'Lease only when modular', color: '#6baed6' }
       }
+    },
+    boundaries: {
+      integral: [{ a: 'LI', b: 'SI' }],
+      modular: [{ a: 'LM', b: 'SM' }],
+      switch: [{ a: 'LI', b: 'SI' }, { a: 'LM', b: 'SM' }]
+    }
+  });
+}
+
+// FIG 4: Joint choice map (SI, LI, SM, LM), one panel per (d1, d2) case
+export function planFig4({ spec=DEFAULT_SPECS.fig4, ...params }) {
+  return planSweep({ spec, ...params }, { best: outputEvaluator({ type: 'argmax' }) }, 'Joint Choice Strategy Map (Fig 4)', {
+    defaultN: 60, legends: { best: outputLegend({ type: 'argmax' }) }, boundaries: { best: regionBoundaries() }
+  });
+}
+
+// FIG 5: Effect of integration cost k (same as Fig4, one panel per k case)
+export function planFig5({ spec=DEFAULT_SPECS.fig5, ...params }) {
+  return planSweep({ spec, ...params }, { best: outputEvaluator({ type: 'argmax' }) }, 'Integration cost effect (Fig 5)', {
+    legends: { best: outputLegend({ type: 'argmax' }) }, boundaries: { best: regionBoundaries() }
+  });
+}
+
+// Custom map: any two parameters as axes and a declarative output (spec.output)
+export function planCustom({ spec=DEFAULT_SPECS.custom, ...params }) {
+  const legend = outputLegend(spec.output);
+  return planSweep({ spec, ...params }, { value: outputEvaluator(spec.output) }, `Custom map: ${describeOutput(spec.output)}`, {
+    legends: legend ? { value: legend } : {}, boundaries: { value: outputBoundaries(spec.output) }
+  });
+}
+
+// Multi-cycle figure: best strategy of MultiCycleModel as the number of use
+// cycles grows (x: every integer spec.x.min..max) against spec.y, with the
+// refurbishment costs of spec.refurbish
+export function planCycles({ spec=DEFAULT_SPECS.cycles, ...params }) {
+  const xAxis = [];
+  for (let n=spec.x.min;n<=spec.x.max;n++) xAxis.push(n);
+  return planSweep({ spec, ...params }, { best: outputEvaluator({ type: 'argmax' }) }, 'Strategy vs use cycles', {
+    defaultN: 40, legends: { best: outputLegend({ type: 'argmax' }) }, boundaries: { best: regionBoundaries() },
+    xAxis, traceable: false,
+    model: (p) => new MultiCycleModel(p.d1, p.d2, p.gamma, p.c, p.k, { cycles: p.cycles, demand: params.demand, ...spec.refurbish })
+  });
+}
+
+// Environmental map: the strategy with the lowest spec.impact.metric next to
+// the most profitable one; code 4 where no strategy produces
+export function planEnvironment({ spec=DEFAULT_SPECS.environment, ...params }) {
+  const { metric, ...factors } = spec.impact;
+  return planSweep({ spec, ...params }, {
+    greenest: (profits, m) => {
+      const code = greenestStrategy(m.solve(), metric);
+      return code === null ? 4 : code;
+    },
+    best: outputEvaluator({ type: 'argmax' })
+  }, `Environmental impact: lowest ${IMPACT_METRICS[metric]}`, {
+    legends: {
+      greenest: { ...outputLegend({ type: 'argmax' }), 4: { label: 'No production', color: '#f0f0f0' } },
+      best: outputLegend({ type: 'argmax' })
+    },
+    boundaries: { best: regionBoundaries() },
+    model: (p) => new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k, { optimizer: params.optimizer, demand: params.demand, impact: factors })
+  });
+}
+
+// ---------------- Policy ----------------
+// Lever values scanned for the first one that makes a strategy optimal
+const POLICY_STEPS = 20;
+
+// Smallest increase of policy `lever` above its level in model m, up to
+// `max`, at which strategy `to` leads every other one by more than
+// BOUNDARY_TOL (a modular strategy tied with its integral fallback does not
+// count): 0 when it already does, null when it never does in that range.
+// Scans the range, then bisects the first step that reaches it.
+export function requiredLever(m, lever, max, to) {
+  const optimal = (x) => {
+    const mx = new CircularEconomyModel(m.d1, m.d2, m.gamma, m.c, m.k,
+      { optimizer: m.optimizer, demand: m.demand, policy: { ...m.policy, [lever]: m.policy[lever] + x } });
+    const profits = { SI: mx.profit_SI(), LI: mx.profit_LI(), SM: mx.profit_SM(), LM: mx.profit_LM() };
+    return boundaryDifference(profits, { a: to, b: 'others' }) > BOUNDARY_TOL;
+  };
+  if (optimal(0)) return 0;
+  let prev = 0;
+  for (let n=1;n<=POLICY_STEPS;n++){
+    const x = max * n / POLICY_STEPS;
+    if (!optimal(x)){ prev = x; continue; }
+    let a = prev, b = x;
+    for (let it=0;it<ROOT_ITERATIONS;it++){
+      const mid = (a + b) / 2;
+      if (optimal(mid)) b = mid; else a = mid;
     }
-    results.push({ name: cs.name, Z });
+    return b;
   }
-  return { results, cAxis, gAxis, title: 'Joint Choice Strategy Map (Fig 4)' };
+  return null;
 }
 
-// FIG 5: Effect of integration cost k (same as Fig4 but for k=0 and k>0)
-export function buildFig5Grid({ resolution=50 }) {
-  const N = resolution || 50;
-  const cAxis = linspace(0.01, 0.35, N);
-  const gAxis = linspace(0.5, 1.5, N);
-  const kvals = [0.0, 0.02];
-  const results = [];
-  for (const k of kvals){
-    const Z = Array.from({length:N}, ()=> new Array(N).fill(null));
-    for (let i=0;i<N;i++){
-      for (let j=0;j<N;j++){
-        const cval = cAxis[j], gval = gAxis[i];
-        const m = new CircularEconomyModel(0.28, 0.1, gval, cval, k);
-        const profits = [m.profit_SI(), m.profit_LI(), m.profit_SM(), m.profit_LM()];
-        Z[i][j] = profits.indexOf(Math.max(...profits));
+// Policy figure: the status quo best strategy under spec.policy, and the
+// smallest increase of spec.lever (up to spec.max) that makes spec.to the best
+// strategy, searched where the status quo is spec.from ('any' for every cell)
+export function planPolicy({ spec=DEFAULT_SPECS.policy, ...params }) {
+  const argmax = outputEvaluator({ type: 'argmax' });
+  const searched = (code) => spec.from === 'any' || STRATEGIES[code] === spec.from;
+  return planSweep({ spec, ...params }, {
+    status: argmax,
+    required: (profits, m) => searched(argmax(profits)) ? requiredLever(m, spec.lever, spec.max, spec.to) : null
+  }, `Minimal ${POLICY_LEVERS[spec.lever]} to make ${spec.to} optimal${spec.from === 'any' ? '' : ` where ${spec.from} is`}`, {
+    defaultN: 40, legends: { status: outputLegend({ type: 'argmax' }) }, boundaries: { status: regionBoundaries() },
+    model: (p) => new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k, { optimizer: params.optimizer, demand: params.demand, policy: spec.policy })
+  });
+}
+
+// Equilibrium categories of the duopoly game: 0..3 both firms play that
+// strategy, 4..9 one firm plays each strategy of a pair, 10 several pure
+// equilibria, 11 mixed equilibria only
+const STRATEGY_PAIRS = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+const PAIR_COLORS = ['#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+
+export const EQUILIBRIUM_LEGEND = {
+  ...Object.fromEntries(STRATEGIES.map((s, code) => [code, { label: `both ${s}`, color: STRATEGY_COLORS[s] }])),
+  ...Object.fromEntries(STRATEGY_PAIRS.map(([i, j], n) => [4 + n, { label: `${STRATEGIES[i]} vs ${STRATEGIES[j]}`, color: PAIR_COLORS[n] }])),
+  10: { label: 'Several pure equilibria', color: '#444444' },
+  11: { label: 'Mixed equilibria only', color: '#f0f0f0' }
+};
+
+// Category of a duopolyGame result. Strategies with the same payoffs against
+// every opponent (e.g. SM when the modular program sells no replacement
+// modules) count as the first of them, as in argmax layers.
+export function equilibriumCategory({ payoffs, equilibria }) {
+  const K = payoffs.length;
+  const close = (u, v) => u.every((x, l) => Math.abs(x - v[l]) <= BOUNDARY_TOL);
+  const column = (j) => payoffs.map(row => row[j]);
+  const rep = [];
+  for (let i=0;i<K;i++){
+    let j = 0;
+    while (!(close(payoffs[i], payoffs[j]) && close(column(i), column(j)))) j++;
+    rep.push(j);
+  }
+  const pairs = new Set();
+  for (const e of equilibria){
+    if (!e.pure) continue;
+    const [i, j] = [e.row.indexOf(1), e.col.indexOf(1)].map(s => rep[s]).sort((a, b) => a - b);
+    pairs.add(i === j ? i : 4 + STRATEGY_PAIRS.findIndex(([a, b]) => a === i && b === j));
+  }
+  if (pairs.size === 0) return 11;
+  return pairs.size === 1 ? [...pairs][0] : 10;
+}
+
+// Duopoly figure: equilibrium of the game between two firms choosing
+// strategies on one market against the monopolist's best strategy, both from
+// the two-cycle MultiCycleModel
+export function planDuopoly({ spec=DEFAULT_SPECS.duopoly, ...params }) {
+  return planSweep({ spec, ...params }, {
+    equilibrium: (profits, m) => equilibriumCategory(duopolyGame(m)),
+    monopoly: outputEvaluator({ type: 'argmax' })
+  }, 'Duopoly equilibrium vs monopoly', {
+    defaultN: 40, legends: { equilibrium: EQUILIBRIUM_LEGEND, monopoly: outputLegend({ type: 'argmax' }) },
+    boundaries: { monopoly: regionBoundaries() },
+    model: (p) => new MultiCycleModel(p.d1, p.d2, p.gamma, p.c, p.k, { demand: params.demand })
+  });
+}
+
+// FIG 6: Endogenous durability. For each base cost c0 every strategy's
+// profit is maximized over durabilities search.min <= δ2 < δ1 <= search.max,
+// with unit cost c = c0 + durabilityCost(δ1, δ2): the best point of the
+// search grid seeds a compass search (axis and diagonal moves, so it can
+// follow the δ2 = δ1 edge) that halves its step down to DURABILITY_TOL.
+// The optimal strategy is the best of the four optima, ties to the first one
+// in STRATEGIES order.
+
+const DURABILITY_TOL = 1e-7;
+// closest valid δ2 < δ1 gap when moving one of the two (also for sensitivity)
+const DURABILITY_GAP = 1e-6;
+const COMPASS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, -1], [1, -1], [-1, 1]];
+
+// Local maximum of f(δ1, δ2) from `start` with initial step h, inside
+// [lo, hi]² with δ2 <= δ1 - DURABILITY_GAP
+function compassSearch(f, start, h, lo, hi) {
+  let [x, y] = start;
+  let best = f(x, y);
+  while (h > DURABILITY_TOL){
+    let moved = false;
+    for (const [dx, dy] of COMPASS){
+      const nx = x + dx*h, ny = y + dy*h;
+      if (nx < lo || nx > hi || ny < lo || ny > hi || ny > nx - DURABILITY_GAP) continue;
+      const v = f(nx, ny);
+      if (v > best){
+        best = v; x = nx; y = ny; moved = true;
+        break;
       }
     }
-    results.push({ k, Z });
+    if (!moved) h /= 2;
   }
-  return { results, cAxis, gAxis, title: 'Integration cost effect (Fig 5)' };
+  return { d1: x, d2: y, profit: best };
 }
 
-// FIG 6: Endogenous durability: grid search over delta1 & delta2 for different c0
-export function buildFig6Data({ c0min=0.01, c0max=0.15, steps=20 }) {
-  const c0_vals = linspace(c0min, c0max, steps);
-  const gammas = [0.72, 1.02];
-  const search_grid = linspace(0.1, 0.9, 15);
-  const out = [];
-  for (const gamma of gammas){
-    const opt_d1 = [];
-    const opt_d2 = [];
-    const strategies = [];
-    for (const c0 of c0_vals){
-      let best_pi = -1e9;
-      let best_pair = [0.1, 0.1];
-      let best_strat = 'SI';
+// Returns { out: [{ label, set, c0_vals, opt_d1, opt_d2, opt_profit, strategies }], precision, title }
+export function planFig6({ spec=DEFAULT_SPECS.fig6, base=DEFAULT_BASE, optimizer, demand }) {
+  const steps = spec.x.steps;
+  const c0_vals = linspace(spec.x.min, spec.x.max, steps);
+  const { min: lo, max: hi } = spec.search;
+  const search_grid = linspace(lo, hi, spec.search.steps);
+  const h = (hi - lo) / (spec.search.steps - 1);
+  const cases = spec.cases;
+  // row r covers case cases[r / steps] at base cost c0_vals[r % steps]
+  return {
+    rows: cases.length * steps,
+    computeRow(r) {
+      const cs = cases[Math.floor(r / steps)];
+      const p = { ...base, ...spec.fixed, ...cs.set };
+      const c0 = c0_vals[r % steps];
+      let precision = CLOSED_FORM;
+      const model = (d1, d2) => new CircularEconomyModel(d1, d2, p.gamma, c0 + durabilityCost(spec.durabilityCost, d1, d2), p.k, { optimizer, demand });
+      // best grid point of every strategy
+      const seeds = {};
       for (const d1v of search_grid){
         for (const d2v of search_grid){
           if (d2v >= d1v) continue;
-          const c_total = c0 + 0.08*Math.pow(d1v,2) + 0.16*Math.pow(d2v,2);
-          const m = new CircularEconomyModel(d1v, d2v, gamma, c_total, 0.0);
+          const m = model(d1v, d2v);
           const profits = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
-          const strat = Object.keys(profits).reduce((a,b)=> profits[a] > profits[b] ? a : b);
-          if (profits[strat] > best_pi){
-            best_pi = profits[strat];
-            best_pair = [d1v, d2v];
-            best_strat = strat;
-          }
+          precision = worstPrecision(precision, m.achievedPrecision);
+          for (const s of STRATEGIES) if (!seeds[s] || profits[s] > seeds[s].profit) seeds[s] = { d1: d1v, d2: d2v, profit: profits[s] };
         }
       }
-      opt_d1.push(best_pair[0]);
-      opt_d2.push(best_pair[1]);
-      strategies.push(best_strat);
+      let best = null;
+      for (const s of STRATEGIES){
+        if (!seeds[s]) continue;
+        const opt = compassSearch((d1, d2) => {
+          const m = model(d1, d2);
+          const v = m[`profit_${s}`]();
+          precision = worstPrecision(precision, m.achievedPrecision);
+          return v;
+        }, [seeds[s].d1, seeds[s].d2], h, lo, hi);
+        // ties (e.g. LM and LI at δ2 = δ1 with k = 0) go to the first strategy
+        if (!best || opt.profit > best.profit + BOUNDARY_TOL) best = { ...opt, strategy: s };
+      }
+      if (!best) return { d1: null, d2: null, profit: null, strategy: null, precision };
+      return { d1: best.d1, d2: best.d2, profit: best.profit, strategy: best.strategy, precision };
+    },
+    assemble(rows) {
+      const out = cases.map((cs, idx) => {
+        const pick = (key) => c0_vals.map((_, s) => rows[idx*steps + s] ? rows[idx*steps + s][key] : null);
+        return {
+          label: cs.label, set: cs.set, c0_vals,
+          opt_d1: pick('d1'), opt_d2: pick('d2'), opt_profit: pick('profit'), strategies: pick('strategy')
+        };
+      });
+      return { out, precision: rowsPrecision(rows), title: 'Endogenous Durability (Fig 6)' };
     }
-    out.push({ gamma, c0_vals, opt_d1, opt_d2, strategies });
+  };
+}
+
+// ---------------- Sensitivity ----------------
+// Local sensitivity of the strategy profits at one parameter point: partial
+// derivatives (analytical for the closed forms SI and SM under linear demand,
+// central finite differences otherwise) and elasticities, plus how far each
+// parameter can move either way before another strategy becomes optimal.
+
+const FD_STEP = 1e-6;
+// parameter steps scanned for a change of the optimal strategy, each side
+const SWITCH_STEPS = 50;
+// options: model options ({ optimizer, demand }) of every evaluation
+function pointProfits(p, options) {
+  const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k, options);
+  return { profits: { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() }, precision: m.achievedPrecision };
+}
+
+// Valid interval of parameter `key` with the others held at p
+function paramDomain(key, p) {
+  let { min, max } = PARAMS[key];
+  if (key === 'd1') min = Math.max(min, p.d2 + DURABILITY_GAP);
+  if (key === 'd2') max = Math.min(max, p.d1 - DURABILITY_GAP);
+  return [min, max];
+}
+
+// ∂profit/∂key of every strategy by central differences, one-sided at the
+// edges of the valid domain
+function finiteDifferences(key, p, options) {
+  const [min, max] = paramDomain(key, p);
+  const lo = Math.max(min, p[key] - FD_STEP), hi = Math.min(max, p[key] + FD_STEP);
+  const below = pointProfits({ ...p, [key]: lo }, options).profits;
+  const above = pointProfits({ ...p, [key]: hi }, options).profits;
+  return Object.fromEntries(STRATEGIES.map(s => [s, (above[s] - below[s]) / (hi - lo)]));
+}
+
+// First change of the optimal strategy moving `key` from p towards `limit`:
+// { value, delta, strategy } at the switch (found by bisection after a scan),
+// or strategy null with the limit itself when `best` stays optimal throughout
+function switchPoint(key, p, best, limit, options) {
+  const overtaken = (x) => {
+    const { profits } = pointProfits({ ...p, [key]: x }, options);
+    return -boundaryDifference(profits, { a: best, b: 'others' }) > BOUNDARY_TOL ? rankStrategies(profits)[0].strategy : null;
+  };
+  let prev = p[key];
+  for (let n=1;n<=SWITCH_STEPS;n++){
+    const x = p[key] + (limit - p[key]) * n / SWITCH_STEPS;
+    let winner = overtaken(x);
+    if (!winner){ prev = x; continue; }
+    let a = prev, b = x;
+    for (let it=0;it<ROOT_ITERATIONS;it++){
+      const mid = (a + b) / 2;
+      const w = overtaken(mid);
+      if (w) { b = mid; winner = w; } else a = mid;
+    }
+    return { value: b, delta: b - p[key], strategy: winner };
   }
-  return { out, title: 'Endogenous Durability (Fig 6)' };
+  return { value: limit, delta: limit - p[key], strategy: null };
 }
 
-// Convenience wrapper for single point profits
-export function buildGridResults({ d1=0.5, d2=0.1, gamma=1.0, c=0.15, k=0.0 }) {
-  const m = new CircularEconomyModel(d1, d2, gamma, c, k);
+// Sensitivity of all strategies to one parameter at point p:
+// { param, value, best, derivatives, elasticities, methods, lower, upper, precision }
+export function parameterSensitivity(key, p, options={}) {
+  const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k, options);
+  const profits = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
+  const fd = finiteDifferences(key, p, options);
+  // the closed-form gradients hold for linear demand only
+  const analytical = m.linearDemand;
+  const derivatives = {
+    SI: analytical ? m.gradient_SI()[key] : fd.SI, LI: fd.LI, SM: analytical ? m.gradient_SM()[key] : fd.SM, LM: fd.LM
+  };
+  const closedForm = analytical ? 'analytical' : 'finite-difference';
+  const methods = { SI: closedForm, LI: 'finite-difference', SM: closedForm, LM: 'finite-difference' };
+  // ε = (∂π/∂x)(x/π); undefined for a strategy that shuts down
+  const elasticities = Object.fromEntries(STRATEGIES.map(s => [s, profits[s] > 0 ? derivatives[s] * p[key] / profits[s] : null]));
+  const best = rankStrategies(profits)[0].strategy;
+  const [min, max] = paramDomain(key, p);
+  return {
+    param: key, value: p[key], best, derivatives, elasticities, methods,
+    lower: switchPoint(key, p, best, min, options),
+    upper: switchPoint(key, p, best, max, options),
+    precision: m.achievedPrecision
+  };
+}
+
+// Single point profits, then one row per parameter with its sensitivity.
+// Returns { singleProfits, ranking, solutions, sensitivity: [parameterSensitivity], precision, title }.
+export function planTable({ base=DEFAULT_BASE, optimizer, demand }) {
+  const { d1, d2, gamma, c, k } = base;
+  const keys = Object.keys(PARAMS);
   return {
-    singleProfits: {
-      SI: m.profit_SI(),
-      LI: m.profit_LI(),
-      SM: m.profit_SM(),
-      LM: m.profit_LM()
+    rows: 1 + keys.length,
+    computeRow(r) {
+      if (r > 0) return parameterSensitivity(keys[r-1], { d1, d2, gamma, c, k }, { optimizer, demand });
+      const m = new CircularEconomyModel(d1, d2, gamma, c, k, { optimizer, demand });
+      const solutions = m.solve();
+      return { solutions, precision: m.achievedPrecision };
+    },
+    assemble(rows) {
+      const title = 'Single-point profits';
+      if (!rows[0]) return { singleProfits: null, ranking: null, solutions: null, sensitivity: [], precision: null, title };
+      const { solutions } = rows[0];
+      const singleProfits = {
+        SI: solutions.SI.profit,
+        LI: solutions.LI.profit,
+        SM: solutions.SM.profit,
+        LM: solutions.LM.profit
+      };
+      return {
+        singleProfits,
+        ranking: rankStrategies(singleProfits),
+        solutions,
+        sensitivity: rows.slice(1).filter(Boolean),
+        precision: rowsPrecision(rows),
+        title
+      };
     }
   };
 }
+
+// ---------------- Monte Carlo ----------------
+// Parameter uncertainty: every draw samples spec.distributions over the
+// base <- spec.fixed <- case.set values, rejecting draws outside the valid
+// PARAMS ranges or with d2 >= d1 (i.e. the distributions are truncated), and
+// solves all four strategies. Draws come in rows of MC_CHUNK, each with its
+// own PRNG stream seeded from (seed, row), so results do not depend on how
+// rows are scheduled across workers.
+
+const MC_CHUNK = 100;
+const MC_MAX_REJECTIONS = 1000;
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// { mean, sd, min, p5, p25, median, p75, p95, max } of a sample
+export function summarize(values) {
+  const n = values.length;
+  if (!n) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((a, v) => a + v, 0) / n;
+  const sd = n > 1 ? Math.sqrt(values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / (n - 1)) : 0;
+  return {
+    mean, sd, min: sorted[0],
+    p5: quantile(sorted, 0.05), p25: quantile(sorted, 0.25), median: quantile(sorted, 0.5),
+    p75: quantile(sorted, 0.75), p95: quantile(sorted, 0.95), max: sorted[n-1]
+  };
+}
+
+function validDraw(p) {
+  for (const [key, { min, max }] of Object.entries(PARAMS)) if (!(p[key] >= min && p[key] <= max)) return false;
+  return p.d2 < p.d1;
+}
+
+// Returns { runs: [{ label, set, draws, params: { d1: [..], .. }, profits: { SI: [..], .. },
+//           best: [codes], probabilities, summary: { SI: summarize(..), .. } }], legends, precision, title }.
+export function planMonteCarlo({ spec=DEFAULT_SPECS.montecarlo, base=DEFAULT_BASE, optimizer, demand }) {
+  const chunks = Math.ceil(spec.draws / MC_CHUNK);
+  const cases = spec.cases;
+  const keys = Object.keys(PARAMS);
+  const argmax = outputEvaluator({ type: 'argmax' });
+  return {
+    rows: cases.length * chunks,
+    computeRow(r) {
+      const cs = cases[Math.floor(r / chunks)];
+      const chunk = r % chunks;
+      const count = Math.min(MC_CHUNK, spec.draws - chunk * MC_CHUNK);
+      const rand = mulberry32(seedFor(spec.seed, r));
+      const params = {}, profits = {};
+      for (const key of keys) params[key] = [];
+      for (const s of STRATEGIES) profits[s] = [];
+      const best = [];
+      let precision = CLOSED_FORM;
+      for (let n=0;n<count;n++){
+        let p, tries = 0;
+        do {
+          if (++tries > MC_MAX_REJECTIONS) throw new Error('Parameter distributions leave no valid draws (check ranges and δ2 < δ1)');
+          p = { ...base, ...spec.fixed, ...cs.set };
+          for (const [key, dist] of Object.entries(spec.distributions)) p[key] = sampleDistribution(dist, rand);
+        } while (!validDraw(p));
+        const m = new CircularEconomyModel(p.d1, p.d2, p.gamma, p.c, p.k, { optimizer, demand });
+        const values = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
+        for (const key of keys) params[key].push(p[key]);
+        for (const s of STRATEGIES) profits[s].push(values[s]);
+        best.push(argmax(values));
+        precision = worstPrecision(precision, m.achievedPrecision);
+      }
+      return { params, profits, best, precision };
+    },
+    assemble(rows) {
+      const runs = cases.map((cs, idx) => {
+        const params = {}, profits = {};
+        for (const key of keys) params[key] = [];
+        for (const s of STRATEGIES) profits[s] = [];
+        const best = [];
+        for (let chunk=0;chunk<chunks;chunk++){
+          const row = rows[idx*chunks + chunk];
+          if (!row) continue;
+          for (const key of keys) params[key].push(...row.params[key]);
+          for (const s of STRATEGIES) profits[s].push(...row.profits[s]);
+          best.push(...row.best);
+        }
+        const probabilities = {}, summary = {};
+        STRATEGIES.forEach((s, code) => {
+          probabilities[s] = best.length ? best.filter(b => b === code).length / best.length : null;
+          summary[s] = summarize(profits[s]);
+        });
+        return { label: cs.label, set: cs.set, draws: best.length, params, profits, best, probabilities, summary };
+      });
+      return {
+        runs, legends: { best: outputLegend({ type: 'argmax' }) },
+        precision: rowsPrecision(rows), title: 'Monte Carlo uncertainty'
+      };
+    }
+  };
+}
+
+// ---------------- Boundary tracing ----------------
+// Regime boundaries as curves rather than pixels. For each case the boundary
+// differences a - b are sampled on the sweep grid; every grid edge where one
+// changes sign is refined to its root by bisection on the model itself, and
+// marching squares joins the roots cell by cell into polylines. A root on a
+// vertical edge is the critical y at that grid x (e.g. the critical δ2 for a
+// given δ1), one on a horizontal edge the critical x at that grid y.
+
+const ROOT_ITERATIONS = 40;
+// a beats b only by more than this: exact ties (a modular design falling back
+// to the integral one) and rounding noise are not boundaries
+export const BOUNDARY_TOL = 1e-9;
+const ahead = (v) => v > BOUNDARY_TOL;
+
+// Root of f in [lo, hi], where f(lo) = flo and f(hi) fall on opposite sides
+function bisect(f, lo, hi, flo) {
+  let a = lo, b = hi;
+  const side = ahead(flo);
+  for (let it=0;it<ROOT_ITERATIONS;it++){
+    const mid = (a + b) / 2;
+    const fm = f(mid);
+    if (fm === null) break;
+    if (ahead(fm) === side) a = mid; else b = mid;
+  }
+  return (a + b) / 2;
+}
+
+// Joins segments [keyA, keyB] (edge keys) into chains of edge keys
+function chainSegments(segments) {
+  const byKey = new Map();
+  segments.forEach((seg, id) => {
+    for (const key of seg){
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(id);
+    }
+  });
+  const used = new Array(segments.length).fill(false);
+  const walk = (id, from) => {
+    const chain = [from];
+    let key = from;
+    while (id !== undefined && !used[id]){
+      used[id] = true;
+      key = segments[id][0] === key ? segments[id][1] : segments[id][0];
+      chain.push(key);
+      id = byKey.get(key).find(next => !used[next]);
+    }
+    return chain;
+  };
+  const chains = [];
+  // open curves start at edges touched by a single segment, closed loops anywhere
+  for (const [key, ids] of byKey) if (ids.length === 1 && !used[ids[0]]) chains.push(walk(ids[0], key));
+  segments.forEach((seg, id) => { if (!used[id]) chains.push(walk(id, seg[0])); });
+  return chains;
+}
+
+// Boundary curves of one case: [{ a, b, curves: [[{ x, y, solved }]] }] where
+// `solved` names the coordinate found by root finding ('x' or 'y')
+function traceCase({ spec, base, build, xAxis, yAxis }, cs, pairs) {
+  const N = yAxis.length, M = xAxis.length;
+  const point = (x, y) => ({ ...base, ...spec.fixed, ...cs.set, [spec.x.param]: x, [spec.y.param]: y });
+  let precision = CLOSED_FORM;
+  const solve = (p) => {
+    if (p.d2 >= p.d1) return null;
+    const m = build(p);
+    const profits = { SI: m.profit_SI(), LI: m.profit_LI(), SM: m.profit_SM(), LM: m.profit_LM() };
+    precision = worstPrecision(precision, m.achievedPrecision);
+    return profits;
+  };
+  const grid = yAxis.map(y => xAxis.map(x => solve(point(x, y))));
+  const traces = pairs.map(({ a, b }) => {
+    const Z = grid.map(row => row.map(profits => profits ? boundaryDifference(profits, { a, b }) : null));
+    const diff = (p) => {
+      const profits = solve(p);
+      return profits ? boundaryDifference(profits, { a, b }) : null;
+    };
+    // roots on sign-changing grid edges: h<i>_<j> joins (i, j)-(i, j+1), v<i>_<j> joins (i, j)-(i+1, j)
+    const roots = new Map();
+    const changes = (u, v) => u !== null && v !== null && ahead(u) !== ahead(v);
+    for (let i=0;i<N;i++){
+      for (let j=0;j<M;j++){
+        if (j + 1 < M && changes(Z[i][j], Z[i][j+1])){
+          const x = bisect(t => diff(point(t, yAxis[i])), xAxis[j], xAxis[j+1], Z[i][j]);
+          roots.set(`h${i}_${j}`, { x, y: yAxis[i], solved: 'x' });
+        }
+        if (i + 1 < N && changes(Z[i][j], Z[i+1][j])){
+          const y = bisect(t => diff(point(xAxis[j], t)), yAxis[i], yAxis[i+1], Z[i][j]);
+          roots.set(`v${i}_${j}`, { x: xAxis[j], y, solved: 'y' });
+        }
+      }
+    }
+    // marching squares: cell edges bottom, right, top, left
+    const segments = [];
+    for (let i=0;i+1<N;i++){
+      for (let j=0;j+1<M;j++){
+        const edges = [`h${i}_${j}`, `v${i}_${j+1}`, `h${i+1}_${j}`, `v${i}_${j}`];
+        const hit = edges.filter(key => roots.has(key));
+        if (hit.length === 2) segments.push(hit);
+        else if (hit.length === 4){
+          // saddle: the centre's sign decides which corners the curves cut off
+          const centre = Z[i][j] + Z[i][j+1] + Z[i+1][j+1] + Z[i+1][j];
+          if (ahead(centre / 4) === ahead(Z[i][j])) segments.push([edges[0], edges[1]], [edges[2], edges[3]]);
+          else segments.push([edges[3], edges[0]], [edges[1], edges[2]]);
+        }
+      }
+    }
+    const curves = chainSegments(segments).map(chain => chain.map(key => roots.get(key)));
+    // isolated sign changes (no neighbouring root in the cell) still mark the boundary
+    const joined = new Set(segments.flat());
+    for (const [key, root] of roots) if (!joined.has(key)) curves.push([root]);
+    return { a, b, curves };
+  });
+  return { traces, precision };
+}
+
+// Boundary curves of every case of a sweep figure, one row per case.
+// Returns { traces: [{ label, a, b, curves }], xParam, yParam, precision, title }.
+export function planBoundaries(figure, params) {
+  const plan = planFigure(figure, params);
+  const sweep = plan.sweep;
+  const title = sweep ? `${sweep.title} — boundaries` : 'Boundaries';
+  if (!sweep) return { rows: 0, computeRow() { return null; }, assemble() { return { traces: [], precision: null, title }; } };
+  const seen = new Set();
+  const pairs = Object.values(sweep.boundaries).flat().filter(({ a, b }) => {
+    if (seen.has(`${a}-${b}`)) return false;
+    seen.add(`${a}-${b}`);
+    return true;
+  });
+  const cases = sweep.spec.cases;
+  return {
+    rows: cases.length,
+    computeRow(r) {
+      return traceCase(sweep, cases[r], pairs);
+    },
+    assemble(rows) {
+      const traces = [];
+      cases.forEach((cs, idx) => {
+        if (rows[idx]) for (const t of rows[idx].traces) traces.push({ label: cs.label, ...t });
+      });
+      return { traces, xParam: sweep.spec.x.param, yParam: sweep.spec.y.param, precision: rowsPrecision(rows), title };
+    }
+  };
+}
+
+// ---------------- Scenario comparison ----------------
+// Pinned scenarios (figure plus plan params each) computed side by side and
+// reduced to the optimal strategy per cell; every scenario after the first is
+// diffed against that baseline cell by cell. Only (x, y) sweeps on the same
+// grid can be diffed.
+
+const TRANSITION_COLORS = ['#a6cee3', '#1f78b4', '#b2df8a', '#33a02c', '#fb9a99', '#e31a1c',
+  '#fdbf6f', '#ff7f00', '#cab2d6', '#6a3d9a', '#ffff99', '#b15928'];
+
+// Transition codes: 0 unchanged, 1..12 from -> to in STRATEGIES order
+export function transitionCode(from, to) {
+  if (from === to) return 0;
+  return 1 + from * 3 + (to < from ? to : to - 1);
+}
+
+export const TRANSITION_LEGEND = {
+  0: { label: 'Unchanged', color: '#e8e8e8' },
+  ...Object.fromEntries(STRATEGIES.flatMap((a, i) => STRATEGIES.map((b, j) => i === j ? null
+    : [transitionCode(i, j), { label: `${a} → ${b}`, color: TRANSITION_COLORS[transitionCode(i, j) - 1], strategy: b }]).filter(Boolean)))
+};
+
+// Optimal strategy grid of one sweep result
+function bestGrid(result) {
+  const argmax = outputEvaluator({ type: 'argmax' });
+  return result.profits.SI.map((row, i) => row.map((v, j) => {
+    if (v === null) return null;
+    const profits = {};
+    for (const s of STRATEGIES) profits[s] = result.profits[s][i][j];
+    return argmax(profits);
+  }));
+}
+
+function sameAxis(u, v) {
+  return u.length === v.length && u.every((x, i) => Math.abs(x - v[i]) <= BOUNDARY_TOL);
+}
+
+// Cell-by-cell diff of two sweep datas on the same grid, cases paired in
+// order. Each result holds the transition map, the scenario's profits and
+// { cells, changed, transitions: { 'SI → LM': n }, profit: { best, SI, .. } }
+// with summarize()d profit changes over the cells feasible in both.
+// Returns sweep-shaped data, or { error } when the grids differ.
+export function compareSweeps(baseline, scenario) {
+  if (!baseline.results || !scenario.results) return { error: 'Only (x, y) maps can be compared' };
+  if (baseline.xParam !== scenario.xParam || baseline.yParam !== scenario.yParam
+    || !sameAxis(baseline.xAxis, scenario.xAxis) || !sameAxis(baseline.yAxis, scenario.yAxis)){
+    return { error: 'Grids differ (axis parameters, ranges or resolution)' };
+  }
+  const count = Math.min(baseline.results.length, scenario.results.length);
+  const results = [];
+  for (let idx=0;idx<count;idx++){
+    const a = baseline.results[idx], b = scenario.results[idx];
+    const from = bestGrid(a), to = bestGrid(b);
+    const deltas = { best: [] };
+    for (const s of STRATEGIES) deltas[s] = [];
+    const transitions = {};
+    let cells = 0, changed = 0;
+    const Z = from.map((row, i) => row.map((f, j) => {
+      const t = to[i][j];
+      if (f === null || t === null) return null;
+      cells++;
+      const code = transitionCode(f, t);
+      if (code){
+        changed++;
+        const label = TRANSITION_LEGEND[code].label;
+        transitions[label] = (transitions[label] || 0) + 1;
+      }
+      for (const s of STRATEGIES) deltas[s].push(b.profits[s][i][j] - a.profits[s][i][j]);
+      deltas.best.push(b.profits[STRATEGIES[t]][i][j] - a.profits[STRATEGIES[f]][i][j]);
+      return code;
+    }));
+    const profit = Object.fromEntries(Object.entries(deltas).map(([key, values]) => [key, summarize(values)]));
+    results.push({
+      label: a.label === b.label ? a.label : `${b.label} vs ${a.label}`.trim(), set: b.set,
+      layers: { transition: Z }, profits: b.profits, gap: b.gap,
+      stats: { cells, changed, transitions, profit }
+    });
+  }
+  return {
+    results, legends: { transition: TRANSITION_LEGEND }, boundaries: { transition: [] },
+    xAxis: scenario.xAxis, yAxis: scenario.yAxis, xParam: scenario.xParam, yParam: scenario.yParam
+  };
+}
+
+// params: { scenarios: [{ label, figure, params }] }, the first one the baseline.
+// Returns { scenarios: [{ label, figure, title, ...sweep data with layer best }],
+//           diffs: [{ label, baseline, ...compareSweeps }], precision, title }.
+export function planCompare({ scenarios }) {
+  const plans = scenarios.map(s => planFigure(s.figure, s.params));
+  const offsets = [];
+  let rows = 0;
+  for (const plan of plans){
+    offsets.push(rows);
+    rows += plan.rows;
+  }
+  const bestLegend = outputLegend({ type: 'argmax' });
+  return {
+    rows,
+    computeRow(r) {
+      let n = plans.length - 1;
+      while (offsets[n] > r) n--;
+      return plans[n].computeRow(r - offsets[n]);
+    },
+    assemble(rows) {
+      const datas = plans.map((plan, n) => plan.assemble(rows.slice(offsets[n], offsets[n] + plan.rows)));
+      const reduced = datas.map((data, n) => ({
+        label: scenarios[n].label, figure: scenarios[n].figure, title: data.title,
+        ...(data.results ? {
+          results: data.results.map(r => ({ label: r.label, set: r.set, layers: { best: bestGrid(r) }, profits: r.profits, gap: r.gap })),
+          legends: { best: bestLegend }, boundaries: { best: [] },
+          xAxis: data.xAxis, yAxis: data.yAxis, xParam: data.xParam, yParam: data.yParam
+        } : {})
+      }));
+      const diffs = datas.slice(1).map((data, n) => ({
+        label: scenarios[n + 1].label, baseline: scenarios[0].label, ...compareSweeps(datas[0], data)
+      }));
+      let precision = CLOSED_FORM;
+      for (const data of datas) if (data.precision) precision = worstPrecision(precision, data.precision);
+      return {
+        scenarios: reduced, diffs, precision,
+        title: `Scenario comparison: ${scenarios.map(s => s.label).join(' vs ')}`
+      };
+    }
+  };
+}
+
+const PLANS = {
+  fig1: planFig1,
+  fig2: planFig2,
+  fig3: planFig3,
+  fig4: planFig4,
+  fig5: planFig5,
+  fig6: planFig6,
+  custom: planCustom,
+  cycles: planCycles,
+  duopoly: planDuopoly,
+  environment: planEnvironment,
+  policy: planPolicy,
+  montecarlo: planMonteCarlo,
+  table: planTable,
+  compare: planCompare
+};
+
+// params: { spec, base, resolution, optimizer, demand }; spec defaults to the
+// paper's ({ scenarios } for 'compare', see planCompare).
+// '<figure>/boundaries' plans the traced regime boundaries of a sweep figure.
+// Throws on a figure id without a plan.
+export function planFigure(figure, params) {
+  if (figure.endsWith('/boundaries')) return planBoundaries(figure.slice(0, -'/boundaries'.length), params);
+  if (!Object.hasOwn(PLANS, figure)) throw new Error(`Unknown figure: ${figure}`);
+  return PLANS[figure](params);
+}
+
+export function buildFig1Grid(params) { return runPlan(planFig1(params)); }
+export function buildFig2Grid(params) { return runPlan(planFig2(params)); }
+export function buildFig3Grid(params) { return runPlan(planFig3(params)); }
+export function buildFig4Grid(params) { return runPlan(planFig4(params)); }
+export function buildFig5Grid(params) { return runPlan(planFig5(params)); }
+export function buildFig6Data(params) { return runPlan(planFig6(params)); }
+
+// Convenience wrapper for single point profits
+export function buildGridResults(params) { return runPlan(planTable(params)); }
@@ -0,0 +1,73 @@
+// utils/nash.js
+// Nash equilibria of small bimatrix games by support enumeration: for every
+// pair of equal-size supports, solve for the mixed strategies that make the
+// opponent indifferent across its support, and keep them when they are
+// probabilities and no strategy outside the support pays more. This finds
+// every equilibrium of a nondegenerate game (and the extreme ones of a
+// degenerate game); pure equilibria are the supports of size one.
+
+import { solveLinear } from './qp.js';
+
+// All k-subsets of {0..n-1}
+function combinations(n, k) {
+  const out = [];
+  const rec = (start, acc) => {
+    if (acc.length === k) { out.push(acc); return; }
+    for (let i=start;i<n;i++) rec(i+1, [...acc, i]);
+  };
+  rec(0, []);
+  return out;
+}
+
+// Mix over `support` that makes the opponent indifferent across `against`,
+// where Q[own][other] is the opponent's payoff when the mixing player plays
+// `own`; returns { mix, value } with the opponent's common payoff, or null
+function indifferenceMix(Q, support, against, n) {
+  const k = support.length;
+  // unknowns: probabilities on the support, then the opponent's payoff
+  const M = [], r = [];
+  for (const j of against){
+    M.push([...support.map(i => Q[i][j]), -1]);
+    r.push(0);
+  }
+  M.push([...support.map(() => 1), 0]);
+  r.push(1);
+  const z = solveLinear(M, r);
+  if (!z) return null;
+  const mix = new Array(n).fill(0);
+  support.forEach((i, s) => { mix[i] = z[s]; });
+  return { mix, value: z[k] };
+}
+
+// A[i][j], B[i][j]: payoffs of the row / column player when row plays i and
+// column plays j. Returns [{ row, col, payoffs: [row, col], pure }] with the
+// players' mixed strategies as probability vectors, pure equilibria first.
+export function nashEquilibria(A, B, tol=1e-10) {
+  const n = A.length, m = A[0].length;
+  // both players' payoffs indexed [column][row]
+  const At = A[0].map((_, j) => A.map(row => row[j]));
+  const Bt = B[0].map((_, j) => B.map(row => row[j]));
+  const found = [];
+  const same = (u, v) => u.every((x, i) => Math.abs(x - v[i]) <= 1e-9);
+  for (let k=1;k<=Math.min(n, m);k++){
+    for (const I of combinations(n, k)){
+      for (const J of combinations(m, k)){
+        // p keeps the column player indifferent over J, q the row player over I
+        const rowMix = indifferenceMix(B, I, J, n);
+        const colMix = indifferenceMix(At, J, I, m);
+        if (!rowMix || !colMix) continue;
+        const p = rowMix.mix, q = colMix.mix;
+        if (p.some(v => v < -tol) || q.some(v => v < -tol)) continue;
+        const rowPay = A.map(row => row.reduce((acc, v, j) => acc + v*q[j], 0));
+        const colPay = Bt.map(col => col.reduce((acc, v, i) => acc + v*p[i], 0));
+        const vRow = Math.max(...I.map(i => rowPay[i]));
+        const vCol = Math.max(...J.map(j => colPay[j]));
+        if (rowPay.some(v => v > vRow + tol) || colPay.some(v => v > vCol + tol)) continue;
+        const row = p.map(v => Math.max(0, v)), col = q.map(v => Math.max(0, v));
+        if (found.some(e => same(e.row, row) && same(e.col, col))) continue;
+        found.push({ row, col, payoffs: [vRow, vCol], pure: k === 1 });
+      }
+    }
+  }
+  return found;
+}
@@ -0,0 +1,180 @@
+// utils/qp.js
+// Exact solver for the small concave quadratic programs behind the leasing
+// strategies:  maximize q.x - 1/2 x'Hx  subject to  A x <= b,
+// with H positive definite.
+// Small programs (the two-period leasing strategies) enumerate active sets of
+// size <= n, solving each in closed form from its KKT system, smallest first,
+// until one is primal feasible with non-negative multipliers; by strict
+// concavity that candidate is the global optimum. Larger programs (the
+// multi-cycle strategies) run a primal active-set method from x = 0 instead,
+// which must then be feasible (b >= 0).
+
+// Solve the square system M z = r by Gaussian elimination with partial pivoting.
+// Returns null when M is (numerically) singular.
+export function solveLinear(M, r) {
+  const n = r.length;
+  const a = M.map((row, i) => [...row, r[i]]);
+  for (let col=0;col<n;col++){
+    let piv = col;
+    for (let row=col+1;row<n;row++) if (Math.abs(a[row][col]) > Math.abs(a[piv][col])) piv = row;
+    if (Math.abs(a[piv][col]) < 1e-14) return null;
+    [a[col], a[piv]] = [a[piv], a[col]];
+    for (let row=col+1;row<n;row++){
+      const f = a[row][col] / a[col][col];
+      for (let j=col;j<=n;j++) a[row][j] -= f * a[col][j];
+    }
+  }
+  const z = new Array(n).fill(0);
+  for (let row=n-1;row>=0;row--){
+    let s = a[row][n];
+    for (let j=row+1;j<n;j++) s -= a[row][j] * z[j];
+    z[row] = s / a[row][row];
+  }
+  return z;
+}
+
+// All subsets of {0..m-1} with at most `size` elements, smallest first
+function subsets(m, size) {
+  const out = [[]];
+  for (let s=1;s<=size;s++){
+    const rec = (start, acc) => {
+      if (acc.length === s) { out.push(acc); return; }
+      for (let i=start;i<m;i++) rec(i+1, [...acc, i]);
+    };
+    rec(0, []);
+  }
+  return out;
+}
+
+const cache = new Map();
+function activeSets(m, n) {
+  const key = `${m}:${n}`;
+  if (!cache.has(key)) cache.set(key, subsets(m, Math.min(m, n)));
+  return cache.get(key);
+}
+
+function objective(H, q, x) {
+  let v = 0;
+  for (let i=0;i<x.length;i++){
+    v += q[i]*x[i];
+    for (let j=0;j<x.length;j++) v -= 0.5 * x[i]*H[i][j]*x[j];
+  }
+  return v;
+}
+
+// KKT residual of (x, lambda): stationarity, primal feasibility, dual
+// feasibility and complementary slackness, as a single max-norm.
+function kktResidual(H, q, A, b, x, lambda) {
+  let res = 0;
+  for (let i=0;i<x.length;i++){
+    let g = q[i];
+    for (let j=0;j<x.length;j++) g -= H[i][j]*x[j];
+    for (let r=0;r<A.length;r++) g -= A[r][i]*lambda[r];
+    res = Math.max(res, Math.abs(g));
+  }
+  for (let r=0;r<A.length;r++){
+    let s = b[r];
+    for (let j=0;j<x.length;j++) s -= A[r][j]*x[j];
+    res = Math.max(res, -s, -lambda[r], Math.abs(s*lambda[r]));
+  }
+  return res;
+}
+
+// Largest program solved by enumeration
+const ENUMERATE_MAX_VARS = 3;
+
+// Returns { x, value, lambda, active, residual }.
+export function solveConcaveQP({ H, q, A, b, tol=1e-12 }) {
+  if (q.length > ENUMERATE_MAX_VARS) return solveActiveSet({ H, q, A, b, tol });
+  const n = q.length;
+  const m = A.length;
+  let best = null;
+  for (const W of activeSets(m, n)){
+    const dim = n + W.length;
+    const M = Array.from({length:dim}, ()=> new Array(dim).fill(0));
+    const r = new Array(dim).fill(0);
+    for (let i=0;i<n;i++){
+      for (let j=0;j<n;j++) M[i][j] = H[i][j];
+      r[i] = q[i];
+    }
+    W.forEach((row, w) => {
+      for (let j=0;j<n;j++){ M[n + w][j] = A[row][j]; M[j][n + w] = A[row][j]; }
+      r[n + w] = b[row];
+    });
+    const z = solveLinear(M, r);
+    if (!z) continue;
+    const x = z.slice(0, n);
+    let feasible = true;
+    for (let row=0;row<m && feasible;row++){
+      let s = 0;
+      for (let j=0;j<n;j++) s += A[row][j]*x[j];
+      if (s > b[row] + tol) feasible = false;
+    }
+    if (!feasible) continue;
+    const value = objective(H, q, x);
+    const lambda = new Array(m).fill(0);
+    W.forEach((row, w) => { lambda[row] = z[n + w]; });
+    const residual = kktResidual(H, q, A, b, x, lambda);
+    // on ties (degenerate vertices) keep the candidate that satisfies KKT best
+    if (!best || value > best.value + tol || (value > best.value - tol && residual < best.residual)){
+      best = { x, value, lambda, active: W, residual };
+    }
+    // feasible with non-negative multipliers: KKT holds, so this is the optimum
+    if (lambda.every(l => l >= -tol)) break;
+  }
+  return best;
+}
+
+// Primal active-set method from the feasible start x = 0. Each iteration
+// solves the equality-constrained step on the working set W; a zero step
+// with non-negative multipliers is optimal, otherwise the most negative
+// multiplier leaves W, and a non-zero step is cut at the first blocking
+// constraint, which joins W (lowest index on ties, against cycling).
+function solveActiveSet({ H, q, A, b, tol }) {
+  const n = q.length;
+  const m = A.length;
+  if (b.some(v => v < 0)) throw new Error('solveConcaveQP: x = 0 must be feasible for the active-set method');
+  const x = new Array(n).fill(0);
+  let W = [];
+  let lambda = new Array(m).fill(0);
+  const maxIterations = 10 * (n + m);
+  for (let it=0;it<maxIterations;it++){
+    const dim = n + W.length;
+    const M = Array.from({length:dim}, ()=> new Array(dim).fill(0));
+    const r = new Array(dim).fill(0);
+    for (let i=0;i<n;i++){
+      let g = q[i];
+      for (let j=0;j<n;j++){ M[i][j] = H[i][j]; g -= H[i][j]*x[j]; }
+      r[i] = g;
+    }
+    W.forEach((row, w) => {
+      for (let j=0;j<n;j++){ M[n + w][j] = A[row][j]; M[j][n + w] = A[row][j]; }
+    });
+    const z = solveLinear(M, r);
+    if (!z) break;
+    const p = z.slice(0, n);
+    lambda = new Array(m).fill(0);
+    W.forEach((row, w) => { lambda[row] = z[n + w]; });
+    if (p.every(v => Math.abs(v) <= tol)){
+      let drop = -1;
+      W.forEach((row, w) => { if (lambda[row] < -tol && (drop < 0 || lambda[row] < lambda[W[drop]])) drop = w; });
+      if (drop < 0) break;
+      lambda[W[drop]] = 0;
+      W = W.filter((_, w) => w !== drop);
+      continue;
+    }
+    let alpha = 1;
+    let blocking = -1;
+    for (let row=0;row<m;row++){
+      if (W.includes(row)) continue;
+      let ap = 0, slack = b[row];
+      for (let j=0;j<n;j++){ ap += A[row][j]*p[j]; slack -= A[row][j]*x[j]; }
+      if (ap <= tol) continue;
+      const step = Math.max(0, slack) / ap;
+      if (step < alpha){ alpha = step; blocking = row; }
+    }
+    for (let j=0;j<n;j++) x[j] += alpha * p[j];
+    if (blocking >= 0) W = [...W, blocking];
+  }
+  return { x, value: objective(H, q, x), lambda, active: W, residual: kktResidual(H, q, A, b, x, lambda) };
+}
@@ -0,0 +1,50 @@
+// utils/random.js
+// Seeded pseudo-random numbers for reproducible sampling: mulberry32 uniforms
+// and samplers for the parameter distributions of the Monte Carlo mode.
+
+// Uniform [0, 1) generator from a 32-bit seed
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 32-bit seed mixed from integers, so every (seed, stream) pair gets its own sequence
+export function seedFor(...ints) {
+  let h = 0x811C9DC5;
+  for (const n of ints){
+    h = Math.imul(h ^ (n >>> 0), 0x01000193);
+    h ^= h >>> 13;
+  }
+  return h >>> 0;
+}
+
+// Distributions:
+//   { type: 'uniform', min, max }
+//   { type: 'normal', mean, sd }
+//   { type: 'triangular', min, mode, max }
+export function sampleDistribution(dist, rand) {
+  switch (dist.type) {
+    case 'uniform': return dist.min + (dist.max - dist.min) * rand();
+    case 'normal': {
+      // Box-Muller; 1 - rand() keeps the logarithm finite
+      const u = 1 - rand(), v = rand();
+      return dist.mean + dist.sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+    case 'triangular': {
+      // inverse CDF
+      const u = rand();
+      const { min, mode, max } = dist;
+      const split = (mode - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    default: throw new Error(`Unknown distribution: ${dist.type}`);
+  }
+}
@@ -0,0 +1,332 @@
+// utils/report.js
+// Management report: a chosen set of figures run at one parameter point,
+// assembled into a standalone HTML document (print it to PDF) with the
+// parameter table, the recommended strategy with its profit margins and how
+// far each parameter can move before it changes, every figure as inline SVG
+// charts, and generated sentences describing the figures' regime boundaries
+// (see regionFindings, durabilityFindings). Shared by the report API route
+// and scripts/report.mjs; output is deterministic for given inputs.
+
+import { MODEL_VERSION, PARAMS, STRATEGY_NAMES, BOUNDARY_TOL, planFigure, runPlan, boundaryName } from './model.js';
+import { DEMAND_MODELS } from './demand.js';
+import { heatmapSVG, lineChartSVG } from './svg.js';
+
+// Figures a report can include: the (x, y) maps and Fig 6's durability curves
+export const REPORT_FIGURES = ['fig1', 'fig2', 'fig3', 'fig4', 'fig5', 'fig6', 'custom', 'cycles', 'duopoly', 'environment', 'policy'];
+export const DEFAULT_REPORT_FIGURES = ['fig1', 'fig3', 'fig4'];
+export const DEFAULT_REPORT_TITLE = 'Circular economy strategy report';
+
+// Regions filling less of their bounding range are flagged as irregular
+const REGULAR_SHARE = 0.9;
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const pct = (v) => `${Math.round(v * 100)}%`;
+
+// Symbol of a model parameter (or the raw axis name, e.g. cycles)
+function symbol(param) {
+  return PARAMS[param] ? PARAMS[param].label : param;
+}
+
+function axisLabel(param) {
+  return PARAMS[param] ? `${PARAMS[param].label} (${PARAMS[param].name})` : param;
+}
+
+// Category name in sentences: "Lease modular (LM)", "Modular (SM)", "Lease in both"
+function categoryName(category) {
+  if (!category.strategy) return category.label;
+  return `${category.label === category.strategy ? STRATEGY_NAMES[category.strategy] : category.label} (${category.strategy})`;
+}
+
+// Axis values to the precision of the midpoints between grid values
+function formatter(axis) {
+  const step = axis.length > 1 ? Math.abs(axis[1] - axis[0]) : 1;
+  const digits = Math.max(2, Math.ceil(-Math.log10(step / 2)));
+  return (v) => String(+v.toFixed(digits));
+}
+
+// Condition on one axis for a region spanning indices lo..hi of it when the
+// feasible cells span flo..fhi: bounds halfway to the next grid value, or
+// inclusive ones on integer axes; null when the region spans the feasible range
+function axisCondition(axis, lo, hi, flo, fhi, name) {
+  const integer = axis.every(Number.isInteger);
+  const num = formatter(axis);
+  const lower = lo > flo ? (integer ? axis[lo] : (axis[lo-1] + axis[lo]) / 2) : null;
+  const upper = hi < fhi ? (integer ? axis[hi] : (axis[hi] + axis[hi+1]) / 2) : null;
+  const [lt, gt] = integer ? ['≤', '≥'] : ['<', '>'];
+  if (lower !== null && upper !== null) return `${num(lower)} ${lt} ${name} ${lt} ${num(upper)}`;
+  if (lower !== null) return `${name} ${gt} ${num(lower)}`;
+  if (upper !== null) return `${name} ${lt} ${num(upper)}`;
+  return null;
+}
+
+function emptyBox() {
+  return { count: 0, i0: Infinity, i1: -Infinity, j0: Infinity, j1: -Infinity };
+}
+
+function grow(box, i, j) {
+  box.count++;
+  box.i0 = Math.min(box.i0, i); box.i1 = Math.max(box.i1, i);
+  box.j0 = Math.min(box.j0, j); box.j1 = Math.max(box.j1, j);
+}
+
+// Sentences describing the regions of a categorical map Z[i][j] at
+// (xAxis[j], yAxis[i]): each category's bounding range as conditions on the
+// axes, e.g. "Lease modular (LM) dominates for c < 0.12 when γ > 0.9 (38% of
+// the map)", largest region first, then the strategies of the legend that
+// never win. Null cells (infeasible) are left out. The bounds are grid
+// estimates; regions filling less than REGULAR_SHARE of their range say so.
+// Returns [{ code, share, text }].
+export function regionFindings({ Z, xAxis, yAxis, legend={}, xName='x', yName='y' }) {
+  const feasible = emptyBox();
+  const regions = new Map();
+  for (let i=0;i<yAxis.length;i++){
+    for (let j=0;j<xAxis.length;j++){
+      const v = Z[i][j];
+      if (v === null || !Number.isFinite(v)) continue;
+      grow(feasible, i, j);
+      if (!regions.has(v)) regions.set(v, emptyBox());
+      grow(regions.get(v), i, j);
+    }
+  }
+  if (!feasible.count) return [];
+  const findings = [...regions.entries()].sort((a, b) => b[1].count - a[1].count || a[0] - b[0]).map(([code, box]) => {
+    const category = legend[code] || { label: String(code) };
+    const verb = category.strategy ? 'dominates' : 'applies';
+    const share = box.count / feasible.count;
+    if (box.count === feasible.count) return { code, share, text: `${categoryName(category)} ${verb} throughout the map` };
+    const x = axisCondition(xAxis, box.j0, box.j1, feasible.j0, feasible.j1, xName);
+    const y = axisCondition(yAxis, box.i0, box.i1, feasible.i0, feasible.i1, yName);
+    if (!x && !y){
+      // spread over the whole range, around the other regions
+      return { code, share, text: `${categoryName(category)} ${verb} ${share >= 0.5 ? 'across most of' : 'in parts of'} the map (${pct(share)})` };
+    }
+    const place = x && y ? `for ${x} when ${y}` : x ? `for ${x}` : `when ${y}`;
+    let inRange = 0;
+    for (let i=box.i0;i<=box.i1;i++) for (let j=box.j0;j<=box.j1;j++) if (Z[i][j] !== null && Number.isFinite(Z[i][j])) inRange++;
+    const fill = box.count / inRange;
+    const note = fill < REGULAR_SHARE ? `; it fills ${pct(fill)} of that range` : '';
+    return { code, share, text: `${categoryName(category)} ${verb} ${place} (${pct(share)} of the map${note})` };
+  });
+  for (const [code, category] of Object.entries(legend)){
+    if (category.strategy && !regions.has(Number(code))){
+      findings.push({ code: Number(code), share: 0, text: `${categoryName(category)} is never preferred on this map` });
+    }
+  }
+  return findings;
+}
+
+// Sentences on one Fig 6 series: the optimal strategy's bands along the base
+// cost c0, and the ranges of the optimal durabilities and profit
+export function durabilityFindings(series) {
+  const x = series.c0_vals;
+  const num = formatter(x);
+  const bands = [];
+  series.strategies.forEach((s, n) => {
+    const last = bands[bands.length - 1];
+    if (last && last.strategy === s) last.hi = n;
+    else bands.push({ strategy: s, lo: n, hi: n });
+  });
+  const parts = bands.filter(b => b.strategy).map(b => {
+    const where = axisCondition(x, b.lo, b.hi, 0, x.length - 1, 'c0');
+    return `${STRATEGY_NAMES[b.strategy]} (${b.strategy})${where ? ` for ${where}` : ' throughout'}`;
+  });
+  const findings = [];
+  const prefix = series.label ? `${series.label}: ` : '';
+  if (parts.length) findings.push(`${prefix}the optimal strategy is ${parts.join(', then ')}.`);
+  const range = (values) => {
+    const v = values.filter(y => y !== null);
+    return v.length ? `${Math.min(...v).toFixed(3)}–${Math.max(...v).toFixed(3)}` : '—';
+  };
+  findings.push(`${prefix}optimal δ1 ranges over ${range(series.opt_d1)}, δ2 over ${range(series.opt_d2)} and the profit over ${range(series.opt_profit)} for c0 from ${num(x[0])} to ${num(x[x.length - 1])}.`);
+  return findings;
+}
+
+// [suffix, title, svg text] charts of a figure's data: one heatmap per case
+// and layer of a sweep (with the traced boundaries of `traced` when given),
+// Fig 6's durability and profit curves
+export function figureCharts(data, traced) {
+  if (data.results){
+    const charts = [];
+    data.results.forEach((r, idx) => {
+      for (const [layer, Z] of Object.entries(r.layers)){
+        const names = new Set((data.boundaries[layer] || []).map(boundaryName));
+        const curves = traced
+          ? traced.traces.filter(t => t.label === r.label && names.has(boundaryName(t))).flatMap(t => t.curves)
+          : [];
+        const suffix = data.results.length > 1 ? `${layer}-${idx + 1}` : layer;
+        const title = [data.title, r.label, Object.keys(r.layers).length > 1 ? layer : ''].filter(Boolean).join(' — ');
+        charts.push([suffix, title, heatmapSVG({
+          Z, xAxis: data.xAxis, yAxis: data.yAxis, title,
+          categorical: !!data.legends[layer], legend: data.legends[layer], curves,
+          xLabel: axisLabel(data.xParam), yLabel: axisLabel(data.yParam)
+        })]);
+      }
+    });
+    return charts;
+  }
+  if (data.out){
+    const series = data.out.flatMap(s => [
+      { name: `δ1 (${s.label})`, x: s.c0_vals, y: s.opt_d1 },
+      { name: `δ2 (${s.label})`, x: s.c0_vals, y: s.opt_d2 }
+    ]);
+    const profits = data.out.map(s => ({ name: `π (${s.label})`, x: s.c0_vals, y: s.opt_profit }));
+    return [
+      ['durability', data.title, lineChartSVG({ series, title: data.title, xLabel: 'base cost c0', yLabel: 'optimal durability', yRange: [0, 1] })],
+      ['profit', `${data.title} — profit`, lineChartSVG({ series: profits, title: data.title, xLabel: 'base cost c0', yLabel: 'optimal profit' })]
+    ];
+  }
+  return [];
+}
+
+// Findings of a figure's data, grouped by chart title: [{ title, sentences }]
+function figureFindings(data) {
+  if (data.out) return [{ title: data.title, sentences: data.out.flatMap(durabilityFindings) }];
+  if (!data.results) return [];
+  const groups = [];
+  for (const r of data.results){
+    for (const [layer, Z] of Object.entries(r.layers)){
+      const legend = data.legends[layer];
+      // continuous layers (e.g. required policy levels) have no regions
+      if (!legend) continue;
+      const findings = regionFindings({
+        Z, xAxis: data.xAxis, yAxis: data.yAxis, legend, xName: symbol(data.xParam), yName: symbol(data.yParam)
+      });
+      const title = [r.label, Object.keys(r.layers).length > 1 ? layer : ''].filter(Boolean).join(' — ') || data.title;
+      groups.push({ title, sentences: findings.map(f => `${f.text}.`) });
+    }
+  }
+  return groups;
+}
+
+function demandText(demand) {
+  if (!demand) return DEMAND_MODELS.uniform.label;
+  const { type, ...rest } = demand;
+  const values = Object.entries(rest).map(([key, v]) => `${key} = ${v}`).join(', ');
+  return values ? `${DEMAND_MODELS[type].label} (${values})` : DEMAND_MODELS[type].label;
+}
+
+function table(head, rows) {
+  const th = head.map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const body = rows.map(row => `<tr>${row.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n<thead><tr>${th}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+// Parameters of the point, and the demand model and optimizer every figure
+// (the multi-cycle and duopoly ones included) is computed under
+function parameterSection(point, figures) {
+  const rows = Object.entries(PARAMS).map(([key, p]) => [p.label, p.name, String(point.base[key])]);
+  rows.push(['', 'demand model', demandText(point.demand)]);
+  rows.push(['', 'leasing optimizer', point.optimizer]);
+  const resolutions = [...new Set(figures.map(f => f.params.resolution).filter(Boolean))];
+  if (resolutions.length) rows.push(['', 'map resolution', resolutions.join(', ')]);
+  return `<h2>Parameters</h2>\n${table(['Symbol', 'Parameter', 'Value'], rows)}`;
+}
+
+function switchText(sw, num) {
+  return sw.strategy ? `${num(sw.value)} → ${sw.strategy}` : `none (to ${num(sw.value)})`;
+}
+
+function recommendationSection(data) {
+  if (!data.ranking) return '<h2>Recommended strategy</h2>\n<p>No solution at this point.</p>';
+  const [top, next] = data.ranking;
+  const name = (s) => `${STRATEGY_NAMES[s]} (${s})`;
+  const relative = top.profit > 0 ? ` (${pct(top.lead / top.profit)} of its profit)` : '';
+  const margin = top.lead <= BOUNDARY_TOL
+    ? `tied with ${name(next.strategy)}`
+    : `${top.lead.toFixed(5)} ahead of ${name(next.strategy)}${relative}`;
+  const lines = [`<h2>Recommended strategy</h2>`];
+  lines.push(`<p class="headline">${escapeHtml(`${name(top.strategy)}: profit π = ${top.profit.toFixed(5)}, ${margin}.`)}</p>`);
+  lines.push(table(['Rank', 'Strategy', 'Profit', 'Revenue', 'Profit margin', 'Lead over next', 'Behind best'], data.ranking.map((r, n) => {
+    const sol = data.solutions[r.strategy];
+    return [
+      String(n + 1), name(r.strategy), r.profit.toFixed(5), sol.revenue.toFixed(5),
+      sol.revenue > 0 ? pct(sol.profit / sol.revenue) : '—',
+      n + 1 < data.ranking.length ? r.lead.toFixed(5) : '—', r.behind.toFixed(5)
+    ];
+  })));
+  if (data.sensitivity.length){
+    lines.push('<h3>Robustness</h3>');
+    lines.push('<p>How far each parameter can move, the others fixed, before another strategy becomes optimal (the switch value and the new best strategy).</p>');
+    lines.push(table(['Parameter', 'Current', 'Switch below', 'Switch above'], data.sensitivity.map(row => {
+      const num = (v) => String(+v.toFixed(4));
+      return [`${symbol(row.param)} (${PARAMS[row.param].name})`, num(row.value), switchText(row.lower, num), switchText(row.upper, num)];
+    })));
+  }
+  return lines.join('\n');
+}
+
+function specText(spec) {
+  if (!spec || !spec.cases) return '';
+  const fixed = Object.entries(spec.fixed || {}).map(([key, v]) => `${symbol(key)} = ${v}`);
+  const cases = spec.cases.map(cs => cs.label).filter(Boolean);
+  const parts = [];
+  if (fixed.length) parts.push(`fixed ${fixed.join(', ')}`);
+  if (cases.length) parts.push(`cases ${cases.join('; ')}`);
+  return parts.length ? `<p class="note">${escapeHtml(parts.join(' · '))}</p>` : '';
+}
+
+function figureSection({ figure, params }, data) {
+  const lines = [`<section class="figure">`, `<h2>${escapeHtml(data.title || figure)}</h2>`, specText(params.spec)];
+  for (const [, title, svg] of figureCharts(data)) lines.push(`<figure>${svg}<figcaption>${escapeHtml(title)}</figcaption></figure>`);
+  const groups = figureFindings(data);
+  if (groups.length){
+    lines.push('<h3>Findings</h3>');
+    for (const group of groups){
+      if (groups.length > 1) lines.push(`<h4>${escapeHtml(group.title)}</h4>`);
+      lines.push(`<ul>\n${group.sentences.map(s => `<li>${escapeHtml(s)}</li>`).join('\n')}\n</ul>`);
+    }
+  }
+  if (data.precision && data.precision.method !== 'closed-form'){
+    lines.push(`<p class="note">Numerical precision: ${escapeHtml(data.precision.method)}, error up to ${data.precision.error.toExponential(2)}.</p>`);
+  }
+  lines.push('</section>');
+  return lines.filter(Boolean).join('\n');
+}
+
+const STYLE = `body { font-family: Arial, sans-serif; max-width: 900px; margin: 24px auto; padding: 0 16px; color: #222; }
+h1 { margin-bottom: 4px; }
+table { border-collapse: collapse; margin: 8px 0; font-size: 13px; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: right; }
+th:first-child, td:first-child, td:nth-child(2) { text-align: left; }
+figure { margin: 12px 0; }
+figure svg { max-width: 100%; height: auto; }
+figcaption, .note { font-size: 12px; color: #666; }
+.headline { font-size: 16px; font-weight: bold; }
+@media print { section.figure { page-break-before: always; } figure { page-break-inside: avoid; } }`;
+
+function computeFigure(figure, params) {
+  return runPlan(planFigure(figure, params));
+}
+
+// HTML report of `figures` ([{ figure, params }] as planParams gives them)
+// and the single-point table at `point` ({ base, optimizer, demand }).
+// `compute(figure, params)` returns a plan's data (the API route passes its
+// cache); `date` is printed when given.
+export function generateReport({ point, figures, title=DEFAULT_REPORT_TITLE, date, compute=computeFigure }) {
+  const sections = [
+    parameterSection(point, figures),
+    recommendationSection(compute('table', point)),
+    ...figures.map(f => figureSection(f, compute(f.figure, f.params)))
+  ];
+  const subtitle = [`model ${MODEL_VERSION}`, date].filter(Boolean).join(' · ');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+${STYLE}
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="note">${escapeHtml(subtitle)}</p>
+${sections.join('\n')}
+<p class="note">Findings are read off the map grids: region bounds lie halfway between grid values and are as precise as the map resolution.</p>
+</body>
+</html>
+`;
+}
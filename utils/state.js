@@ -0,0 +1,305 @@
+// utils/state.js
+// Simulator view state (sliders, figure, optimizer, demand model, map view and
+// the current figure's sweep spec): validation/clamping, query-string encoding for
+// shareable links, named scenarios and scenarios pinned for comparison, both
+// persisted in localStorage.
+
+import { PARAMS, DEFAULT_SPECS, STRATEGIES, MAX_CYCLES, IMPACT_METRICS, POLICY_LEVERS, DURABILITY_COSTS, relevantBase } from './model.js';
+import { UNIFORM_DEMAND } from './demand.js';
+
+// Slider ranges of the simulator controls
+export const CONTROLS = {
+  d1: { min: 0.05, max: 0.99, step: 0.01 },
+  d2: { min: 0.01, max: 0.98, step: 0.01 },
+  gamma: { min: 0.5, max: 1.5, step: 0.01 },
+  c: { min: 0.01, max: 0.35, step: 0.005 },
+  k: { min: 0.0, max: 0.05, step: 0.001 },
+  resolution: { min: 20, max: 100, step: 4 }
+};
+
+export const FIGURES = ['fig1', 'fig2', 'fig3', 'fig4', 'fig5', 'fig6', 'custom', 'cycles', 'duopoly', 'environment', 'policy', 'montecarlo', 'table'];
+export const OPTIMIZERS = ['exact', 'grid'];
+// What (x, y) maps show: the choice regions, the best-vs-second-best profit
+// gap or one strategy's profit surface, drawn as a heatmap or contours
+export const VIEWS = ['choice', 'gap', ...STRATEGIES];
+export const SURFACES = ['heatmap', 'contour'];
+// `trace` overlays regime boundaries traced by root finding (planBoundaries)
+
+export const DEFAULT_STATE = {
+  d1: 0.5, d2: 0.2, gamma: 1.0, c: 0.15, k: 0.0,
+  resolution: 48, figure: 'fig1', optimizer: 'exact', demand: UNIFORM_DEMAND, spec: null,
+  view: 'choice', surface: 'heatmap', trace: false
+};
+
+// Short query keys for the slider values
+const QUERY_KEYS = { d1: 'd1', d2: 'd2', gamma: 'g', c: 'c', k: 'k', resolution: 'res' };
+
+function snap(v, { min, max, step }) {
+  const clamped = Math.min(max, Math.max(min, v));
+  const snapped = min + Math.round((clamped - min) / step) * step;
+  // trim float noise from the step arithmetic
+  return parseFloat(Math.min(max, snapped).toFixed(6));
+}
+
+function finite(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+// Spec size limits: grid steps of an axis or search (the simulator slider
+// stops at 100) and comparison cases, which multiply the rows of a plan
+export const MAX_RESOLUTION = 200;
+export const MAX_CASES = 8;
+
+// Monte Carlo limits: draws per case and the seed range of the PRNG
+const MAX_DRAWS = 20000;
+const MAX_SEED = 0xFFFFFFFF;
+
+function validDistribution(d) {
+  if (!d || typeof d !== 'object') return false;
+  switch (d.type) {
+    case 'uniform': return finite(d.min) && finite(d.max) && d.min < d.max;
+    case 'normal': return finite(d.mean) && finite(d.sd) && d.sd > 0;
+    case 'triangular': return finite(d.min) && finite(d.mode) && finite(d.max) && d.min < d.max && d.min <= d.mode && d.mode <= d.max;
+    default: return false;
+  }
+}
+
+function validCostTable(points) {
+  if (!Array.isArray(points) || points.length < 2) return false;
+  if (!points.every(p => Array.isArray(p) && p.length === 2 && finite(p[0]) && finite(p[1]))) return false;
+  return points.every((p, i) => i === 0 || p[0] > points[i-1][0]);
+}
+
+// Shape parameters accepted for beta valuations; far outside this range the
+// tabulated quantiles of ./demand.js lose their accuracy
+const BETA_SHAPE = { min: 0.2, max: 20 };
+
+// Demand model parameters (see DEMAND_MODELS in ./demand.js)
+export function validDemand(d) {
+  if (!d || typeof d !== 'object') return false;
+  switch (d.type) {
+    case 'uniform': return true;
+    case 'segments': return finite(d.share) && finite(d.scale) && d.share >= 0 && d.share <= 1 && d.scale > 0 && d.scale <= 1;
+    case 'beta': return [d.a, d.b].every(v => finite(v) && v >= BETA_SHAPE.min && v <= BETA_SHAPE.max);
+    case 'discounted': return finite(d.factor) && d.factor > 0 && d.factor <= 1;
+    default: return false;
+  }
+}
+
+// Structural check of a sweep spec for `figure`; returns the spec or null
+export function validateSpec(figure, spec) {
+  const ref = DEFAULT_SPECS[figure];
+  if (!ref || !spec || typeof spec !== 'object') return null;
+  const validSet = (set) => set && typeof set === 'object'
+    && Object.entries(set).every(([key, v]) => Object.hasOwn(PARAMS, key) && finite(v));
+  for (const axis of ['x', 'y']){
+    if (!ref[axis]) continue;
+    const ax = spec[axis];
+    if (!ax || !finite(ax.min) || !finite(ax.max) || ax.min === ax.max) return null;
+    // only custom maps choose their axis parameters
+    if (figure === 'custom' ? !Object.hasOwn(PARAMS, ax.param) : ax.param !== ref[axis].param) return null;
+    if (ref[axis].steps !== undefined && !(Number.isInteger(ax.steps) && ax.steps >= 2 && ax.steps <= MAX_RESOLUTION)) return null;
+  }
+  if (spec.y && spec.x.param === spec.y.param) return null;
+  if (!validSet(spec.fixed)) return null;
+  if (!Array.isArray(spec.cases) || spec.cases.length === 0 || spec.cases.length > MAX_CASES) return null;
+  if (!spec.cases.every(cs => cs && typeof cs.label === 'string' && validSet(cs.set))) return null;
+  if (ref.output){
+    const o = spec.output;
+    const isStrategy = (s) => STRATEGIES.includes(s);
+    const ok = o && (
+      o.type === 'argmax'
+      || ((o.type === 'compare' || o.type === 'difference') && isStrategy(o.a) && isStrategy(o.b))
+      || (o.type === 'profit' && isStrategy(o.strategy))
+    );
+    if (!ok) return null;
+  }
+  if (ref.search){
+    const s = spec.search;
+    // durabilities in [0, 1]
+    if (!s || !finite(s.min) || !finite(s.max) || !(s.min >= 0 && s.min < s.max && s.max <= 1)) return null;
+    if (!(Number.isInteger(s.steps) && s.steps >= 2 && s.steps <= MAX_RESOLUTION)) return null;
+  }
+  if (ref.refurbish){
+    // whole numbers of use cycles, non-negative refurbishment costs
+    const { min, max } = spec.x;
+    if (!(Number.isInteger(min) && Number.isInteger(max) && min >= 2 && min < max && max <= MAX_CYCLES)) return null;
+    const r = spec.refurbish;
+    if (!r || !finite(r.r1) || !finite(r.r2) || r.r1 < 0 || r.r2 < 0) return null;
+  }
+  if (ref.distributions){
+    const d = spec.distributions;
+    if (!d || typeof d !== 'object' || Object.keys(d).length === 0) return null;
+    if (!Object.entries(d).every(([key, dist]) => Object.hasOwn(PARAMS, key) && validDistribution(dist))) return null;
+    if (!(Number.isInteger(spec.draws) && spec.draws >= 1 && spec.draws <= MAX_DRAWS)) return null;
+    if (!(Number.isInteger(spec.seed) && spec.seed >= 0 && spec.seed <= MAX_SEED)) return null;
+  }
+  if (ref.impact){
+    // non-negative emission factors, a recovery share and a known metric
+    const f = spec.impact;
+    if (!f || !finite(f.unit) || !finite(f.module) || f.unit < 0 || f.module < 0) return null;
+    if (!finite(f.recovery) || f.recovery < 0 || f.recovery > 1 || !Object.hasOwn(IMPACT_METRICS, f.metric)) return null;
+  }
+  if (ref.policy){
+    // non-negative lever levels (take-back a share), a searched lever other
+    // than the take-back constraint and a move between two strategies
+    const levels = spec.policy;
+    if (!levels || !Object.keys(POLICY_LEVERS).every(key => finite(levels[key]) && levels[key] >= 0)) return null;
+    if (levels.takeBack > 1) return null;
+    if (!Object.hasOwn(POLICY_LEVERS, spec.lever) || spec.lever === 'takeBack' || !finite(spec.max) || spec.max <= 0) return null;
+    if (!STRATEGIES.includes(spec.to) || !(spec.from === 'any' || STRATEGIES.includes(spec.from)) || spec.from === spec.to) return null;
+  }
+  if (ref.durabilityCost){
+    // one of DURABILITY_COSTS; tables need two or more points with rising δ
+    const fn = spec.durabilityCost;
+    if (!fn || !Object.hasOwn(DURABILITY_COSTS, fn.type)) return null;
+    if (fn.type === 'quadratic' && !(finite(fn.a1) && finite(fn.a2))) return null;
+    if (fn.type === 'exponential' && !['a1', 'b1', 'a2', 'b2'].every(key => finite(fn[key]))) return null;
+    if (fn.type === 'table' && !(validCostTable(fn.d1) && validCostTable(fn.d2))) return null;
+  }
+  return spec;
+}
+
+// Clamps every field into range, snaps to slider steps and enforces δ2 < δ1.
+// Unknown or malformed fields fall back to the defaults.
+export function sanitizeState(state) {
+  const out = { ...DEFAULT_STATE };
+  for (const key of Object.keys(CONTROLS)){
+    const v = typeof state[key] === 'string' ? parseFloat(state[key]) : state[key];
+    if (finite(v)) out[key] = snap(v, CONTROLS[key]);
+  }
+  if (out.d2 >= out.d1) out.d2 = snap(out.d1 - CONTROLS.d2.step, CONTROLS.d2);
+  if (out.d2 >= out.d1) out.d1 = snap(out.d2 + CONTROLS.d1.step, CONTROLS.d1);
+  if (FIGURES.includes(state.figure)) out.figure = state.figure;
+  if (OPTIMIZERS.includes(state.optimizer)) out.optimizer = state.optimizer;
+  if (validDemand(state.demand)) out.demand = state.demand;
+  if (VIEWS.includes(state.view)) out.view = state.view;
+  if (SURFACES.includes(state.surface)) out.surface = state.surface;
+  out.trace = state.trace === true || state.trace === '1';
+  out.spec = state.spec ? validateSpec(out.figure, state.spec) : null;
+  return out;
+}
+
+// Query object for a state; the spec is only included when it is not the default
+export function encodeState(state) {
+  const query = { fig: state.figure };
+  for (const [key, q] of Object.entries(QUERY_KEYS)) query[q] = String(state[key]);
+  if (state.optimizer !== DEFAULT_STATE.optimizer) query.opt = state.optimizer;
+  if (state.demand && state.demand.type !== 'uniform') query.dm = JSON.stringify(state.demand);
+  if (state.view && state.view !== DEFAULT_STATE.view) query.view = state.view;
+  if (state.surface && state.surface !== DEFAULT_STATE.surface) query.plot = state.surface;
+  if (state.trace) query.trace = '1';
+  if (state.spec && JSON.stringify(state.spec) !== JSON.stringify(DEFAULT_SPECS[state.figure])){
+    query.spec = JSON.stringify(state.spec);
+  }
+  return query;
+}
+
+// Query of the report route (pages/api/report.js) for `figures` at a state's
+// point; the state's spec goes along when its figure is reported and it is
+// not the default
+export function reportQuery(state, figures, title) {
+  const query = { figures: figures.join(','), resolution: String(state.resolution) };
+  for (const key of ['d1', 'd2', 'gamma', 'c', 'k']) query[key] = String(state[key]);
+  if (state.optimizer !== DEFAULT_STATE.optimizer) query.optimizer = state.optimizer;
+  if (state.demand && state.demand.type !== 'uniform') query.demand = JSON.stringify(state.demand);
+  if (state.spec && figures.includes(state.figure) && JSON.stringify(state.spec) !== JSON.stringify(DEFAULT_SPECS[state.figure])){
+    query.specs = JSON.stringify({ [state.figure]: state.spec });
+  }
+  if (title) query.title = title;
+  return query;
+}
+
+// Parses a query object (values may be strings or arrays) into a sanitized state
+export function decodeState(query) {
+  const first = (v) => Array.isArray(v) ? v[0] : v;
+  const raw = { figure: first(query.fig), optimizer: first(query.opt), view: first(query.view), surface: first(query.plot),
+    trace: first(query.trace) };
+  for (const [key, q] of Object.entries(QUERY_KEYS)) if (query[q] !== undefined) raw[key] = first(query[q]);
+  if (query.spec !== undefined){
+    try { raw.spec = JSON.parse(first(query.spec)); } catch (e) { raw.spec = null; }
+  }
+  if (query.dm !== undefined){
+    try { raw.demand = JSON.parse(first(query.dm)); } catch (e) { raw.demand = null; }
+  }
+  return sanitizeState(raw);
+}
+
+// Plan params (see planFigure in ./model.js) for a state: the figure's spec
+// and only the slider values that spec reads; the demand model unless uniform
+export function planParams(state) {
+  const base = { d1: state.d1, d2: state.d2, gamma: state.gamma, c: state.c, k: state.k };
+  const demand = state.demand && state.demand.type !== 'uniform' ? state.demand : undefined;
+  const spec = state.spec || DEFAULT_SPECS[state.figure];
+  if (!spec) return { base, optimizer: state.optimizer, demand };
+  return {
+    spec,
+    base: relevantBase(spec, base),
+    resolution: spec.x && spec.x.steps === undefined ? state.resolution : undefined,
+    optimizer: state.optimizer,
+    demand
+  };
+}
+
+// ---------------- Named scenarios ----------------
+
+const STORAGE_KEY = 'circular-economy-sim:scenarios';
+
+// { name: state } from localStorage; empty when unavailable or corrupted
+export function loadScenarios(storage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function saveScenario(storage, name, state) {
+  const scenarios = { ...loadScenarios(storage), [name]: sanitizeState(state) };
+  storage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+}
+
+export function deleteScenario(storage, name) {
+  const scenarios = { ...loadScenarios(storage) };
+  delete scenarios[name];
+  storage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+  return scenarios;
+}
+
+// ---------------- Pinned scenarios ----------------
+// Full view states pinned for side-by-side comparison ('compare' plan in
+// ./model.js), the first one the baseline of the diff maps
+
+const PINNED_KEY = 'circular-economy-sim:pinned';
+
+// Whether a state shows an (x, y) map, the only figures that can be compared
+export function isComparable(state) {
+  const spec = state.spec || DEFAULT_SPECS[state.figure];
+  return !!(spec && spec.y && !spec.search);
+}
+
+// [{ label, state }] from localStorage, dropping entries that no longer validate
+export function loadPinned(storage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(PINNED_KEY) || '[]');
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .filter(pin => pin && typeof pin.label === 'string' && pin.state && typeof pin.state === 'object')
+      .map(pin => ({ label: pin.label, state: sanitizeState(pin.state) }))
+      .filter(pin => isComparable(pin.state));
+  } catch (e) {
+    return [];
+  }
+}
+
+export function savePinned(storage, pinned) {
+  storage.setItem(PINNED_KEY, JSON.stringify(pinned));
+  return pinned;
+}
+
+// Plan params of the 'compare' plan for pinned scenarios
+export function compareParams(pinned) {
+  return { scenarios: pinned.map(({ label, state }) => ({ label, figure: state.figure, params: planParams(state) })) };
+}
@@ -0,0 +1,119 @@
+// utils/svg.js
+// Minimal static SVG renderers for headless figure output: heatmaps of a Z
+// matrix (categorical codes or continuous values) and line charts. Output is
+// deterministic (fixed sizes, fixed number formatting) so files diff cleanly.
+
+const W = 700, H = 520;
+const M = { top: 48, right: 210, bottom: 56, left: 64 };
+
+// Category palette (Plotly defaults), continuous ramp (viridis stops)
+const PALETTE = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f'];
+const BINARY = ['#f0f0f0', '#c81e1e'];
+const VIRIDIS = [[68,1,84], [59,82,139], [33,145,140], [94,201,98], [253,231,37]];
+
+const f = (v) => v.toFixed(2);
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function ramp(t) {
+  const x = Math.min(1, Math.max(0, t)) * (VIRIDIS.length - 1);
+  const i = Math.min(VIRIDIS.length - 2, Math.floor(x));
+  const u = x - i;
+  const rgb = VIRIDIS[i].map((a, n) => Math.round(a + (VIRIDIS[i+1][n] - a) * u));
+  return `rgb(${rgb.join(',')})`;
+}
+
+function ticks(min, max, count=5) {
+  return Array.from({ length: count }, (_, i) => min + (max - min) * i / (count - 1));
+}
+
+function frame(title, xLabel, yLabel, xRange, yRange, body, legend) {
+  const pw = W - M.left - M.right, ph = H - M.top - M.bottom;
+  const sx = (v) => M.left + (v - xRange[0]) / (xRange[1] - xRange[0]) * pw;
+  const sy = (v) => M.top + ph - (v - yRange[0]) / (yRange[1] - yRange[0]) * ph;
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" font-family="Arial, sans-serif" font-size="12">`);
+  out.push(`<rect width="${W}" height="${H}" fill="#fff"/>`);
+  out.push(`<text x="${f(W/2)}" y="28" text-anchor="middle" font-size="16">${escapeXml(title)}</text>`);
+  out.push(...body(sx, sy));
+  out.push(`<rect x="${M.left}" y="${M.top}" width="${pw}" height="${ph}" fill="none" stroke="#444"/>`);
+  for (const t of ticks(xRange[0], xRange[1])){
+    out.push(`<line x1="${f(sx(t))}" y1="${M.top + ph}" x2="${f(sx(t))}" y2="${M.top + ph + 5}" stroke="#444"/>`);
+    out.push(`<text x="${f(sx(t))}" y="${M.top + ph + 18}" text-anchor="middle">${t.toFixed(3)}</text>`);
+  }
+  for (const t of ticks(yRange[0], yRange[1])){
+    out.push(`<line x1="${M.left - 5}" y1="${f(sy(t))}" x2="${M.left}" y2="${f(sy(t))}" stroke="#444"/>`);
+    out.push(`<text x="${M.left - 8}" y="${f(sy(t) + 4)}" text-anchor="end">${t.toFixed(3)}</text>`);
+  }
+  out.push(`<text x="${f(M.left + pw/2)}" y="${H - 14}" text-anchor="middle" font-size="14">${escapeXml(xLabel)}</text>`);
+  out.push(`<text x="16" y="${f(M.top + ph/2)}" text-anchor="middle" font-size="14" transform="rotate(-90 16 ${f(M.top + ph/2)})">${escapeXml(yLabel)}</text>`);
+  legend.forEach(([color, label], i) => {
+    const y = M.top + 8 + i * 20;
+    out.push(`<rect x="${W - M.right + 16}" y="${y}" width="12" height="12" fill="${color}" stroke="#444"/>`);
+    out.push(`<text x="${W - M.right + 34}" y="${y + 10}">${escapeXml(label)}</text>`);
+  });
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
+
+// Heatmap of Z[i][j] at (xAxis[j], yAxis[i]); null cells stay blank.
+// categorical: integer codes, drawn with the builder's legend
+// { code: { label, color } } when given; otherwise a continuous ramp between
+// the finite min and max. `curves` ([[{ x, y }]], e.g. traced boundaries) are
+// drawn on top as black polylines.
+export function heatmapSVG({ Z, xAxis, yAxis, title, xLabel, yLabel, categorical, legend, curves=[] }) {
+  const values = Z.flat().filter(v => v !== null && Number.isFinite(v));
+  const lo = values.length ? Math.min(...values) : 0;
+  const hi = values.length ? Math.max(...values) : 1;
+  const codes = categorical ? [...new Set(values)].sort((a, b) => a - b) : [];
+  const maxCode = codes.length ? codes[codes.length - 1] : 0;
+  const palette = maxCode <= 1 ? BINARY : PALETTE;
+  const color = categorical
+    ? (v) => legend && legend[v] ? legend[v].color : palette[v % palette.length]
+    : (v) => ramp(hi > lo ? (v - lo) / (hi - lo) : 0.5);
+  const half = (axis) => axis.length > 1 ? (axis[axis.length - 1] - axis[0]) / (axis.length - 1) / 2 : 0.5;
+  const hx = half(xAxis), hy = half(yAxis);
+  const xRange = [xAxis[0] - hx, xAxis[xAxis.length - 1] + hx];
+  const yRange = [yAxis[0] - hy, yAxis[yAxis.length - 1] + hy];
+  const keys = categorical
+    ? codes.map(code => [color(code), legend && legend[code] ? legend[code].label : String(code)])
+    : [[ramp(1), `max ${hi.toFixed(4)}`], [ramp(0.5), `mid ${((lo + hi) / 2).toFixed(4)}`], [ramp(0), `min ${lo.toFixed(4)}`]];
+  return frame(title, xLabel, yLabel, xRange, yRange, (sx, sy) => {
+    const cells = [];
+    for (let i=0;i<yAxis.length;i++){
+      for (let j=0;j<xAxis.length;j++){
+        const v = Z[i][j];
+        if (v === null || !Number.isFinite(v)) continue;
+        const x0 = sx(xAxis[j] - hx), x1 = sx(xAxis[j] + hx);
+        const y0 = sy(yAxis[i] + hy), y1 = sy(yAxis[i] - hy);
+        cells.push(`<rect x="${f(x0)}" y="${f(y0)}" width="${f(x1 - x0)}" height="${f(y1 - y0)}" fill="${color(v)}"/>`);
+      }
+    }
+    for (const curve of curves){
+      if (curve.length === 1) cells.push(`<circle cx="${f(sx(curve[0].x))}" cy="${f(sy(curve[0].y))}" r="2" fill="#000"/>`);
+      else cells.push(`<path d="${curve.map((p, n) => `${n ? 'L' : 'M'}${f(sx(p.x))},${f(sy(p.y))}`).join(' ')}" fill="none" stroke="#000" stroke-width="1.5"/>`);
+    }
+    return cells;
+  }, keys);
+}
+
+// Line chart of series [{ name, x, y }]; null y values break the line
+export function lineChartSVG({ series, title, xLabel, yLabel, yRange }) {
+  const xs = series.flatMap(s => s.x);
+  const xRange = [Math.min(...xs), Math.max(...xs)];
+  const ys = series.flatMap(s => s.y).filter(v => v !== null);
+  const range = yRange || [Math.min(...ys), Math.max(...ys)];
+  const legend = series.map((s, i) => [PALETTE[i % PALETTE.length], s.name]);
+  return frame(title, xLabel, yLabel, xRange, range, (sx, sy) => series.map((s, i) => {
+    const parts = [];
+    let pen = 'M';
+    s.x.forEach((x, n) => {
+      if (s.y[n] === null) { pen = 'M'; return; }
+      parts.push(`${pen}${f(sx(x))},${f(sy(s.y[n]))}`);
+      pen = 'L';
+    });
+    return `<path d="${parts.join(' ')}" fill="none" stroke="${PALETTE[i % PALETTE.length]}" stroke-width="2"/>`;
+  }), legend);
+}
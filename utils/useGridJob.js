@@ -0,0 +1,62 @@
+// utils/useGridJob.js
+// React hook running a figure plan on the worker pool. Returns the figure
+// data assembled from the rows received so far plus progress; a change of
+// figure or params cancels the stale job and starts a new one; a null figure
+// leaves the hook idle (data null).
+
+import { useEffect, useMemo, useState } from 'react';
+import { planFigure, runPlan } from './model.js';
+import { getSharedPool } from './workerPool.js';
+
+// Minimum delay between re-renders while rows stream in
+const FLUSH_MS = 60;
+
+export function useGridJob(figure, params) {
+  const key = JSON.stringify([figure, params]);
+  const plan = useMemo(() => figure ? planFigure(figure, params) : null, [key]);
+  const empty = useMemo(() => plan ? plan.assemble([]) : null, [plan]);
+  const [state, setState] = useState(null);
+
+  useEffect(() => {
+    if (!plan) return undefined;
+    const pool = getSharedPool();
+    if (!pool){
+      setState({ plan, data: runPlan(plan), done: plan.rows, error: null });
+      return undefined;
+    }
+    const rows = new Array(plan.rows);
+    let done = 0;
+    let timer = null;
+    const flush = () => {
+      timer = null;
+      setState({ plan, data: plan.assemble(rows), done, error: null });
+    };
+    const cancel = pool.run(figure, params, plan.rows, {
+      onRow(row, data) {
+        rows[row] = data;
+        done++;
+        if (!timer) timer = setTimeout(flush, FLUSH_MS);
+      },
+      onDone() {
+        clearTimeout(timer);
+        flush();
+      },
+      onError(message) {
+        clearTimeout(timer);
+        setState({ plan, data: plan.assemble(rows), done, error: message });
+      }
+    });
+    return () => { cancel(); clearTimeout(timer); };
+  }, [plan]);
+
+  // until the first rows of this plan arrive, show an empty figure
+  const current = state && state.plan === plan ? state : { data: empty, done: 0, error: null };
+  const total = plan ? plan.rows : 0;
+  return {
+    data: current.data,
+    done: current.done,
+    total,
+    running: current.done < total && !current.error,
+    error: current.error
+  };
+}
@@ -0,0 +1,101 @@
+// utils/workerPool.js
+// Pool of grid workers. A job is split into small row chunks handed out on
+// demand, so fast workers pick up more rows and a cancelled job stops after
+// the chunks already in flight (stale messages and errors are dropped by jobId).
+
+const CHUNK_ROWS = 2;
+
+export function WorkerPool(size) {
+  this.workers = [];
+  this.job = null;
+  this.nextJobId = 1;
+  // job ids of the chunks each worker has yet to finish, oldest first
+  this.inFlight = new Map();
+  for (let i=0;i<size;i++){
+    const worker = new Worker(new URL('./gridWorker.js', import.meta.url));
+    worker.onmessage = (e) => this._onMessage(worker, e.data);
+    worker.onerror = (e) => this._onError(worker, e.message || 'worker error');
+    this.inFlight.set(worker, []);
+    this.workers.push(worker);
+  }
+}
+
+// Starts computing `figure`; callbacks: onRow(row, data), onDone(), onError(message).
+// Any running job is cancelled. Returns a cancel function.
+WorkerPool.prototype.run = function(figure, params, rowCount, callbacks) {
+  const job = {
+    id: this.nextJobId++, figure, params, callbacks,
+    next: 0, rowCount, pending: 0, cancelled: false
+  };
+  this.cancel();
+  this.job = job;
+  for (const worker of this.workers) this._dispatch(worker);
+  if (rowCount === 0) callbacks.onDone();
+  return () => { if (this.job === job) this.cancel(); };
+};
+
+WorkerPool.prototype.cancel = function() {
+  if (this.job) this.job.cancelled = true;
+  this.job = null;
+};
+
+WorkerPool.prototype.terminate = function() {
+  this.cancel();
+  for (const worker of this.workers) worker.terminate();
+  this.workers = [];
+  this.inFlight.clear();
+};
+
+WorkerPool.prototype._dispatch = function(worker) {
+  const job = this.job;
+  if (!job || job.next >= job.rowCount) return;
+  const rows = [];
+  while (rows.length < CHUNK_ROWS && job.next < job.rowCount) rows.push(job.next++);
+  job.pending++;
+  this.inFlight.get(worker).push(job.id);
+  worker.postMessage({ jobId: job.id, figure: job.figure, params: job.params, rows });
+};
+
+WorkerPool.prototype._onMessage = function(worker, msg) {
+  if (msg.done) this.inFlight.get(worker).shift();
+  const job = this.job;
+  if (!job || msg.jobId !== job.id){
+    // stale chunk finished: the worker is free for the current job
+    if (msg.done) this._dispatch(worker);
+    return;
+  }
+  if (msg.error) return this._fail(msg.error);
+  if (!msg.done) return job.callbacks.onRow(msg.row, msg.data);
+  job.pending--;
+  this._dispatch(worker);
+  if (job.pending === 0 && job.next >= job.rowCount){
+    this.job = null;
+    job.callbacks.onDone();
+  }
+};
+
+// Uncaught error in a worker, which ends its oldest chunk: fails the current
+// job only if that chunk was one of its, otherwise the worker is free for it
+WorkerPool.prototype._onError = function(worker, message) {
+  const job = this.job;
+  if (job && this.inFlight.get(worker).shift() === job.id) return this._fail(message);
+  this._dispatch(worker);
+};
+
+WorkerPool.prototype._fail = function(message) {
+  const job = this.job;
+  this.cancel();
+  if (job && job.callbacks.onError) job.callbacks.onError(message);
+};
+
+let shared = null;
+
+// Lazily created pool shared by the page; null where Web Workers are unavailable
+export function getSharedPool() {
+  if (typeof window === 'undefined' || typeof Worker === 'undefined') return null;
+  if (!shared){
+    const cores = navigator.hardwareConcurrency || 2;
+    shared = new WorkerPool(Math.max(1, Math.min(4, cores - 1)));
+  }
+  return shared;
+}